@@ -0,0 +1,285 @@
+import axios, { AxiosError } from 'axios';
+import { PassThrough, Readable } from 'stream';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync } from 'fs';
+import path from 'path';
+
+/**
+ * Cassette - Records LLM server traffic to a JSONL file and replays it offline
+ * Works as an axios adapter, so every request of the client (chat completions,
+ * streamed SSE chunks, model listings) goes through it.
+ *
+ * Each line is one exchange:
+ *   { seq, method, url, request, status, response }            - JSON response (and every error response)
+ *   { seq, method, url, request, status, chunks }              - streamed response, raw chunks
+ *   { seq, method, url, request, error: { message, code } }    - request failed without a response
+ * Streams that broke off also carry streamError.
+ */
+class Cassette {
+  /**
+   * @param {string} filePath - Cassette file (.jsonl)
+   * @param {string} mode - 'record' or 'replay'
+   */
+  constructor(filePath, mode) {
+    this.filePath = filePath;
+    this.mode = mode;
+    this.entries = [];
+    this.used = new Set();
+    this.seq = 0;
+
+    if (mode === 'record') {
+      mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileSync(filePath, '');
+    } else if (mode === 'replay') {
+      if (!existsSync(filePath)) {
+        throw new Error(`Cassette not found: ${filePath}`);
+      }
+      this.entries = readFileSync(filePath, 'utf-8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    } else {
+      throw new Error(`Unknown cassette mode: ${mode}`);
+    }
+  }
+
+  /**
+   * Resolve a cassette name to a file path
+   * Plain names live in .lmcode/cassettes/; anything with a slash or .jsonl is used as a path
+   * @param {string} lmcodeDir - Project .lmcode directory
+   * @param {string} name - Cassette name or path
+   * @returns {string} - Absolute file path
+   */
+  static resolvePath(lmcodeDir, name) {
+    if (name.includes('/') || name.includes('\\') || name.endsWith('.jsonl')) {
+      return path.resolve(name);
+    }
+    return path.join(lmcodeDir, 'cassettes', `${name}.jsonl`);
+  }
+
+  /**
+   * Create the axios adapter for this cassette
+   * @param {Function} defaultAdapter - Adapter that talks to the network (used when recording)
+   * @returns {Function} - axios adapter
+   */
+  createAdapter(defaultAdapter) {
+    return this.mode === 'record'
+      ? (config) => this._record(config, defaultAdapter)
+      : (config) => this._replay(config);
+  }
+
+  /**
+   * Number of recorded exchanges not served yet (replay)
+   * @returns {number}
+   */
+  getRemaining() {
+    return this.entries.length - this.used.size;
+  }
+
+  /**
+   * Send a request and write the exchange to the cassette
+   * @param {Object} config - axios request config
+   * @param {Function} defaultAdapter - Network adapter
+   * @returns {Promise<Object>} - axios response
+   */
+  async _record(config, defaultAdapter) {
+    const entry = {
+      seq: this.seq++,
+      method: (config.method || 'get').toUpperCase(),
+      url: this._getPath(config),
+      request: this._parseBody(config.data),
+    };
+
+    let response;
+    try {
+      response = await defaultAdapter(config);
+    } catch (error) {
+      if (error.response) {
+        // Streamed requests get the error body as a stream - read it, and hand the text on in its place
+        if (typeof error.response.data?.pipe === 'function') {
+          error.response.data = await this._readStream(error.response.data);
+        }
+        entry.status = error.response.status;
+        entry.response = this._parseBody(error.response.data);
+      } else {
+        entry.error = { message: error.message, code: error.code || null };
+      }
+      this._write(entry);
+      throw error;
+    }
+
+    entry.status = response.status;
+
+    if (typeof response.data?.pipe !== 'function') {
+      entry.response = this._parseBody(response.data);
+      this._write(entry);
+      return response;
+    }
+
+    // Streamed response: copy each chunk as it arrives, write the exchange when the stream ends
+    entry.chunks = [];
+    const source = response.data;
+    const tee = new PassThrough();
+    let written = false;
+    const finish = (error) => {
+      if (written) return;
+      written = true;
+      if (error) entry.streamError = error.message;
+      this._write(entry);
+    };
+
+    source.on('data', (chunk) => entry.chunks.push(chunk.toString()));
+    source.on('end', () => finish());
+    source.on('error', (error) => {
+      finish(error);
+      tee.destroy(error);
+    });
+    source.on('close', () => finish(source.readableEnded ? null : new Error('Stream closed before it ended')));
+    source.pipe(tee);
+
+    return { ...response, data: tee };
+  }
+
+  /**
+   * Read a response stream to the end
+   * @param {Readable} stream - Response body
+   * @returns {Promise<string>} - Its text (what was read, if the stream failed)
+   */
+  async _readStream(stream) {
+    let text = '';
+    try {
+      for await (const chunk of stream) {
+        text += chunk;
+      }
+    } catch (error) {
+      // Keep what was read
+    }
+    return text;
+  }
+
+  /**
+   * Serve a request from the cassette
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} - axios response
+   */
+  async _replay(config) {
+    const method = (config.method || 'get').toUpperCase();
+    const url = this._getPath(config);
+    const entry = this._findEntry(method, url, this._parseBody(config.data));
+
+    if (!entry) {
+      throw new AxiosError(
+        `Cassette ${path.basename(this.filePath)} has no recorded response for ${method} ${url}`,
+        'ERR_CASSETTE_MISS',
+        config
+      );
+    }
+
+    if (entry.error) {
+      throw new AxiosError(entry.error.message, entry.error.code || undefined, config);
+    }
+
+    let data;
+    if (entry.chunks) {
+      data = Readable.from(this._replayChunks(entry), { objectMode: false });
+    } else {
+      data = typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response ?? '');
+    }
+
+    const response = {
+      data,
+      status: entry.status,
+      statusText: String(entry.status),
+      headers: {},
+      config,
+      request: {},
+    };
+
+    if (entry.status >= 400) {
+      throw new AxiosError(`Request failed with status code ${entry.status}`, AxiosError.ERR_BAD_RESPONSE, config, null, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Yield the recorded chunks of a stream, then fail like the original if it broke off
+   * @param {Object} entry - Cassette entry
+   */
+  async *_replayChunks(entry) {
+    for (const chunk of entry.chunks) {
+      yield Buffer.from(chunk);
+    }
+    if (entry.streamError) {
+      throw new Error(entry.streamError);
+    }
+  }
+
+  /**
+   * Find the recorded exchange for a request
+   * Prefers an unused entry with an identical request body; otherwise takes the next
+   * unused entry for the same endpoint (prompts may differ slightly between runs).
+   * GET requests may reuse their last entry once all have been served.
+   * @param {string} method - HTTP method
+   * @param {string} url - Request path
+   * @param {Object|string|null} body - Parsed request body
+   * @returns {Object|null} - Entry
+   */
+  _findEntry(method, url, body) {
+    const candidates = this.entries.filter(entry => entry.method === method && entry.url === url);
+    const unused = candidates.filter(entry => !this.used.has(entry));
+    const bodyText = JSON.stringify(body);
+
+    let entry = unused.find(candidate => JSON.stringify(candidate.request) === bodyText);
+    if (!entry && unused.length > 0) {
+      entry = unused[0];
+      console.warn(`Cassette: ${method} ${url} differs from the recording, replaying exchange #${entry.seq}`);
+    }
+    if (!entry && method === 'GET' && candidates.length > 0) {
+      return candidates[candidates.length - 1];
+    }
+
+    if (entry) {
+      this.used.add(entry);
+    }
+    return entry || null;
+  }
+
+  /**
+   * Request path without the server address (cassettes work against any base URL)
+   * @param {Object} config - axios request config
+   * @returns {string}
+   */
+  _getPath(config) {
+    return new URL(axios.getUri(config), 'http://localhost').pathname;
+  }
+
+  /**
+   * Parse a JSON body, keeping other bodies as text
+   * @param {string|Object} data - Body
+   * @returns {Object|string|null}
+   */
+  _parseBody(data) {
+    if (data === undefined || data === null || data === '') {
+      return null;
+    }
+    if (typeof data !== 'string') {
+      return Buffer.isBuffer(data) ? data.toString() : data;
+    }
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return data;
+    }
+  }
+
+  /**
+   * Append one exchange to the cassette file
+   * Written immediately so a crashed session still leaves a usable cassette
+   * @param {Object} entry - Exchange
+   */
+  _write(entry) {
+    appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+  }
+}
+
+export default Cassette;
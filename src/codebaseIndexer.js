@@ -2,7 +2,29 @@ import * as acorn from 'acorn';
 import * as walk from 'acorn-walk';
 import path from 'path';
 import fs from 'fs/promises';
-import { existsSync } from 'fs';
+import { existsSync, readFileSync, statSync, watch } from 'fs';
+import { createHash } from 'crypto';
+import IgnoreRules, { IGNORE_FILES } from './ignoreRules.js';
+
+// Bump when parseFile output changes, so saved entries are re-parsed instead of reused
+const INDEX_VERSION = 5;
+
+// Extensions tried when resolving an import written without one
+const MODULE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts', '.json'];
+
+// Index paths use the platform separator; the import graph uses /
+const toPosix = (filePath) => filePath.split(path.sep).join('/');
+
+// Words the token-based reference scan does not record (JavaScript, TypeScript and Python keywords)
+const REFERENCE_KEYWORDS = new Set([
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'break', 'continue', 'return', 'function',
+  'var', 'let', 'const', 'class', 'extends', 'new', 'this', 'super', 'import', 'export', 'from',
+  'default', 'try', 'catch', 'finally', 'throw', 'typeof', 'instanceof', 'in', 'of', 'void',
+  'delete', 'yield', 'async', 'await', 'static', 'null', 'undefined', 'true', 'false',
+  'interface', 'type', 'enum', 'implements', 'public', 'private', 'protected', 'readonly',
+  'def', 'elif', 'pass', 'lambda', 'not', 'and', 'or', 'is', 'None', 'True', 'False', 'with',
+  'as', 'global', 'nonlocal', 'raise', 'except', 'assert', 'del', 'self',
+]);
 
 /**
  * CodebaseIndexer - Indexes and searches the codebase
@@ -15,12 +37,16 @@ class CodebaseIndexer {
     this.fileOps = fileOps;
 
     this.index = {
+      version: INDEX_VERSION,
       projectRoot: rootPath,
       lastIndexed: null,
       files: [],
     };
 
     this.loaded = false;
+    this.watcher = null;
+    this.dependencyGraph = null;
+    this.ignoreRules = new IgnoreRules(rootPath, config.excludePatterns || []);
   }
 
   /**
@@ -33,18 +59,27 @@ class CodebaseIndexer {
 
   /**
    * Build index of the entire codebase
+   * Files whose size and mtime (or, failing that, content hash) match the saved entry are
+   * not parsed again unless options.full is set.
    * @param {Function} progressCallback - Optional callback for progress updates
-   * @returns {Promise<void>}
+   * @param {Object} options - { full } (re-parse every file)
+   * @returns {Promise<Object>} - { total, parsed, unchanged, removed }
    */
-  async buildIndex(progressCallback = null) {
+  async buildIndex(progressCallback = null, options = {}) {
     console.log('Building codebase index...');
     console.log(`Scanning from: ${this.rootPath}`);
     console.log(`Exclude extensions: ${this.config.excludeExtensions?.join(', ') || 'none'}`);
     console.log(`Exclude patterns: ${this.config.excludePatterns?.join(', ') || 'none'}`);
 
+    this.ignoreRules.reset(); // Pick up edited .gitignore / .lmcodeignore files
     const files = await this._findAllFiles(this.rootPath);
     console.log(`Found ${files.length} files to index`);
 
+    // Entries from an index written by another version can't be reused
+    const reusable = options.full || this.index.version !== INDEX_VERSION ? [] : this.index.files;
+    const previous = new Map(reusable.map(fileInfo => [fileInfo.path, fileInfo]));
+    const stats = { total: files.length, parsed: 0, unchanged: 0, removed: 0 };
+
     this.index.files = [];
 
     for (let i = 0; i < files.length; i++) {
@@ -55,15 +90,64 @@ class CodebaseIndexer {
       }
 
       try {
-        const fileInfo = await this.parseFile(file);
-        this.index.files.push(fileInfo);
+        const unchanged = await this._getUnchangedEntry(file, previous.get(file));
+        if (unchanged) {
+          this.index.files.push(unchanged);
+          stats.unchanged++;
+        } else {
+          this.index.files.push(await this.parseFile(file));
+          stats.parsed++;
+        }
       } catch (error) {
         console.warn(`Failed to index ${file}: ${error.message}`);
       }
+      previous.delete(file);
     }
 
+    stats.removed = previous.size;
+    this.index.version = INDEX_VERSION;
     this.index.lastIndexed = new Date().toISOString();
-    console.log(`Indexed ${this.index.files.length} files`);
+    console.log(`Indexed ${this.index.files.length} files (${stats.parsed} parsed, ${stats.unchanged} unchanged, ${stats.removed} removed)`);
+    return stats;
+  }
+
+  /**
+   * Return the saved entry of a file if the file has not changed since
+   * Size and mtime are checked first; a touched file with the same content keeps its entry.
+   * @param {string} filePath - Absolute path
+   * @param {Object} entry - Saved index entry (may be undefined)
+   * @returns {Promise<Object|null>} - The entry (with mtime refreshed), or null if the file must be parsed
+   */
+  async _getUnchangedEntry(filePath, entry) {
+    if (!entry) {
+      return null;
+    }
+
+    const stats = await fs.stat(filePath);
+    if (stats.size !== entry.size) {
+      return null;
+    }
+    if (stats.mtimeMs === entry.mtimeMs) {
+      return entry;
+    }
+    if (!entry.hash) {
+      return null;
+    }
+
+    const hash = this._hashContent(await this.fileOps.readFile(filePath));
+    if (hash !== entry.hash) {
+      return null;
+    }
+    return { ...entry, mtimeMs: stats.mtimeMs, modified: stats.mtime.toISOString() };
+  }
+
+  /**
+   * Hash file content for change detection
+   * @param {string|Buffer} content - File content
+   * @returns {string} - SHA-1 hex digest
+   */
+  _hashContent(content) {
+    return createHash('sha1').update(content).digest('hex');
   }
 
   /**
@@ -82,7 +166,7 @@ class CodebaseIndexer {
         const relativePath = path.relative(this.rootPath, fullPath);
 
         // Check exclusions
-        if (this._shouldExclude(relativePath)) {
+        if (this._shouldExclude(relativePath, entry.isDirectory())) {
           continue;
         }
 
@@ -108,20 +192,58 @@ class CodebaseIndexer {
   }
 
   /**
-   * Check if path should be excluded
+   * Check if path should be excluded (.gitignore, .lmcodeignore and codebase.excludePatterns)
    * @param {string} relativePath - Relative path from root
+   * @param {boolean} isDirectory - Whether the path is a directory
    * @returns {boolean} - True if should be excluded
    */
-  _shouldExclude(relativePath) {
-    const excludePatterns = this.config.excludePatterns || [];
+  _shouldExclude(relativePath, isDirectory = false) {
+    return this.ignoreRules.isIgnored(relativePath, isDirectory);
+  }
 
-    for (const pattern of excludePatterns) {
-      if (relativePath.includes(pattern)) {
-        return true;
-      }
-    }
+  /**
+   * Check if a path is excluded from indexing and listings
+   * @param {string} relativePath - Relative path from root
+   * @param {boolean} isDirectory - Whether the path is a directory (looked up when not given)
+   * @returns {boolean} - True if excluded
+   */
+  isExcluded(relativePath, isDirectory = null) {
+    return this._shouldExclude(relativePath, isDirectory ?? this._isDirectory(relativePath));
+  }
 
-    return false;
+  /**
+   * Explain why a path is or isn't indexed
+   * @param {string} filePath - Path (absolute or relative to the root)
+   * @returns {Object} - { relativePath, exists, isDirectory, ignored, rule, viaDirectory, excludedExtension }
+   *   (viaDirectory: the ignored parent directory that excludes the path, if any)
+   */
+  explainExclusion(filePath) {
+    const relativePath = path.relative(this.rootPath, path.resolve(this.rootPath, filePath));
+    const isDirectory = this._isDirectory(relativePath);
+    const decision = this.ignoreRules.explain(relativePath, isDirectory);
+
+    return {
+      relativePath,
+      exists: existsSync(path.join(this.rootPath, relativePath)),
+      isDirectory,
+      ignored: decision.ignored,
+      rule: decision.rule,
+      viaDirectory: decision.matchedPath !== relativePath.split(path.sep).join('/') ? decision.matchedPath : null,
+      excludedExtension: !isDirectory && !this._shouldInclude(relativePath) ? path.extname(relativePath).toLowerCase() : null,
+    };
+  }
+
+  /**
+   * Check if a root-relative path is a directory
+   * @param {string} relativePath - Relative path from root
+   * @returns {boolean}
+   */
+  _isDirectory(relativePath) {
+    try {
+      return statSync(path.join(this.rootPath, relativePath)).isDirectory();
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
@@ -152,11 +274,15 @@ class CodebaseIndexer {
       relativePath,
       size: stats.size,
       modified: stats.mtime.toISOString(),
+      mtimeMs: stats.mtimeMs,
+      hash: null,
       extension,
       functions: [],
       classes: [],
       imports: [],
       exports: [],
+      symbols: [], // { name, kind, startLine, endLine, parent, signature, doc }
+      references: {}, // identifier -> lines it appears on
     };
 
     // Only parse code files (skip large files)
@@ -168,6 +294,7 @@ class CodebaseIndexer {
 
     try {
       const content = await this.fileOps.readFile(filePath);
+      fileInfo.hash = this._hashContent(content);
 
       // Parse based on file type
       if (['.js', '.jsx', '.mjs'].includes(extension)) {
@@ -194,59 +321,235 @@ class CodebaseIndexer {
    * @param {Object} fileInfo - File info object to populate
    */
   async _parseJavaScript(content, fileInfo) {
+    let ast;
     try {
-      const ast = acorn.parse(content, {
+      ast = acorn.parse(content, {
         ecmaVersion: 'latest',
         sourceType: 'module',
-        locations: false,
-      });
-
-      walk.simple(ast, {
-        FunctionDeclaration(node) {
-          fileInfo.functions.push(node.id?.name || 'anonymous');
-        },
-        FunctionExpression(node) {
-          if (node.id) {
-            fileInfo.functions.push(node.id.name);
-          }
-        },
-        ArrowFunctionExpression(node) {
-          // Arrow functions assigned to variables will be caught by VariableDeclarator
-        },
-        VariableDeclarator(node) {
-          if (
-            node.init &&
-            (node.init.type === 'ArrowFunctionExpression' ||
-             node.init.type === 'FunctionExpression')
-          ) {
-            if (node.id.type === 'Identifier') {
-              fileInfo.functions.push(node.id.name);
-            }
-          }
-        },
-        ClassDeclaration(node) {
-          fileInfo.classes.push(node.id?.name || 'anonymous');
-        },
-        ImportDeclaration(node) {
-          fileInfo.imports.push(node.source.value);
-        },
-        ExportNamedDeclaration(node) {
-          if (node.declaration) {
-            if (node.declaration.type === 'FunctionDeclaration') {
-              fileInfo.exports.push(node.declaration.id?.name || 'anonymous');
-            } else if (node.declaration.type === 'ClassDeclaration') {
-              fileInfo.exports.push(node.declaration.id?.name || 'anonymous');
-            }
-          }
-        },
-        ExportDefaultDeclaration(node) {
-          fileInfo.exports.push('default');
-        },
+        locations: true,
       });
     } catch (error) {
       // If parsing fails, fall back to regex
       this._parseGeneric(content, fileInfo);
+      return;
     }
+
+    const lines = content.split('\n');
+    const symbols = [];
+    const source = (node) => content.slice(node.start, node.end).replace(/\s+/g, ' ');
+    const params = (fn) => fn.params.map(source).join(', ');
+    const addSymbol = (name, kind, rangeNode, parent, signature) => {
+      symbols.push({
+        name,
+        kind,
+        startLine: rangeNode.loc.start.line,
+        endLine: rangeNode.loc.end.line,
+        parent,
+        signature,
+        doc: this._leadingComment(lines, rangeNode.loc.start.line),
+      });
+    };
+
+    walk.ancestor(ast, {
+      FunctionDeclaration(node, ancestors) {
+        fileInfo.functions.push(node.id?.name || 'anonymous');
+
+        const name = node.id?.name || 'default';
+        const signature = `${node.async ? 'async ' : ''}${node.generator ? '*' : ''}${name}(${params(node)})`;
+        addSymbol(name, 'function', CodebaseIndexer._statementOf(ancestors), CodebaseIndexer._enclosingName(ancestors), signature);
+      },
+      FunctionExpression(node) {
+        if (node.id) {
+          fileInfo.functions.push(node.id.name);
+        }
+      },
+      ArrowFunctionExpression(node) {
+        // Arrow functions assigned to variables will be caught by VariableDeclarator
+      },
+      VariableDeclarator(node, ancestors) {
+        if (node.id.type !== 'Identifier' || !node.init) {
+          return;
+        }
+
+        const declaration = ancestors[ancestors.length - 2];
+        const rangeNode = declaration.declarations.length === 1 ? CodebaseIndexer._statementOf(ancestors.slice(0, -1)) : node;
+        const parent = CodebaseIndexer._enclosingName(ancestors);
+
+        if (node.init.type === 'ArrowFunctionExpression' || node.init.type === 'FunctionExpression') {
+          fileInfo.functions.push(node.id.name);
+          addSymbol(node.id.name, 'function', rangeNode, parent, `${node.init.async ? 'async ' : ''}${node.id.name}(${params(node.init)})`);
+        } else if (node.init.type === 'ClassExpression') {
+          const heritage = node.init.superClass ? ` extends ${source(node.init.superClass)}` : '';
+          addSymbol(node.id.name, 'class', rangeNode, parent, `class ${node.id.name}${heritage}`);
+        }
+      },
+      ClassDeclaration(node, ancestors) {
+        fileInfo.classes.push(node.id?.name || 'anonymous');
+
+        const name = node.id?.name || 'default';
+        const heritage = node.superClass ? ` extends ${source(node.superClass)}` : '';
+        addSymbol(name, 'class', CodebaseIndexer._statementOf(ancestors), CodebaseIndexer._enclosingName(ancestors), `class ${name}${heritage}`);
+      },
+      MethodDefinition(node, ancestors) {
+        const name = CodebaseIndexer._keyName(node, source);
+        const prefix = `${node.static ? 'static ' : ''}${node.value.async ? 'async ' : ''}${node.kind === 'get' || node.kind === 'set' ? node.kind + ' ' : ''}`;
+        addSymbol(name, 'method', node, CodebaseIndexer._enclosingName(ancestors), `${prefix}${name}(${params(node.value)})`);
+      },
+      PropertyDefinition(node, ancestors) {
+        // Class fields holding functions (handler = () => {}) are methods too
+        if (!node.value || !['ArrowFunctionExpression', 'FunctionExpression'].includes(node.value.type)) {
+          return;
+        }
+        const name = CodebaseIndexer._keyName(node, source);
+        const prefix = `${node.static ? 'static ' : ''}${node.value.async ? 'async ' : ''}`;
+        addSymbol(name, 'method', node, CodebaseIndexer._enclosingName(ancestors), `${prefix}${name}(${params(node.value)})`);
+      },
+      ImportDeclaration(node) {
+        fileInfo.imports.push(node.source.value);
+      },
+      ImportExpression(node) {
+        if (node.source.type === 'Literal' && typeof node.source.value === 'string') {
+          fileInfo.imports.push(node.source.value);
+        }
+      },
+      CallExpression(node) {
+        const [argument] = node.arguments;
+        if (node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+            argument?.type === 'Literal' && typeof argument.value === 'string') {
+          fileInfo.imports.push(argument.value);
+        }
+      },
+      ExportAllDeclaration(node) {
+        fileInfo.imports.push(node.source.value);
+      },
+      ExportNamedDeclaration(node) {
+        if (node.source) {
+          fileInfo.imports.push(node.source.value);
+        }
+        if (node.declaration) {
+          if (node.declaration.type === 'FunctionDeclaration') {
+            fileInfo.exports.push(node.declaration.id?.name || 'anonymous');
+          } else if (node.declaration.type === 'ClassDeclaration') {
+            fileInfo.exports.push(node.declaration.id?.name || 'anonymous');
+          }
+        }
+      },
+      ExportDefaultDeclaration(node) {
+        fileInfo.exports.push('default');
+      },
+    });
+
+    fileInfo.symbols = symbols.sort((a, b) => a.startLine - b.startLine);
+
+    // Every identifier use, including property accesses (obj.load()) and import/export names
+    const references = new Map();
+    const addReference = (name, node) => {
+      if (!references.has(name)) references.set(name, new Set());
+      references.get(name).add(node.loc.start.line);
+    };
+
+    walk.full(ast, (node) => {
+      if (node.type === 'Identifier') {
+        addReference(node.name, node);
+      } else if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+        addReference(node.property.name, node.property);
+      } else if (['MethodDefinition', 'PropertyDefinition', 'Property'].includes(node.type) && !node.computed && node.key.type === 'Identifier' && !node.shorthand) {
+        addReference(node.key.name, node.key);
+      } else if (['ImportSpecifier', 'ImportDefaultSpecifier', 'ImportNamespaceSpecifier'].includes(node.type)) {
+        addReference(node.local.name, node.local);
+        if (node.imported && node.imported.name !== node.local.name) addReference(node.imported.name, node.imported);
+      } else if (node.type === 'ExportNamedDeclaration' && !node.source) {
+        for (const specifier of node.specifiers) {
+          addReference(specifier.local.name, specifier.local);
+        }
+      }
+    });
+
+    fileInfo.references = CodebaseIndexer._referenceObject(references);
+  }
+
+  /**
+   * The statement a declaration spans, including an export keyword in front of it
+   * @param {Array<Object>} ancestors - acorn-walk ancestors, ending with the declaration
+   * @returns {Object} - Node whose location is the symbol's range
+   */
+  static _statementOf(ancestors) {
+    const node = ancestors[ancestors.length - 1];
+    const parent = ancestors[ancestors.length - 2];
+    if (parent && (parent.type === 'ExportNamedDeclaration' || parent.type === 'ExportDefaultDeclaration')) {
+      return parent;
+    }
+    return node;
+  }
+
+  /**
+   * Name of the class or function a node is nested in
+   * @param {Array<Object>} ancestors - acorn-walk ancestors, ending with the node
+   * @returns {string|null}
+   */
+  static _enclosingName(ancestors) {
+    for (let i = ancestors.length - 2; i >= 0; i--) {
+      const node = ancestors[i];
+      if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression' || node.type === 'FunctionDeclaration') {
+        if (node.id) return node.id.name;
+        if (ancestors[i - 1]?.type === 'ExportDefaultDeclaration') return 'default';
+      }
+      if ((node.type === 'ClassExpression' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') &&
+          ancestors[i - 1]?.type === 'VariableDeclarator' && ancestors[i - 1].id.type === 'Identifier') {
+        return ancestors[i - 1].id.name;
+      }
+      if (node.type === 'MethodDefinition' || node.type === 'PropertyDefinition') {
+        return node.key.type === 'Identifier' ? node.key.name : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Name of a class member
+   * @param {Object} node - MethodDefinition or PropertyDefinition
+   * @param {Function} source - Returns the source text of a node
+   * @returns {string}
+   */
+  static _keyName(node, source) {
+    if (node.computed) return `[${source(node.key)}]`;
+    if (node.key.type === 'PrivateIdentifier') return `#${node.key.name}`;
+    if (node.key.type === 'Literal') return String(node.key.value);
+    return node.key.name;
+  }
+
+  /**
+   * Doc comment right above a line: a /** *\/ block or a run of // or # lines
+   * @param {Array<string>} lines - File lines
+   * @param {number} startLine - 1-based line of the declaration
+   * @param {RegExp} lineComment - Matches a line comment (// by default; # for Python and other files)
+   * @returns {string|null} - Comment text without comment markers
+   */
+  _leadingComment(lines, startLine, lineComment = /^\s*\/\//) {
+    let end = startLine - 2;
+    // Skip decorators and annotations between the comment and the declaration
+    while (end >= 0 && /^\s*@\w/.test(lines[end])) end--;
+    if (end < 0) return null;
+
+    let text = [];
+    if (lines[end].trim().endsWith('*/')) {
+      let begin = end;
+      while (begin > 0 && !lines[begin].includes('/*')) begin--;
+      if (!lines[begin].includes('/*')) return null;
+      text = lines.slice(begin, end + 1)
+        .join('\n')
+        .replace(/^[\s\S]*?\/\*+/, '')
+        .replace(/\*+\/\s*$/, '')
+        .split('\n')
+        .map(line => line.replace(/^\s*\*? ?/, '').trimEnd());
+    } else {
+      let begin = end;
+      while (begin >= 0 && lineComment.test(lines[begin])) begin--;
+      text = lines.slice(begin + 1, end + 1).map(line => line.replace(/^\s*(\/\/+|#+) ?/, '').trimEnd());
+    }
+
+    const doc = text.join('\n').trim();
+    return doc ? doc.slice(0, 1000) : null;
   }
 
   /**
@@ -268,13 +571,105 @@ class CodebaseIndexer {
       fileInfo.classes.push(match[1]);
     }
 
-    // Extract imports
-    const importRegex = /^(?:from\s+(\S+)\s+)?import\s+(.+)/gm;
+    // Extract imports (module names; "from pkg import name" also records pkg.name, which may be a module)
+    const importRegex = /^[ \t]*(?:from\s+(\S+)\s+)?import\s+(.+)/gm;
     while ((match = importRegex.exec(content)) !== null) {
+      const names = match[2].replace(/[()\\]/g, '').split(',').map(name => name.trim().split(/\s+as\s+/)[0]);
       if (match[1]) {
         fileInfo.imports.push(match[1]);
+        const prefix = /^\.+$/.test(match[1]) ? match[1] : `${match[1]}.`;
+        fileInfo.imports.push(...names.filter(name => /^\w+$/.test(name)).map(name => prefix + name));
+      } else {
+        fileInfo.imports.push(...names.filter(name => /^[\w.]+$/.test(name)));
+      }
+    }
+
+    // Symbols at any depth; blocks end where the indentation returns to the definition's level
+    const lines = content.split('\n');
+    const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '        ').length;
+    const isCode = (line) => line.trim() !== '' && !line.trim().startsWith('#');
+    const open = []; // enclosing { name, kind, indent }
+    fileInfo.symbols = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const definition = lines[i].match(/^(\s*)(async\s+)?def\s+(\w+)\s*\(/) || lines[i].match(/^(\s*)()class\s+(\w+)/);
+      if (!definition) continue;
+
+      const indent = indentOf(lines[i]);
+      while (open.length > 0 && open[open.length - 1].indent >= indent) open.pop();
+      const parent = open[open.length - 1] || null;
+      const isClass = /^\s*class\s/.test(lines[i]);
+
+      // The header may span lines (long parameter lists); it ends at the ':' after the brackets
+      let headerEnd = i;
+      let header = lines[i].trim();
+      let depth = 0;
+      for (let j = i; j < lines.length; j++) {
+        if (j > i) header += ' ' + lines[j].trim();
+        for (const char of lines[j]) {
+          if (char === '(' || char === '[') depth++;
+          if (char === ')' || char === ']') depth--;
+        }
+        headerEnd = j;
+        if (depth <= 0) break;
+      }
+
+      let endLine = headerEnd;
+      for (let j = headerEnd + 1; j < lines.length; j++) {
+        if (!isCode(lines[j])) continue;
+        if (indentOf(lines[j]) <= indent) break;
+        endLine = j;
+      }
+
+      let startLine = i;
+      while (startLine > 0 && /^\s*@/.test(lines[startLine - 1])) startLine--;
+
+      const name = definition[3];
+      const signature = isClass
+        ? header.replace(/:\s*(#.*)?$/, '')
+        : `${definition[2] ? 'async ' : ''}${name}(${(header.match(/\(([\s\S]*)\)/) || [])[1] || ''})`.replace(/\s+/g, ' ');
+
+      fileInfo.symbols.push({
+        name,
+        kind: isClass ? 'class' : (parent?.kind === 'class' ? 'method' : 'function'),
+        startLine: startLine + 1,
+        endLine: endLine + 1,
+        parent: parent?.name || null,
+        signature,
+        doc: this._docstring(lines, headerEnd + 1) || this._leadingComment(lines, startLine + 1, /^\s*#(?!!)/),
+      });
+      open.push({ name, kind: isClass ? 'class' : 'function', indent });
+    }
+
+    fileInfo.references = this._tokenReferences(content, true);
+  }
+
+  /**
+   * Python docstring starting at a line
+   * @param {Array<string>} lines - File lines
+   * @param {number} index - 0-based line right after the definition header
+   * @returns {string|null} - Docstring text
+   */
+  _docstring(lines, index) {
+    while (index < lines.length && lines[index].trim() === '') index++;
+    const first = lines[index]?.trim().match(/^[rRuU]?("""|''')([\s\S]*)$/);
+    if (!first) return null;
+
+    const quote = first[1];
+    const text = [];
+    let rest = first[2];
+    for (let i = index; i < lines.length; i++) {
+      if (i > index) rest = lines[i];
+      const close = rest.indexOf(quote);
+      if (close !== -1) {
+        text.push(rest.slice(0, close));
+        break;
       }
+      text.push(rest);
     }
+
+    const doc = text.map(line => line.trim()).join('\n').trim();
+    return doc ? doc.slice(0, 1000) : null;
   }
 
   /**
@@ -308,6 +703,190 @@ class CodebaseIndexer {
         fileInfo.classes.push(match[1]);
       }
     }
+
+    // Module imports of JavaScript-like files acorn could not parse (TypeScript)
+    const importPattern = /(?:^|[\s;])(?:import|export)\s+(?:[\w*${}\s,]+?\s+from\s+)?['"]([^'"]+)['"]|\b(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/g;
+    while ((match = importPattern.exec(content)) !== null) {
+      const specifier = match[1] || match[2];
+      if (!fileInfo.imports.includes(specifier)) {
+        fileInfo.imports.push(specifier);
+      }
+    }
+
+    fileInfo.symbols = this._genericSymbols(content);
+    fileInfo.references = this._tokenReferences(content, false);
+  }
+
+  /**
+   * Identifier references found by scanning tokens, outside comments and strings
+   * @param {string} content - File content
+   * @param {boolean} python - Python comments (#) and triple-quoted strings instead of // and /* *\/
+   * @returns {Object} - Identifier -> lines
+   */
+  _tokenReferences(content, python) {
+    const token = python
+      ? /(#.*$)|("""|''')|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(\d[\w.]*)|([A-Za-z_]\w*)/g
+      : /(\/\/.*$)|(\/\*|`)|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(\d[\w.]*)|([A-Za-z_$][\w$]*)/g;
+    const references = new Map();
+    let closing = null; // end of an open block comment or multi-line string
+
+    content.split('\n').forEach((line, i) => {
+      let position = 0;
+      while (position < line.length) {
+        if (closing) {
+          const end = line.indexOf(closing, position);
+          if (end === -1) break;
+          position = end + closing.length;
+          closing = null;
+          continue;
+        }
+
+        token.lastIndex = position;
+        const match = token.exec(line);
+        if (!match || match[1]) break;
+        position = token.lastIndex;
+
+        if (match[2]) {
+          closing = match[2] === '/*' ? '*/' : match[2];
+        } else if (match[5] && !REFERENCE_KEYWORDS.has(match[5])) {
+          if (!references.has(match[5])) references.set(match[5], new Set());
+          references.get(match[5]).add(i + 1);
+        }
+      }
+    });
+
+    return CodebaseIndexer._referenceObject(references);
+  }
+
+  /**
+   * Turn collected references into the form stored in the index
+   * @param {Map<string, Set<number>>} references - Identifier -> lines
+   * @returns {Object} - Identifier -> sorted lines
+   */
+  static _referenceObject(references) {
+    return Object.fromEntries([...references].map(([name, lines]) => [name, [...lines].sort((a, b) => a - b)]));
+  }
+
+  /**
+   * Symbols of a brace-delimited file (TypeScript, C-like languages) found line by line
+   * Blocks end at the matching closing brace; methods are the function-like lines directly in a class body.
+   * @param {string} content - File content
+   * @returns {Array<Object>} - Symbols
+   */
+  _genericSymbols(content) {
+    const lines = content.split('\n');
+    const depths = CodebaseIndexer._braceDepths(lines);
+    const symbols = [];
+    const classes = []; // { name, depth, endLine }
+
+    const functionLine = /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*(\w+)|^\s*(?:export\s+)?(?:const|let|var)\s+(\w+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\(|\w+\s*=>)/;
+    const classLine = /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+(\w+)/;
+    const methodLine = /^\s*(?:(?:public|private|protected|static|async|readonly|override|abstract|get|set)\s+)*(#?\w+)\s*(?:<[^>]*>)?\s*\(/;
+    const notMethods = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'else', 'do', 'try', 'with', 'new', 'await', 'super', 'this']);
+
+    for (let i = 0; i < lines.length; i++) {
+      while (classes.length > 0 && i > classes[classes.length - 1].endLine) classes.pop();
+      const enclosing = classes[classes.length - 1] || null;
+
+      let name = null;
+      let kind = null;
+      let match;
+      if ((match = lines[i].match(classLine))) {
+        name = match[1];
+        kind = 'class';
+      } else if ((match = lines[i].match(functionLine))) {
+        name = match[1] || match[2];
+        kind = 'function';
+      } else if (enclosing && depths[i] === enclosing.depth + 1 && (match = lines[i].match(methodLine)) && !notMethods.has(match[1])) {
+        name = match[1];
+        kind = 'method';
+      }
+      if (!name) continue;
+
+      const endLine = CodebaseIndexer._blockEnd(lines, depths, i);
+      symbols.push({
+        name,
+        kind,
+        startLine: i + 1,
+        endLine: endLine + 1,
+        parent: enclosing?.name || null,
+        signature: lines[i].trim().replace(/\s*\{.*$/, '').slice(0, 200),
+        doc: this._leadingComment(lines, i + 1, /^\s*(\/\/|#(?=\s|$))/),
+      });
+      if (kind === 'class') {
+        classes.push({ name, depth: depths[i], endLine });
+      }
+    }
+
+    return symbols;
+  }
+
+  /**
+   * Brace depth at the start of every line, skipping strings and comments
+   * @param {Array<string>} lines - File lines
+   * @returns {Array<number>} - One entry per line, plus the depth after the last line
+   */
+  static _braceDepths(lines) {
+    const depths = [];
+    let depth = 0;
+    let inBlockComment = false;
+    let quote = null; // open string delimiter; only ` strings continue over lines
+
+    for (const line of lines) {
+      depths.push(depth);
+      if (quote !== '`') quote = null;
+
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inBlockComment) {
+          if (char === '*' && line[i + 1] === '/') {
+            inBlockComment = false;
+            i++;
+          }
+        } else if (quote) {
+          if (char === '\\') i++;
+          else if (char === quote) quote = null;
+        } else if (char === '/' && line[i + 1] === '/') {
+          break;
+        } else if (char === '/' && line[i + 1] === '*') {
+          inBlockComment = true;
+          i++;
+        } else if (char === '"' || char === "'" || char === '`') {
+          quote = char;
+        } else if (char === '{') {
+          depth++;
+        } else if (char === '}') {
+          depth = Math.max(0, depth - 1);
+        }
+      }
+    }
+
+    depths.push(depth);
+    return depths;
+  }
+
+  /**
+   * Last line of the block opened by a declaration
+   * @param {Array<string>} lines - File lines
+   * @param {Array<number>} depths - From _braceDepths
+   * @param {number} index - 0-based declaration line
+   * @returns {number} - 0-based end line (the declaration line when it opens no block)
+   */
+  static _blockEnd(lines, depths, index) {
+    const depth = depths[index];
+
+    for (let i = index; i < lines.length && i - index <= 5; i++) {
+      if (depths[i + 1] > depth) {
+        // The block ends on the line that brings the depth back
+        for (let j = i + 1; j < lines.length; j++) {
+          if (depths[j + 1] <= depth) return j;
+        }
+        return lines.length - 1;
+      }
+      // Body on the same line, or a declaration without a body
+      if (/[;}]\s*$/.test(lines[i])) return i;
+    }
+    return index;
   }
 
   /**
@@ -625,6 +1204,194 @@ class CodebaseIndexer {
     return this.index.files.find(f => f.path === absolutePath) || null;
   }
 
+  /**
+   * Import graph of the indexed files, rebuilt on first use after the index changes
+   * @returns {Object} - { imports, importers, external, unresolved }: Maps from a relative path
+   *   (with /) to Sets of the project files it imports, the files importing it, its package
+   *   imports from outside the project, and relative imports that match no indexed file
+   */
+  getDependencyGraph() {
+    // Every index update replaces the files array, so its identity tells whether the graph is current
+    if (this.dependencyGraph?.files === this.index.files && this.dependencyGraph.count === this.index.files.length) {
+      return this.dependencyGraph;
+    }
+
+    const known = new Set(this.index.files.map(file => toPosix(file.relativePath)));
+    const packages = this._findPackages(known);
+    const graph = {
+      files: this.index.files,
+      count: this.index.files.length,
+      imports: new Map(),
+      importers: new Map(),
+      external: new Map(),
+      unresolved: new Map(),
+    };
+    const add = (map, key, value) => {
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(value);
+    };
+
+    for (const file of this.index.files) {
+      const from = toPosix(file.relativePath);
+      const specifiers = new Set(file.imports || []);
+      for (const specifier of specifiers) {
+        const target = this._resolveImport(from, specifier, known, packages);
+        if (target) {
+          if (target !== from) {
+            add(graph.imports, from, target);
+            add(graph.importers, target, from);
+          }
+          continue;
+        }
+
+        // "from pkg import name" records pkg.name in case it is a module; usually it is not
+        const parent = specifier.replace(/\w+$/, '').replace(/([^.])\.$/, '$1');
+        if (from.endsWith('.py') && parent && specifiers.has(parent)) {
+          continue;
+        }
+        add(specifier.startsWith('.') ? graph.unresolved : graph.external, from, specifier);
+      }
+    }
+
+    this.dependencyGraph = graph;
+    return graph;
+  }
+
+  /**
+   * Direct dependencies of a file in both directions
+   * @param {string} filePath - Path (absolute or relative to the root)
+   * @returns {Object|null} - { relativePath, imports, importers, external, unresolved } (sorted lists),
+   *   or null if the file is not indexed
+   */
+  getDependencies(filePath) {
+    const fileInfo = this.getFileInfo(filePath);
+    if (!fileInfo) {
+      return null;
+    }
+
+    const graph = this.getDependencyGraph();
+    const relativePath = toPosix(fileInfo.relativePath);
+    const list = (map) => [...(map.get(relativePath) || [])].sort();
+    return {
+      relativePath,
+      imports: list(graph.imports),
+      importers: list(graph.importers),
+      external: list(graph.external),
+      unresolved: list(graph.unresolved),
+    };
+  }
+
+  /**
+   * Resolve an import to an indexed file
+   * Relative imports try the path as written, with each module extension, and as a directory
+   * with an index file; a .js import also matches the .ts source it compiles from. Package
+   * imports resolve when the package is part of the project (the root package.json or a
+   * workspace package), through its main/exports entry or the subpath. Python imports are
+   * resolved by _resolvePythonImport.
+   * @param {string} from - Importing file, relative to the root (with /)
+   * @param {string} specifier - Import string as written
+   * @param {Set<string>} known - Relative paths of indexed files
+   * @param {Array<Object>} packages - From _findPackages
+   * @returns {string|null} - Relative path of the imported file
+   */
+  _resolveImport(from, specifier, known, packages) {
+    if (from.endsWith('.py')) {
+      return this._resolvePythonImport(from, specifier, known);
+    }
+
+    let base;
+    if (specifier === '.' || specifier === '..' || specifier.startsWith('./') || specifier.startsWith('../')) {
+      base = path.posix.join(path.posix.dirname(from), specifier);
+    } else {
+      const pkg = packages
+        .filter(p => specifier === p.name || specifier.startsWith(`${p.name}/`))
+        .sort((a, b) => b.name.length - a.name.length)[0];
+      if (!pkg) {
+        return null;
+      }
+      const subpath = specifier.slice(pkg.name.length + 1);
+      base = path.posix.join(pkg.dir, subpath || pkg.main);
+    }
+
+    base = path.posix.normalize(base);
+    if (base.startsWith('..')) {
+      return null;
+    }
+    base = base === '.' ? '' : base;
+
+    const stem = base.replace(/\.[cm]?jsx?$/, '');
+    const candidates = [
+      base,
+      ...MODULE_EXTENSIONS.map(ext => base + ext),
+      ...(stem !== base ? MODULE_EXTENSIONS.map(ext => stem + ext) : []),
+      ...MODULE_EXTENSIONS.map(ext => (base ? `${base}/index${ext}` : `index${ext}`)),
+    ];
+    return candidates.find(candidate => known.has(candidate)) || null;
+  }
+
+  /**
+   * Resolve a Python import to a module or package __init__.py
+   * Relative imports start from the importing file's package; absolute ones from the project
+   * root, a src/ layout, or the importing file's directory (scripts run directly).
+   * @param {string} from - Importing file, relative to the root (with /)
+   * @param {string} specifier - Dotted module name, with leading dots for relative imports
+   * @param {Set<string>} known - Relative paths of indexed files
+   * @returns {string|null} - Relative path of the module
+   */
+  _resolvePythonImport(from, specifier, known) {
+    const dots = specifier.match(/^\.*/)[0].length;
+    const modulePath = specifier.slice(dots).split('.').filter(Boolean).join('/');
+
+    let roots;
+    if (dots > 0) {
+      let directory = path.posix.dirname(from);
+      for (let i = 1; i < dots; i++) directory = path.posix.dirname(directory);
+      roots = [directory];
+    } else {
+      roots = ['.', 'src', path.posix.dirname(from)];
+    }
+
+    for (const root of roots) {
+      const base = path.posix.join(root, modulePath);
+      const candidates = modulePath ? [`${base}.py`, `${base}/__init__.py`] : [path.posix.join(base, '__init__.py')];
+      const found = candidates.map(candidate => path.posix.normalize(candidate)).find(candidate => known.has(candidate));
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Packages defined in the project: every indexed package.json with a name
+   * @param {Set<string>} known - Relative paths of indexed files
+   * @returns {Array<Object>} - { name, dir, main } (dir relative to the root, main relative to dir)
+   */
+  _findPackages(known) {
+    const packages = [];
+
+    for (const relativePath of known) {
+      if (path.posix.basename(relativePath) !== 'package.json') continue;
+      try {
+        const manifest = JSON.parse(readFileSync(path.join(this.rootPath, relativePath), 'utf-8'));
+        if (!manifest.name) continue;
+
+        const exported = typeof manifest.exports === 'string' ? manifest.exports : manifest.exports?.['.'];
+        const entry = typeof exported === 'string' ? exported : (exported?.import || exported?.default || manifest.module || manifest.main || 'index');
+        const dir = path.posix.dirname(relativePath);
+        packages.push({
+          name: manifest.name,
+          dir: dir === '.' ? '' : dir,
+          main: typeof entry === 'string' ? entry.replace(/^\.\//, '') : 'index',
+        });
+      } catch (error) {
+        // Unreadable or invalid package.json - not a package then
+      }
+    }
+
+    return packages;
+  }
+
   /**
    * Get project structure overview
    * @returns {Object} - Project statistics
@@ -651,21 +1418,140 @@ class CodebaseIndexer {
 
   /**
    * Update index for a single file
+   * Removes the entry if the file was deleted or is excluded; skips parsing if it is unchanged.
    * @param {string} filePath - Path to file
-   * @returns {Promise<void>}
+   * @returns {Promise<string>} - 'updated', 'unchanged', 'removed' or 'ignored'
    */
   async updateIndex(filePath) {
     const absolutePath = path.resolve(this.rootPath, filePath);
+    const relativePath = path.relative(this.rootPath, absolutePath);
+    const existing = this.index.files.find(f => f.path === absolutePath);
 
-    // Remove old entry
-    this.index.files = this.index.files.filter(f => f.path !== absolutePath);
+    let isFile = false;
+    try {
+      isFile = (await fs.stat(absolutePath)).isFile();
+    } catch (error) {
+      // Deleted
+    }
+
+    if (!isFile || relativePath.startsWith('..') || this._shouldExclude(relativePath) || !this._shouldInclude(absolutePath)) {
+      if (!existing) {
+        return 'ignored';
+      }
+      this.removeFile(absolutePath);
+      return 'removed';
+    }
 
-    // Add updated entry
     try {
+      if (await this._getUnchangedEntry(absolutePath, existing)) {
+        return 'unchanged';
+      }
+
       const fileInfo = await this.parseFile(absolutePath);
+      this.index.files = this.index.files.filter(f => f.path !== absolutePath);
       this.index.files.push(fileInfo);
+      return 'updated';
     } catch (error) {
       console.warn(`Failed to update index for ${filePath}: ${error.message}`);
+      return 'ignored';
+    }
+  }
+
+  /**
+   * Remove a file from the index
+   * @param {string} filePath - Path to file
+   * @returns {boolean} - True if the file was indexed
+   */
+  removeFile(filePath) {
+    const absolutePath = path.resolve(this.rootPath, filePath);
+    const count = this.index.files.length;
+    this.index.files = this.index.files.filter(f => f.path !== absolutePath);
+    return this.index.files.length !== count;
+  }
+
+  /**
+   * Re-index files and report which entries changed
+   * @param {Array<string>} filePaths - Paths (absolute or relative to the root)
+   * @returns {Promise<Object>} - { updated, removed } lists of relative paths
+   */
+  async updateFiles(filePaths) {
+    const result = { updated: [], removed: [] };
+
+    for (const filePath of new Set(filePaths.map(p => path.resolve(this.rootPath, p)))) {
+      const status = await this.updateIndex(filePath);
+      if (status === 'updated' || status === 'removed') {
+        result[status].push(path.relative(this.rootPath, filePath));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Watch the project and re-index files as they change
+   * Events are collected for a short while and handled in one batch.
+   * @param {Function} onUpdate - Called with { updated, removed } after entries changed
+   * @param {number} debounceMs - Quiet time before a batch is handled
+   * @returns {boolean} - False if the platform can't watch the project recursively
+   */
+  startWatching(onUpdate, debounceMs = 500) {
+    if (this.watcher) {
+      return true;
+    }
+
+    const pending = new Set();
+    let timer = null;
+    let running = Promise.resolve();
+
+    const flush = () => {
+      timer = null;
+      const batch = [...pending];
+      pending.clear();
+
+      // Batches run one after another so index writes don't overlap
+      running = running.then(async () => {
+        const result = await this.updateFiles(batch);
+        if (result.updated.length > 0 || result.removed.length > 0) {
+          await onUpdate(result);
+        }
+      }).catch(error => console.warn(`Failed to update index: ${error.message}`));
+    };
+
+    try {
+      this.watcher = watch(this.rootPath, { recursive: true, persistent: false }, (eventType, filename) => {
+        if (!filename) return;
+
+        const relativePath = filename.toString();
+        if (IGNORE_FILES.includes(path.basename(relativePath))) {
+          this.ignoreRules.reset();
+        }
+        if (relativePath.split(path.sep).includes('.lmcode') || this._shouldExclude(relativePath, this._isDirectory(relativePath))) {
+          return;
+        }
+
+        pending.add(relativePath);
+        clearTimeout(timer);
+        timer = setTimeout(flush, debounceMs);
+      });
+    } catch (error) {
+      this.watcher = null;
+      return false;
+    }
+
+    this.watcher.on('error', (error) => {
+      console.warn(`File watcher stopped: ${error.message}`);
+      this.stopWatching();
+    });
+    return true;
+  }
+
+  /**
+   * Stop watching the project
+   */
+  stopWatching() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
     }
   }
 
@@ -679,17 +1565,107 @@ class CodebaseIndexer {
   }
 
   /**
-   * Find files containing a specific function or class
-   * @param {string} name - Function or class name
-   * @returns {Array<Object>} - Matching files
+   * Find where a function, class or method is defined
+   * @param {string} name - Symbol name, or Class.method
+   * @returns {Array<Object>} - Locations { name, kind, parent, signature, doc, startLine, endLine, path, relativePath }
+   *   (startLine and endLine are 1-based and inclusive, ready for read_file_lines; a file that only
+   *   exports the name without a symbol for it is returned with null lines)
    */
   findDefinition(name) {
-    return this.index.files.filter(
-      f =>
-        f.functions.includes(name) ||
-        f.classes.includes(name) ||
-        f.exports.includes(name)
-    );
+    const dot = name.lastIndexOf('.');
+    const parentName = dot > 0 ? name.slice(0, dot) : null;
+    const symbolName = dot > 0 ? name.slice(dot + 1) : name;
+    const locations = [];
+
+    for (const file of this.index.files) {
+      const symbols = (file.symbols || []).filter(symbol =>
+        symbol.name === symbolName && (!parentName || symbol.parent === parentName)
+      );
+
+      for (const symbol of symbols) {
+        locations.push({ ...symbol, path: file.path, relativePath: file.relativePath });
+      }
+
+      if (symbols.length === 0 && !parentName &&
+          (file.functions.includes(name) || file.classes.includes(name) || file.exports.includes(name))) {
+        locations.push({
+          name,
+          kind: file.classes.includes(name) ? 'class' : (file.functions.includes(name) ? 'function' : 'export'),
+          parent: null,
+          signature: null,
+          doc: null,
+          startLine: null,
+          endLine: null,
+          path: file.path,
+          relativePath: file.relativePath,
+        });
+      }
+    }
+
+    return locations;
+  }
+
+  /**
+   * Find every use of an identifier
+   * @param {string} name - Identifier (for Class.method, uses of the method name)
+   * @param {number} maxResults - Maximum references returned
+   * @returns {Promise<Object>} - { references, total, files } where each reference is
+   *   { path, relativePath, line, text, context, definition } (context is the enclosing
+   *   function, method or class, or null at the top level)
+   */
+  async findReferences(name, maxResults = 100) {
+    const identifier = name.slice(name.lastIndexOf('.') + 1);
+    const references = [];
+    let total = 0;
+    let files = 0;
+
+    for (const file of this.index.files) {
+      if (!file.references || !Object.hasOwn(file.references, identifier)) continue;
+
+      const lines = file.references[identifier];
+      total += lines.length;
+      files++;
+      if (references.length >= maxResults) continue;
+
+      let content = [];
+      try {
+        content = (await this.fileOps.readFile(file.path)).split('\n');
+      } catch (error) {
+        // Deleted since indexing: report the lines without text
+      }
+
+      for (const line of lines.slice(0, maxResults - references.length)) {
+        const symbols = file.symbols || [];
+        const definition = symbols.some(symbol => symbol.name === identifier && symbol.startLine === line);
+        const enclosing = symbols
+          .filter(symbol => symbol.startLine <= line && line <= symbol.endLine &&
+            !(symbol.name === identifier && symbol.startLine === line))
+          .reduce((inner, symbol) => (!inner || symbol.startLine >= inner.startLine ? symbol : inner), null);
+
+        references.push({
+          path: file.path,
+          relativePath: file.relativePath,
+          line,
+          text: content[line - 1] !== undefined ? content[line - 1].trim().slice(0, 200) : null,
+          context: enclosing ? `${enclosing.kind} ${enclosing.parent ? `${enclosing.parent}.` : ''}${enclosing.name}` : null,
+          definition,
+        });
+      }
+    }
+
+    return { references, total, files };
+  }
+
+  /**
+   * One-line description of a symbol
+   * @param {Object} symbol - Symbol or location from findDefinition
+   * @returns {string} - e.g. "method buildPrompt(userQuery, options = {}) in PromptBuilder"
+   */
+  static describeSymbol(symbol) {
+    const signature = symbol.signature || symbol.name;
+    // Signatures copied from the source line ("export class Foo") already name their kind
+    const kind = new RegExp(`\\b${symbol.kind}\\b`).test(signature) ? '' : `${symbol.kind} `;
+    return `${kind}${signature}${symbol.parent ? ` in ${symbol.parent}` : ''}`;
   }
 
   /**
@@ -714,6 +1690,7 @@ class CodebaseIndexer {
     try {
       if (!this.fileOps.fileExists(indexPath)) {
         this.index = {
+          version: INDEX_VERSION,
           projectRoot: this.rootPath,
           lastIndexed: null,
           files: [],
@@ -727,6 +1704,7 @@ class CodebaseIndexer {
     } catch (error) {
       console.warn(`Failed to load index: ${error.message}`);
       this.index = {
+        version: INDEX_VERSION,
         projectRoot: this.rootPath,
         lastIndexed: null,
         files: [],
@@ -0,0 +1,226 @@
+import { spawn } from 'child_process';
+
+// Options that make read-only commands write files (git diff/log --output=<file>, -o <file>).
+// Long options match from "--ou" because git accepts unambiguous abbreviations.
+const WRITE_OPTION = /^(?:--ou|-(?!-)[^=]*o)/;
+
+/**
+ * CommandRunner - Runs shell commands in the project root for the LLM
+ * Applies an allowlist/denylist, a timeout and output-size caps
+ */
+class CommandRunner {
+  constructor(rootPath, config = {}) {
+    this.rootPath = rootPath;
+    this.timeoutMs = config.timeoutMs || 120000;
+    this.maxOutputChars = config.maxOutputChars || 20000;
+    this.allowlist = config.allowlist || [];
+    this.denylist = config.denylist || [];
+  }
+
+  /**
+   * Check a command against the allowlist and denylist
+   * Allowlist entries match the start of a command (e.g. "npm test" allows "npm test -- --watch=false").
+   * Commands that chain or redirect (;, &&, |, >, backticks, line breaks), expand variables or
+   * substitutions ($VAR, ${...}, $(...)) or pass an output option (--output, -o) are never auto-allowed.
+   * The allowlist is checked against the command exactly as given, which is what run() executes.
+   * @param {string} command - Shell command
+   * @returns {Object} - { denied, reason, allowlisted }
+   */
+  checkCommand(command) {
+    // Whitespace is only folded for the denylist; a newline is a command separator to the shell
+    const normalized = command.trim().replace(/\s+/g, ' ');
+
+    if (!normalized) {
+      return { denied: true, reason: 'Empty command', allowlisted: false };
+    }
+
+    for (const entry of this.denylist) {
+      if (this._containsEntry(normalized, entry)) {
+        return { denied: true, reason: `Command matches denylist entry "${entry}"`, allowlisted: false };
+      }
+    }
+
+    const chained = /[;&|><`$\r\n]/.test(command);
+    const allowlisted = !chained && !this._hasWriteOption(command) && this.allowlist.some(
+      entry => command === entry || command.startsWith(entry + ' ')
+    );
+
+    return { denied: false, reason: null, allowlisted };
+  }
+
+  /**
+   * Check whether a command passes an option that writes to a file
+   * Quotes and backslashes are dropped first, as the shell would ("--out''put=x" is --output=x)
+   * @param {string} command - Command
+   * @returns {boolean}
+   */
+  _hasWriteOption(command) {
+    return command.split(/\s+/)
+      .map(arg => arg.replace(/['"\\]/g, ''))
+      .some(arg => WRITE_OPTION.test(arg));
+  }
+
+  /**
+   * Check whether a command contains a denylist entry as a whole word sequence
+   * ("sudo" matches "sudo make install" and "make && sudo make install", not "pseudo")
+   * @param {string} command - Normalized command
+   * @param {string} entry - Denylist entry
+   * @returns {boolean}
+   */
+  _containsEntry(command, entry) {
+    const escaped = entry.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[\\s;&|(\`])${escaped}(?=$|[\\s;&|)\`])`).test(command);
+  }
+
+  /**
+   * Run a command and capture its output
+   * @param {string} command - Shell command
+   * @param {Object} options - { timeoutMs, signal }
+   * @returns {Promise<Object>} - { command, stdout, stderr, exitCode, signal, timedOut, timeoutMs, truncated, durationMs }
+   */
+  run(command, options = {}) {
+    const timeoutMs = options.timeoutMs || this.timeoutMs;
+    const startTime = Date.now();
+
+    return new Promise((resolve, reject) => {
+      let child;
+      try {
+        child = spawn(command, {
+          cwd: this.rootPath,
+          shell: true,
+          stdio: ['ignore', 'pipe', 'pipe'],
+          // Own process group so the whole tree can be killed on timeout (POSIX)
+          detached: process.platform !== 'win32',
+          env: { ...process.env, CI: process.env.CI || '1' },
+        });
+      } catch (error) {
+        reject(new Error(`Failed to start command: ${error.message}`));
+        return;
+      }
+
+      const stdout = this._createCapture();
+      const stderr = this._createCapture();
+      let timedOut = false;
+      let cancelled = false;
+
+      child.stdout.on('data', (chunk) => stdout.append(chunk.toString()));
+      child.stderr.on('data', (chunk) => stderr.append(chunk.toString()));
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        this._kill(child);
+      }, timeoutMs);
+
+      const onAbort = () => {
+        cancelled = true;
+        this._kill(child);
+      };
+      if (options.signal) {
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', onAbort);
+        reject(new Error(`Failed to run command: ${error.message}`));
+      });
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', onAbort);
+
+        if (cancelled) {
+          const error = new Error('Command cancelled');
+          error.name = 'AbortError';
+          reject(error);
+          return;
+        }
+
+        resolve({
+          command,
+          stdout: stdout.text(),
+          stderr: stderr.text(),
+          exitCode,
+          signal,
+          timedOut,
+          timeoutMs,
+          truncated: stdout.truncated() || stderr.truncated(),
+          durationMs: Date.now() - startTime,
+        });
+      });
+    });
+  }
+
+  /**
+   * Format a command result for the LLM
+   * @param {Object} result - Result from run()
+   * @returns {string} - Formatted text
+   */
+  formatResult(result) {
+    let formatted = `\n\nCOMMAND: ${result.command}\n`;
+
+    if (result.timedOut) {
+      formatted += `Timed out after ${Math.round(result.timeoutMs / 1000)}s and was killed\n`;
+    }
+    formatted += `Exit code: ${result.exitCode === null ? `none (signal ${result.signal})` : result.exitCode}\n`;
+    formatted += `Duration: ${(result.durationMs / 1000).toFixed(1)}s\n`;
+    if (result.truncated) {
+      formatted += `Output was truncated to ${this.maxOutputChars} characters per stream\n`;
+    }
+
+    formatted += `\nSTDOUT:\n${result.stdout || '(empty)'}\n`;
+    formatted += `\nSTDERR:\n${result.stderr || '(empty)'}\n`;
+
+    return formatted;
+  }
+
+  /**
+   * Create an output buffer that keeps the start and the end of long output
+   * @returns {Object} - { append, text, truncated }
+   */
+  _createCapture() {
+    const half = Math.floor(this.maxOutputChars / 2);
+    let head = '';
+    let tail = '';
+    let total = 0;
+
+    return {
+      append: (chunk) => {
+        total += chunk.length;
+        if (head.length < half) {
+          const room = half - head.length;
+          head += chunk.slice(0, room);
+          chunk = chunk.slice(room);
+        }
+        if (chunk) {
+          tail = (tail + chunk).slice(-half);
+        }
+      },
+      text: () => {
+        if (total === head.length + tail.length) {
+          return head + tail;
+        }
+        return `${head}\n... [${total - head.length - tail.length} characters omitted] ...\n${tail}`;
+      },
+      truncated: () => total > head.length + tail.length,
+    };
+  }
+
+  /**
+   * Kill a command and its child processes
+   * @param {ChildProcess} child - Spawned process
+   */
+  _kill(child) {
+    try {
+      if (process.platform === 'win32') {
+        spawn('taskkill', ['/pid', String(child.pid), '/T', '/F']);
+      } else {
+        process.kill(-child.pid, 'SIGKILL');
+      }
+    } catch (error) {
+      child.kill('SIGKILL');
+    }
+  }
+}
+
+export default CommandRunner;
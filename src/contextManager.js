@@ -1,4 +1,5 @@
 import FileOperations from './fileOperations.js';
+import { stripReasoning } from './reasoning.js';
 
 /**
  * ContextManager - Manages conversation history and compression
@@ -37,7 +38,8 @@ class ContextManager {
   addMessage(role, content) {
     const message = {
       role,
-      content,
+      // Reasoning of thinking models is only useful for the turn that produced it
+      content: role === 'assistant' ? stripReasoning(content) : content,
       timestamp: new Date().toISOString(),
     };
 
@@ -64,10 +66,11 @@ class ContextManager {
   /**
    * Get available context window size
    * Uses actual model context window from LMStudio API
+   * @param {string} role - Model role (chat, edit, compress)
    * @returns {number} - Context window size in tokens
    */
-  getAvailableContext() {
-    return this.lmstudioClient.getContextWindow();
+  getAvailableContext(role = 'chat') {
+    return this.lmstudioClient.getContextWindow(role);
   }
 
   /**
@@ -110,8 +113,22 @@ class ContextManager {
       return;
     }
 
-    // Format messages for compression
-    const conversationText = this._formatMessagesForCompression(toCompress);
+    // Load the compress model first so the text is cut to its own context window
+    try {
+      await this.lmstudioClient.prepareRole('compress');
+    } catch (error) {
+      console.error('Failed to compress history:', error.message);
+      return;
+    }
+
+    // Format messages for compression, keeping the newest part if it doesn't fit the compress model
+    let conversationText = this._formatMessagesForCompression(toCompress);
+    const compressContext = this.getAvailableContext('compress');
+    if (compressContext) {
+      // Room for the instructions and the 1000-token summary
+      const compressBudget = this.tokenCounter.calculateAvailableTokens(compressContext, 1500);
+      conversationText = this._keepLastTokens(conversationText, compressBudget);
+    }
 
     // Compress using LLM
     const compressionPrompt = `Compress this conversation into concise technical bullet points. Preserve all important information including:
@@ -147,6 +164,25 @@ Format as bullet points, grouped by topic.`;
     }
   }
 
+  /**
+   * Keep the end of a text within a token limit
+   * @param {string} text - Text to shorten
+   * @param {number} maxTokens - Maximum tokens
+   * @returns {string} - The last part of the text
+   */
+  _keepLastTokens(text, maxTokens) {
+    if (this.tokenCounter.countTokens(text) <= maxTokens) {
+      return text;
+    }
+    // Estimate the cut from the token ratio, then trim until it fits
+    const ratio = maxTokens / this.tokenCounter.countTokens(text);
+    let kept = text.slice(-Math.floor(text.length * ratio * 0.95));
+    while (kept.length > 0 && this.tokenCounter.countTokens(kept) > maxTokens) {
+      kept = kept.slice(100);
+    }
+    return '[earlier text omitted] ...\n' + kept;
+  }
+
   /**
    * Format messages for compression
    * @param {Array} messages - Messages to format
@@ -160,9 +160,10 @@ class FileOperations {
    * List files in a directory
    * @param {string} directory - Directory path
    * @param {boolean} recursive - Whether to list recursively
+   * @param {Function} exclude - Optional predicate (root-relative path, isDirectory); excluded directories are not descended into
    * @returns {Promise<Array<string>>} - List of file paths
    */
-  async listFiles(directory, recursive = false) {
+  async listFiles(directory, recursive = false, exclude = null) {
     try {
       const resolved = this.resolvePath(directory);
 
@@ -176,11 +177,12 @@ class FileOperations {
       }
 
       if (recursive) {
-        return await this._listFilesRecursive(resolved);
+        return await this._listFilesRecursive(resolved, exclude);
       } else {
         const entries = await fs.readdir(resolved, { withFileTypes: true });
         return entries
           .filter(entry => entry.isFile())
+          .filter(entry => !exclude || !exclude(path.relative(this.rootPath, path.join(resolved, entry.name)), false))
           .map(entry => path.join(directory, entry.name));
       }
     } catch (error) {
@@ -188,20 +190,47 @@ class FileOperations {
     }
   }
 
+  /**
+   * List the direct children of a directory without descending into subdirectories
+   * @param {string} directory - Directory path
+   * @param {Function} exclude - Optional predicate (root-relative path, isDirectory)
+   * @returns {Promise<Array<string>>} - Entry names, directories with a trailing "/"
+   */
+  async listDirectoryEntries(directory, exclude = null) {
+    const resolved = this.resolvePath(directory);
+    let entries;
+    try {
+      entries = await fs.readdir(resolved, { withFileTypes: true });
+    } catch (error) {
+      const reason = error.code === 'ENOENT' ? 'Directory not found' : (error.code === 'ENOTDIR' ? 'Path is not a directory' : error.message);
+      throw new Error(`Failed to list ${directory}: ${reason}`);
+    }
+
+    return entries
+      .filter(entry => entry.isFile() || entry.isDirectory())
+      .filter(entry => !exclude || !exclude(path.relative(this.rootPath, path.join(resolved, entry.name)), entry.isDirectory()))
+      .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name);
+  }
+
   /**
    * Recursively list all files in a directory
    * @param {string} directory - Directory path
+   * @param {Function} exclude - Optional predicate (root-relative path, isDirectory)
    * @returns {Promise<Array<string>>} - List of file paths
    */
-  async _listFilesRecursive(directory) {
+  async _listFilesRecursive(directory, exclude = null) {
     const results = [];
     const entries = await fs.readdir(directory, { withFileTypes: true });
 
     for (const entry of entries) {
       const fullPath = path.join(directory, entry.name);
 
+      if (exclude && exclude(path.relative(this.rootPath, fullPath), entry.isDirectory())) {
+        continue;
+      }
+
       if (entry.isDirectory()) {
-        const subFiles = await this._listFilesRecursive(fullPath);
+        const subFiles = await this._listFilesRecursive(fullPath, exclude);
         results.push(...subFiles);
       } else if (entry.isFile()) {
         // Return relative path from rootPath
@@ -0,0 +1,234 @@
+import path from 'path';
+import { readFileSync } from 'fs';
+
+// Ignore files read in every directory, lowest priority first
+export const IGNORE_FILES = ['.gitignore', '.lmcodeignore'];
+
+/**
+ * IgnoreRules - gitignore-compatible path matching
+ * Rules come from codebase.excludePatterns, then .gitignore and .lmcodeignore in each
+ * directory from the root down; the last matching rule wins, as in git. Supports negation
+ * (!), anchoring (leading or inner /), directory-only patterns (trailing /), *, ?, [...]
+ * and **. A path inside an ignored directory is ignored even if a later rule negates it.
+ * Paths are relative to the project root, with / or the platform separator.
+ */
+class IgnoreRules {
+  /**
+   * @param {string} rootPath - Project root
+   * @param {Array<string>} excludePatterns - Patterns from codebase.excludePatterns
+   */
+  constructor(rootPath, excludePatterns = []) {
+    this.rootPath = rootPath;
+    this.baseRules = excludePatterns
+      .map((pattern, i) => IgnoreRules.parseRule(pattern, '', 'codebase.excludePatterns', i + 1))
+      .filter(Boolean);
+    this.directoryRules = new Map(); // directory relative to root -> rules of its ignore files
+  }
+
+  /**
+   * Forget the ignore files read so far (after one was changed)
+   */
+  reset() {
+    this.directoryRules.clear();
+  }
+
+  /**
+   * Check if a path is ignored
+   * @param {string} relativePath - Path relative to the root
+   * @param {boolean} isDirectory - Whether the path is a directory (directory-only patterns)
+   * @returns {boolean}
+   */
+  isIgnored(relativePath, isDirectory = false) {
+    return this.explain(relativePath, isDirectory).ignored;
+  }
+
+  /**
+   * Find the rule that decides whether a path is ignored
+   * @param {string} relativePath - Path relative to the root
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {Object} - { ignored, rule, matchedPath } (rule is { pattern, source, line, negated }
+   *   or null when no rule matched; matchedPath is the path or the parent directory it matched)
+   */
+  explain(relativePath, isDirectory = false) {
+    const parts = relativePath.split(/[\\/]+/).filter(part => part && part !== '.');
+
+    // Git does not look inside ignored directories, so an ignored parent decides
+    for (let i = 1; i < parts.length; i++) {
+      const directory = parts.slice(0, i).join('/');
+      const decision = this._match(directory, true);
+      if (decision.ignored) {
+        return decision;
+      }
+    }
+
+    return this._match(parts.join('/'), isDirectory);
+  }
+
+  /**
+   * Apply the rules that can see a path (its own parents' directories are not checked)
+   * @param {string} filePath - Normalised relative path
+   * @param {boolean} isDirectory - Whether the path is a directory
+   * @returns {Object} - { ignored, rule, matchedPath }
+   */
+  _match(filePath, isDirectory) {
+    let decision = { ignored: false, rule: null, matchedPath: filePath };
+
+    for (const rule of this._rulesFor(filePath)) {
+      if (rule.directoryOnly && !isDirectory) continue;
+
+      const target = rule.base ? filePath.slice(rule.base.length + 1) : filePath;
+      if (rule.regex.test(target)) {
+        decision = {
+          ignored: !rule.negated,
+          rule: { pattern: rule.pattern, source: rule.source, line: rule.line, negated: rule.negated },
+          matchedPath: filePath,
+        };
+      }
+    }
+
+    return decision;
+  }
+
+  /**
+   * Rules in priority order for a path: excludePatterns, then ignore files from the root down
+   * @param {string} filePath - Normalised relative path
+   * @returns {Array<Object>} - Compiled rules
+   */
+  _rulesFor(filePath) {
+    const rules = [...this.baseRules];
+    const parts = filePath.split('/');
+
+    for (let i = 0; i < parts.length; i++) {
+      rules.push(...this._loadDirectory(parts.slice(0, i).join('/')));
+    }
+    return rules;
+  }
+
+  /**
+   * Read the ignore files of a directory (cached)
+   * @param {string} directory - Directory relative to the root ('' for the root)
+   * @returns {Array<Object>} - Compiled rules
+   */
+  _loadDirectory(directory) {
+    if (this.directoryRules.has(directory)) {
+      return this.directoryRules.get(directory);
+    }
+
+    const rules = [];
+    for (const name of IGNORE_FILES) {
+      const source = directory ? `${directory}/${name}` : name;
+      let text;
+      try {
+        text = readFileSync(path.join(this.rootPath, source), 'utf-8');
+      } catch (error) {
+        continue;
+      }
+
+      text.split(/\r?\n/).forEach((line, i) => {
+        const rule = IgnoreRules.parseRule(line, directory, source, i + 1);
+        if (rule) rules.push(rule);
+      });
+    }
+
+    this.directoryRules.set(directory, rules);
+    return rules;
+  }
+
+  /**
+   * Compile one line of an ignore file
+   * @param {string} line - Pattern line
+   * @param {string} base - Directory of the ignore file, relative to the root
+   * @param {string} source - Where the rule came from (for explanations)
+   * @param {number} lineNumber - Line in the source
+   * @returns {Object|null} - Rule, or null for blank lines and comments
+   */
+  static parseRule(line, base, source, lineNumber) {
+    // Trailing spaces are ignored unless escaped
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) {
+      return null;
+    }
+
+    const original = pattern;
+    let negated = false;
+    if (pattern.startsWith('!')) {
+      negated = true;
+      pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+      pattern = pattern.slice(1);
+    }
+
+    let directoryOnly = false;
+    if (pattern.endsWith('/')) {
+      directoryOnly = true;
+      pattern = pattern.replace(/\/+$/, '');
+    }
+
+    // A slash at the start or in the middle anchors the pattern to the ignore file's directory
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\/+/, '');
+    if (!pattern) {
+      return null;
+    }
+
+    const body = IgnoreRules.globToRegex(pattern);
+    return {
+      pattern: original,
+      source,
+      line: lineNumber,
+      base,
+      negated,
+      directoryOnly,
+      regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`),
+    };
+  }
+
+  /**
+   * Convert a gitignore glob to a regular expression body
+   * @param {string} glob - Pattern without negation, anchoring or trailing slash
+   * @returns {string}
+   */
+  static globToRegex(glob) {
+    let regex = '';
+
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === '*') {
+        if (glob[i + 1] === '*') {
+          const atStart = i === 0 || glob[i - 1] === '/';
+          if (atStart && glob[i + 2] === '/') {
+            regex += '(?:.*/)?'; // **/ - zero or more directories
+            i += 2;
+          } else {
+            regex += '.*'; // trailing /** - everything inside
+            i += 1;
+          }
+        } else {
+          regex += '[^/]*';
+        }
+      } else if (char === '?') {
+        regex += '[^/]';
+      } else if (char === '[') {
+        const end = glob.indexOf(']', i + 2);
+        if (end === -1) {
+          regex += '\\[';
+        } else {
+          let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+          if (set.startsWith('!')) set = '^' + set.slice(1);
+          regex += `[${set}]`;
+          i = end;
+        }
+      } else if (char === '\\' && i + 1 < glob.length) {
+        regex += glob[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        i += 1;
+      } else {
+        regex += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      }
+    }
+
+    return regex;
+  }
+}
+
+export default IgnoreRules;
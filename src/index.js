@@ -5,7 +5,7 @@ import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
 import fs from 'fs/promises';
-import { existsSync } from 'fs';
+import { existsSync, realpathSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import os from 'os';
@@ -22,6 +22,13 @@ import CodebaseIndexer from './codebaseIndexer.js';
 import ResponseParser from './responseParser.js';
 import PromptBuilder from './promptBuilder.js';
 import WebScraper from './webScraper.js';
+import CommandRunner from './commandRunner.js';
+import MCPClient from './mcpClient.js';
+import MCPServer from './mcpServer.js';
+import Cassette from './cassette.js';
+import MockServer from './mockServer.js';
+import MetricsLog from './metricsLog.js';
+import { resolveProvider, getProviderNames } from './providers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,21 +38,52 @@ const __dirname = path.dirname(__filename);
  */
 function getDefaultConfig() {
   return {
+    provider: 'lmstudio',
+    providers: {},
     lmstudio: {
       baseURL: 'http://localhost:1234/v1',
       model: 'local-model',
       temperature: 0.7,
+      maxContinuations: 3,
+    },
+    // Model per job; null uses the chat model (lmstudio.model)
+    models: {
+      chat: null,
+      edit: null,
+      compress: null,
     },
     contextManagement: {
       maxContextTokens: 3500,
       compressionThreshold: 0.7,
       recentMessagesCount: 5,
       maxFilesInContext: 5,
+      maxRelatedFiles: 3, // imports and importers of matched files added to the context
+    },
+    agent: {
+      maxIterations: 10,
+      maxRepeatedCalls: 2,
+      maxArgumentCorrections: 3,
+    },
+    reasoning: {
+      show: false, // false: one collapsed line per response, true: full reasoning, dimmed
+    },
+    tokenizer: {
+      // auto: server tokenizer when the provider has one, else learn from usage
+      // tiktoken: cl100k counts only; calibrated: learn from usage; server: tokenize endpoint
+      backend: 'auto',
     },
+    commands: {
+      timeoutMs: 120000,
+      maxOutputChars: 20000,
+      allowlist: ['npm test', 'npm run test', 'npm run lint', 'npm run build', 'npx tsc', 'node --check', 'git status', 'git diff', 'git log', 'ls', 'pwd'],
+      denylist: ['sudo', 'rm -rf /', 'rm -rf ~', 'git push', 'git reset --hard', 'shutdown', 'reboot', 'mkfs', 'dd'],
+    },
+    mcpServers: {},
     codebase: {
       rootPath: './',
       excludePatterns: ['node_modules', '.git', 'dist', 'build', 'data', '.lmcode'],
       excludeExtensions: ['.exe', '.dll', '.so', '.dylib', '.bin', '.zip', '.tar', '.gz', '.rar', '.7z', '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.svg', '.mp3', '.mp4', '.wav', '.avi', '.mov', '.mkv', '.obj', '.o', '.a', '.lib', '.pyc', '.class', '.jar'],
+      watch: false, // Re-index files as they change during an interactive session
     },
     prompts: {
       mode: 'normal',
@@ -59,13 +97,17 @@ function getDefaultConfig() {
  * Main Application Class
  */
 class LMStudioContextManager {
-  constructor(projectRoot = null) {
+  constructor(projectRoot = null, options = {}) {
     this.projectRoot = projectRoot || process.cwd();
+    this.providerName = options.provider || null; // --provider overrides config.provider
+    this.cassetteOptions = { record: options.record || null, replay: options.replay || null };
     this.lmcodeDir = path.join(this.projectRoot, '.lmcode');
     this.config = null;
     this.components = {};
     this.initialized = false;
     this.customInstructions = null; // Custom instructions from LMCODE.md
+    this.mcpClients = new Map(); // MCP server name -> MCPClient
+    this.reasoningStats = { responses: 0, tokens: 0, lastTokens: 0 }; // Thinking output this session
   }
 
   /**
@@ -88,10 +130,22 @@ class LMStudioContextManager {
     await this.loadInstructions();
 
     // Initialize components
-    this.components.tokenCounter = new TokenCounter();
-    this.components.lmstudioClient = new LMStudioClient(this.config.lmstudio);
+    this.components.tokenCounter = new TokenCounter(this.config.tokenizer || getDefaultConfig().tokenizer);
+    await this.components.tokenCounter.loadCalibration(path.join(this.lmcodeDir, 'token_calibration.json'));
+    this.config.models = this.config.models || getDefaultConfig().models;
+    this.components.lmstudioClient = new LMStudioClient(this.config.lmstudio, this.resolveProviderProfile(), this.config.models);
+    this.setupCassette();
+    // Replayed calls have no meaningful timings
+    this.metricsLog = new MetricsLog(path.join(this.lmcodeDir, 'metrics.jsonl'));
+    if (!this.cassetteOptions.replay) {
+      this.components.lmstudioClient.setMetricsLog(this.metricsLog);
+    }
     this.components.fileOps = new FileOperations(this.projectRoot);
     this.components.webScraper = new WebScraper();
+    this.components.commandRunner = new CommandRunner(
+      this.projectRoot,
+      this.config.commands || getDefaultConfig().commands
+    );
 
     const taskPath = path.join(this.lmcodeDir, 'task_list.json');
     this.components.taskManager = new TaskManager(taskPath, this.components.fileOps);
@@ -126,6 +180,9 @@ class LMStudioContextManager {
       this.components.promptBuilder.setCustomInstructions(this.customInstructions);
     }
 
+    // Load project-specific tools from .lmcode/tools
+    await this.loadCustomTools();
+
     // Load saved data
     await this.components.taskManager.initialize();
     await this.components.contextManager.initialize();
@@ -137,6 +194,53 @@ class LMStudioContextManager {
     console.log(chalk.green('✓ Ready\n'));
   }
 
+  /**
+   * Resolve the provider profile selected by --provider or config.provider
+   * Falls back to LM Studio if the name is unknown
+   * @returns {Object} - Resolved provider profile
+   */
+  resolveProviderProfile() {
+    try {
+      return resolveProvider(this.config, this.providerName);
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: ${error.message} - using LM Studio`));
+      return resolveProvider(this.config, 'lmstudio');
+    }
+  }
+
+  /**
+   * Save changed settings to .lmcode/config.json
+   * Only the given keys are written into the file as it is on disk, so merged defaults and
+   * machine-specific values of the running session stay out of the (shared) project config.
+   * @param {Object} changes - Dotted key paths and their new values, e.g. { 'reasoning.show': true }
+   */
+  async saveConfig(changes) {
+    const configPath = path.join(this.lmcodeDir, 'config.json');
+    let saved = {};
+    try {
+      saved = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(chalk.yellow(`Warning: not saving settings, ${configPath} could not be read: ${error.message}`));
+        return;
+      }
+    }
+
+    for (const [keyPath, value] of Object.entries(changes)) {
+      const keys = keyPath.split('.');
+      let target = saved;
+      for (const key of keys.slice(0, -1)) {
+        if (!target[key] || typeof target[key] !== 'object') {
+          target[key] = {};
+        }
+        target = target[key];
+      }
+      target[keys[keys.length - 1]] = value;
+    }
+
+    await fs.writeFile(configPath, JSON.stringify(saved, null, 2));
+  }
+
   /**
    * Check and compress context if needed
    */
@@ -209,6 +313,39 @@ class LMStudioContextManager {
     this.config.codebase.rootPath = this.projectRoot;
   }
 
+  /**
+   * Attach a record/replay cassette to the client (--record / --replay)
+   */
+  setupCassette() {
+    const { record, replay } = this.cassetteOptions;
+    if (!record && !replay) {
+      return;
+    }
+    if (record && replay) {
+      console.error(chalk.red('--record and --replay cannot be used together'));
+      process.exit(1);
+    }
+
+    // --record without a name gets a timestamped cassette
+    const name = replay || (record === true ? `session-${new Date().toISOString().replace(/[:.]/g, '-')}` : record);
+    const filePath = Cassette.resolvePath(this.lmcodeDir, name);
+
+    let cassette;
+    try {
+      cassette = new Cassette(filePath, replay ? 'replay' : 'record');
+    } catch (error) {
+      console.error(chalk.red(`Failed to open cassette: ${error.message}`));
+      process.exit(1);
+    }
+    this.components.lmstudioClient.setCassette(cassette);
+
+    if (replay) {
+      console.log(chalk.gray(`Replaying ${cassette.entries.length} recorded request(s) from ${filePath}\n`));
+    } else {
+      console.log(chalk.gray(`Recording server traffic to ${filePath}\n`));
+    }
+  }
+
   /**
    * Auto-initialize project (silent, no prompts)
    */
@@ -239,7 +376,7 @@ class LMStudioContextManager {
 
     // Create .gitignore for .lmcode directory
     const gitignorePath = path.join(this.lmcodeDir, '.gitignore');
-    await fs.writeFile(gitignorePath, '# LMCode data files\n*\n!config.json\n!LMCODE.md\n!.gitignore\n');
+    await fs.writeFile(gitignorePath, '# LMCode data files\n*\n!config.json\n!LMCODE.md\n!.gitignore\n!tools/\n!tools/**\n');
 
     // Create sample LMCODE.md file
     const instructionsPath = path.join(this.lmcodeDir, 'LMCODE.md');
@@ -274,6 +411,175 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
     }
   }
 
+  /**
+   * Load custom tools from .lmcode/tools and offer them to the model
+   */
+  async loadCustomTools() {
+    const { loadCustomTools, getToolDefinitions } = await import('./tools.js');
+    const toolsDir = path.join(this.lmcodeDir, 'tools');
+    const { loaded, errors } = await loadCustomTools(toolsDir);
+
+    for (const error of errors) {
+      console.warn(chalk.yellow(`Warning: Failed to load custom tool ${error}`));
+    }
+    if (loaded.length > 0) {
+      console.log(chalk.gray(`✓ Loaded ${loaded.length} custom tool(s): ${loaded.join(', ')}\n`));
+    }
+
+    this.components.lmstudioClient.toolDefinitions = getToolDefinitions();
+  }
+
+  /**
+   * Start the MCP servers from config.mcpServers and register their tools
+   * Tools are named "<server>__<tool>" and run through the server's session.
+   */
+  async connectMcpServers() {
+    const servers = Object.entries(this.config.mcpServers || {})
+      .filter(([, serverConfig]) => !serverConfig.disabled);
+
+    if (servers.length === 0) return;
+
+    const { registerCustomTool, getToolDefinitions } = await import('./tools.js');
+
+    for (const [name, serverConfig] of servers) {
+      const spinner = ora(`Starting MCP server ${name}...`).start();
+      const client = new MCPClient(name, serverConfig, this.projectRoot);
+
+      try {
+        await client.connect();
+        let tools = await client.listTools();
+        if (Array.isArray(serverConfig.tools)) {
+          tools = tools.filter(tool => serverConfig.tools.includes(tool.name));
+        }
+
+        const registered = [];
+        const failed = [];
+        for (const tool of tools) {
+          try {
+            registerCustomTool({
+              definition: {
+                name: this.getMcpToolName(name, tool.name),
+                description: `[${name}] ${tool.description || tool.title || tool.name}`,
+                parameters: tool.inputSchema,
+              },
+              handler: (args) => client.callTool(tool.name, args),
+              readOnly: !!serverConfig.trusted || tool.annotations?.readOnlyHint === true,
+            }, `MCP server ${name}`);
+            registered.push(tool.name);
+          } catch (error) {
+            failed.push(`${tool.name} (${error.message})`);
+          }
+        }
+
+        this.mcpClients.set(name, client);
+        spinner.succeed(`MCP server ${name}: ${registered.length} tool(s)`);
+        for (const failure of failed) {
+          console.warn(chalk.yellow(`  Warning: Skipped tool ${failure}`));
+        }
+      } catch (error) {
+        client.close();
+        spinner.fail(`MCP server ${name} failed to start: ${error.message}`);
+      }
+    }
+
+    this.components.lmstudioClient.toolDefinitions = getToolDefinitions();
+    console.log();
+  }
+
+  /**
+   * Name under which an MCP tool is offered to the model
+   * @param {string} serverName - Server name from the config
+   * @param {string} toolName - Tool name as the server knows it
+   * @returns {string} - "<server>__<tool>" with characters outside [A-Za-z0-9_-] replaced
+   */
+  getMcpToolName(serverName, toolName) {
+    return `${serverName}__${toolName}`.replace(/[^\w-]/g, '_');
+  }
+
+  /**
+   * Stop all MCP servers
+   */
+  closeMcpServers() {
+    for (const client of this.mcpClients.values()) {
+      client.close();
+    }
+    this.mcpClients.clear();
+  }
+
+  /**
+   * Show connected MCP servers and their tools
+   */
+  showMcpServers() {
+    console.log(chalk.cyan('\n=== MCP Servers ===\n'));
+
+    const configured = Object.keys(this.config.mcpServers || {});
+    if (configured.length === 0) {
+      console.log(chalk.gray('No MCP servers configured. Add them under "mcpServers" in .lmcode/config.json\n'));
+      return;
+    }
+
+    for (const name of configured) {
+      const client = this.mcpClients.get(name);
+      if (!client) {
+        console.log(chalk.red(`✗ ${name}`) + chalk.gray(' (not running)'));
+        continue;
+      }
+
+      console.log(chalk.green(`✓ ${name}`) + chalk.gray(` (${client.serverInfo?.name || name}, ${client.tools.length} tool(s))`));
+      for (const tool of client.tools) {
+        console.log(chalk.gray(`    ${this.getMcpToolName(name, tool.name)}`));
+      }
+    }
+    console.log();
+  }
+
+  /**
+   * Context passed to custom tool handlers
+   * @returns {Object} - Project root, config and shared components
+   */
+  getToolContext() {
+    return {
+      projectRoot: this.projectRoot,
+      config: this.config,
+      fileOps: this.components.fileOps,
+      codebaseIndexer: this.components.codebaseIndexer,
+      taskManager: this.components.taskManager,
+    };
+  }
+
+  /**
+   * Run a custom tool, asking for confirmation unless it is marked read-only
+   * @param {Object} call - { name, arguments }
+   * @returns {Promise<string>} - Result text for the model
+   */
+  async runCustomTool(call) {
+    const { getCustomTool, executeCustomTool } = await import('./tools.js');
+    const tool = getCustomTool(call.name);
+
+    if (!tool.readOnly) {
+      const { execute } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'execute',
+          message: `Run custom tool ${call.name}(${JSON.stringify(call.arguments).substring(0, 80)})?`,
+          default: true,
+        },
+      ]);
+
+      if (!execute) {
+        return 'Not executed: the user declined this action';
+      }
+    }
+
+    console.log(chalk.cyan(`\n🧩 Running ${call.name}...`));
+    try {
+      return await executeCustomTool(call.name, call.arguments, this.getToolContext());
+    } catch (error) {
+      console.log(chalk.red(`  ✗ ${call.name} failed: ${error.message}`));
+      return `Error executing ${call.name}: ${error.message}`;
+    }
+  }
+
   /**
    * Initialize a new project
    */
@@ -324,7 +630,7 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
 
     // Create .gitignore for .lmcode directory
     const gitignorePath = path.join(this.lmcodeDir, '.gitignore');
-    await fs.writeFile(gitignorePath, '# LMCode data files\n*\n!config.json\n!.gitignore\n');
+    await fs.writeFile(gitignorePath, '# LMCode data files\n*\n!config.json\n!.gitignore\n!tools/\n!tools/**\n');
 
     console.log(chalk.green('✓ Project initialized successfully!\n'));
     console.log(chalk.white('Next steps:'));
@@ -334,10 +640,30 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
   }
 
   /**
-   * Test connection to LMStudio and fetch model capabilities
+   * Measure each routed model's token ratio with the server's tokenizer, if it has one
+   * Without a tokenize endpoint ratios are learned from reported usage instead
+   */
+  async calibrateTokenizer() {
+    const { lmstudioClient, tokenCounter } = this.components;
+    const calibrated = new Set();
+
+    for (const route of lmstudioClient.getModelRoutes()) {
+      if (calibrated.has(route.model)) continue;
+      calibrated.add(route.model);
+
+      const ratio = await tokenCounter.calibrateWithTokenizer(route.model, text => lmstudioClient.tokenize(text, route.role));
+      if (ratio === null && tokenCounter.backend === 'server') {
+        console.log(chalk.yellow(`\n⚠ ${lmstudioClient.provider.label} has no tokenize endpoint - learning ${route.model}'s token ratio from usage`));
+      }
+    }
+  }
+
+  /**
+   * Test connection to the provider and fetch model capabilities
    */
   async testConnection() {
-    const spinner = ora('Testing connection to LMStudio...').start();
+    const providerLabel = this.components.lmstudioClient.provider.label;
+    const spinner = ora(`Testing connection to ${providerLabel}...`).start();
 
     try {
       await this.components.lmstudioClient.testConnection();
@@ -345,13 +671,14 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
 
       // Fetch model context window and other capabilities
       await this.components.lmstudioClient.fetchModelCapabilities();
+      await this.calibrateTokenizer();
 
       const contextWindow = this.components.lmstudioClient.getContextWindow();
       const modelName = this.components.lmstudioClient.model;
       const toolsEnabled = this.components.lmstudioClient.supportsTools;
 
       // Build connection message
-      let connectionMsg = `Connected to LMStudio (model: ${modelName}`;
+      let connectionMsg = `Connected to ${providerLabel} (model: ${modelName}`;
       if (contextWindow) {
         connectionMsg += `, context: ${contextWindow} tokens`;
       }
@@ -360,6 +687,16 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
 
       if (contextWindow) {
         spinner.succeed(connectionMsg);
+        for (const route of this.components.lmstudioClient.getModelRoutes()) {
+          if (route.model === modelName) continue;
+          if (route.contextWindow) {
+            console.log(chalk.gray(`  ${route.role}: ${route.model} (context: ${route.contextWindow} tokens)`));
+          } else if (route.pendingLoad) {
+            console.log(chalk.gray(`  ${route.role}: ${route.model} (not loaded - loads on first use)`));
+          } else {
+            console.log(chalk.yellow(`  ${route.role}: ${route.model} (context unknown - using the chat model's ${contextWindow} tokens; set models.${route.role}.contextLength)`));
+          }
+        }
         return true;
       } else {
         spinner.warn(connectionMsg);
@@ -367,11 +704,11 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
         console.log(chalk.white('Please set the context length manually using:'));
         console.log(chalk.cyan('  /context <number>'));
         console.log(chalk.gray('\nExample: /context 4096'));
-        console.log(chalk.gray('You can find your model\'s context length in LM Studio\'s model info.\n'));
+        console.log(chalk.gray(`You can find your model's context length in ${providerLabel}'s model info.\n`));
         return 'no-context';
       }
     } catch (error) {
-      spinner.fail('Failed to connect to LMStudio');
+      spinner.fail(`Failed to connect to ${providerLabel}`);
       console.error(chalk.red(error.message));
       return false;
     }
@@ -570,6 +907,10 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
     console.log(chalk.gray('Type your questions or commands. Use /help for available commands.'));
     console.log(chalk.gray('Press ESC to cancel during LLM generation.\n'));
 
+    // Start MCP servers (only in interactive mode, so one-shot commands exit cleanly)
+    await this.connectMcpServers();
+    this.startIndexWatcher();
+
     // Check connection
     const connectionStatus = await this.testConnection();
     let needContextPrompt = false;
@@ -636,6 +977,47 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
 
     // Save state before exit
     await this.saveState();
+    this.closeMcpServers();
+    this.components.codebaseIndexer.stopWatching();
+  }
+
+  /**
+   * Keep the codebase index current while the session runs (codebase.watch)
+   */
+  startIndexWatcher() {
+    if (!this.config.codebase?.watch) {
+      return;
+    }
+
+    const indexPath = path.join(this.lmcodeDir, 'codebase_index.json');
+    const started = this.components.codebaseIndexer.startWatching(async () => {
+      await this.components.codebaseIndexer.saveIndex(indexPath);
+    });
+
+    if (started) {
+      console.log(chalk.gray('Watching project files to keep the index current\n'));
+    } else {
+      console.log(chalk.yellow('⚠ File watching is not supported here - use /init to refresh the index\n'));
+    }
+  }
+
+  /**
+   * Re-index files changed by the assistant and save the index
+   * @param {Array<string>} filePaths - Created, edited or deleted paths
+   */
+  async reindexFiles(filePaths) {
+    if (filePaths.length === 0) {
+      return;
+    }
+
+    try {
+      const result = await this.components.codebaseIndexer.updateFiles(filePaths);
+      if (result.updated.length > 0 || result.removed.length > 0) {
+        await this.components.codebaseIndexer.saveIndex(path.join(this.lmcodeDir, 'codebase_index.json'));
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`Failed to update index: ${error.message}`));
+    }
   }
 
   /**
@@ -659,7 +1041,15 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
 
       case 'init':
       case 'index':
-        await this.rebuildIndex();
+        if (args[0] === '--explain') {
+          this.explainIndexPath(args.slice(1).join(' '));
+        } else {
+          await this.rebuildIndex({ full: args.includes('--full') });
+        }
+        break;
+
+      case 'deps':
+        this.showDependencies(args.join(' ').trim());
         break;
 
       case 'compress':
@@ -678,10 +1068,27 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
         await this.toggleTools(args);
         break;
 
+      case 'think':
+        await this.toggleReasoning(args);
+        break;
+
       case 'stats':
         this.showStats();
         break;
 
+      case 'mcp':
+        this.showMcpServers();
+        break;
+
+      case 'provider':
+        await this.switchProvider(args);
+        break;
+
+      case 'model':
+      case 'models':
+        await this.switchModel(args);
+        break;
+
       case 'clear':
         await this.clearHistory();
         break;
@@ -785,305 +1192,766 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
   }
 
   /**
-   * Setup ESC key listener for cancellation during processing
+   * Handle a web search request from the LLM
+   * @param {string} query - Search query
+   * @returns {Promise<string>} - Formatted results
    */
-  setupCancellationListener(abortController) {
-    if (!process.stdin.isTTY) return null;
-
-    const onKeyPress = (data) => {
-      // ESC key - just abort, let error handling deal with cleanup
-      if (data === '\x1b' || data === '\x1b\x1b') {
-        abortController.abort();
-      }
-    };
-
-    // Set up raw mode to capture ESC key
-    process.stdin.setRawMode(true);
-    process.stdin.resume();
-    process.stdin.setEncoding('utf8');
-    process.stdin.on('data', onKeyPress);
+  async handleWebSearch(query) {
+    console.log(chalk.cyan(`\n🌐 Searching web for: ${query}`));
+    try {
+      const results = await this.components.webScraper.searchWeb(query);
+      const formatted = this.components.webScraper.formatSearchResults(results);
+      return `\n\nWEB SEARCH RESULTS FOR "${query}":\n${formatted}\n`;
+    } catch (error) {
+      console.log(chalk.red(`  ✗ Web search failed: ${error.message}`));
+      return `\n\nWEB SEARCH FAILED: ${error.message}\n`;
+    }
+  }
 
-    // Return cleanup function
-    return () => {
-      process.stdin.removeListener('data', onKeyPress);
-      // Don't pause stdin - let customInput handle stdin setup
-      // Just disable raw mode so normal input can work
-      if (process.stdin.isTTY) {
-        process.stdin.setRawMode(false);
-      }
-    };
+  /**
+   * Handle a web fetch request from the LLM
+   * @param {string} url - URL to fetch
+   * @returns {Promise<string>} - Formatted page content
+   */
+  async handleWebFetch(url) {
+    console.log(chalk.cyan(`\n🌐 Fetching web page: ${url}`));
+    try {
+      const pageData = await this.components.webScraper.fetchWebPage(url);
+      const formatted = this.components.webScraper.formatWebPage(pageData);
+      return `\n\n${formatted}\n`;
+    } catch (error) {
+      console.log(chalk.red(`  ✗ Web fetch failed: ${error.message}`));
+      return `\n\nWEB FETCH FAILED for ${url}: ${error.message}\n`;
+    }
   }
 
   /**
-   * Process user query with LLM
+   * Handle a list_directory request from the LLM
+   * @param {Object} request - { path, recursive }
+   * @returns {Promise<string>} - Formatted directory listing
    */
-  async processQuery(query) {
-    const spinner = ora('Thinking... (press ESC to cancel)').start();
-    const abortController = new AbortController();
-    const cleanup = this.setupCancellationListener(abortController);
+  async handleListDirectory(request) {
+    const directory = request.path || '.';
+    const maxEntries = 200;
+    console.log(chalk.cyan(`\n📁 Listing ${directory}${request.recursive ? ' (recursive)' : ''}`));
 
     try {
-      // Build prompt
-      const prompt = await this.components.promptBuilder.buildPrompt(query);
+      // Excluded paths (node_modules, .git, ...) are skipped without descending into them
+      const exclude = (relativePath, isDirectory) => this.components.codebaseIndexer.isExcluded(relativePath, isDirectory);
+      const base = this.components.fileOps.getRelativePath(directory);
+
+      let entries;
+      if (request.recursive) {
+        const files = await this.components.fileOps.listFiles(directory, true, exclude);
+        entries = files.map(file => file.split(path.sep).join('/'));
+      } else {
+        entries = await this.components.fileOps.listDirectoryEntries(directory, exclude);
+      }
+      entries.sort();
+
+      let formatted = `\n\nDIRECTORY LISTING: ${base || '.'} (${entries.length} entries)\n`;
+
+      if (!base) {
+        const structure = this.components.codebaseIndexer.getProjectStructure();
+        if (structure.fileCount > 0) {
+          const extensions = Object.entries(structure.extensions)
+            .sort((a, b) => b[1] - a[1])
+            .map(([ext, count]) => `${ext || '(none)'}: ${count}`)
+            .join(', ');
+          formatted += `Indexed: ${structure.fileCount} files (${extensions})\n`;
+        }
+      }
 
-      // Show token info
-      spinner.text = `Thinking... (${prompt.metadata.totalTokens} tokens, press ESC to cancel)`;
+      formatted += '\n';
+      for (const entry of entries.slice(0, maxEntries)) {
+        formatted += `  ${entry}\n`;
+      }
+      if (entries.length > maxEntries) {
+        formatted += `  ... and ${entries.length - maxEntries} more\n`;
+      }
 
-      // Get LLM response with dynamic max_tokens to prevent truncation
-      const response = await this.components.lmstudioClient.complete(prompt.messages, {
-        promptTokens: prompt.metadata.totalTokens,
-        forceTools: true, // Force Qwen3 models to use tools instead of just outputting text
-        signal: abortController.signal,
-        onProgress: (tokens, text) => {
-          spinner.text = `Generating response... (${tokens} tokens, press ESC to cancel)`;
-        },
-      });
+      return formatted;
+    } catch (error) {
+      return `\n\nERROR listing ${directory}: ${error.message}\n`;
+    }
+  }
 
-      spinner.stop();
+  /**
+   * Handle find_definition requests from the LLM
+   * @param {Array<string>} names - Function, class or method names (Class.method also works)
+   * @returns {string} - Formatted definition locations
+   */
+  handleFindDefinitions(names) {
+    let formatted = '\n\nDEFINITIONS:\n\n';
+    let found = false;
 
-      // Handle structured response format (tool calls or content)
-      let parsed;
-      let currentResponse;
+    for (const name of names) {
+      console.log(chalk.cyan(`\n🔎 Finding definition of: ${name}`));
+      const locations = this.components.codebaseIndexer.findDefinition(name);
 
-      if (response.type === 'tool_calls') {
+      if (locations.length === 0) {
+        formatted += `"${name}": not found in the codebase index (use search_code or <search> instead)\n\n`;
+        continue;
+      }
 
-        try {
-          // Import tool parsing functions
-          const { parseToolCalls } = await import('./tools.js');
+      found = true;
+      formatted += `"${name}":\n`;
+      for (const location of locations) {
+        const lines = location.startLine ? `:${location.startLine}-${location.endLine}` : '';
+        formatted += `  - ${location.relativePath}${lines} ${CodebaseIndexer.describeSymbol(location)}\n`;
+        if (location.doc) {
+          formatted += `    ${location.doc.split('\n')[0]}\n`;
+        }
+      }
+      formatted += '\n';
+    }
 
-          // Parse tool calls
-          const toolCalls = parseToolCalls(response);
-          console.log(chalk.cyan(`\n🔧 Model requesting ${toolCalls.length} tool call(s)...`));
-
-          // Execute tools and collect results as "tool" role messages
-          const toolMessages = [];
-
-          for (const toolCall of toolCalls) {
-            console.log(chalk.gray(`  → ${toolCall.name}(${JSON.stringify(toolCall.arguments).substring(0, 60)}...)`));
-
-            let toolResult = '';
-
-            try {
-              // Execute the tool based on its name
-              switch (toolCall.name) {
-                case 'search_code':
-                  const keywords = toolCall.arguments.keywords || [];
-                  const searchResults = await this.performSearch(keywords);
-                  toolResult = searchResults || 'No results found';
-                  break;
-
-                case 'read_file_lines':
-                  const lineResults = await this.handleReadLines([{
-                    path: toolCall.arguments.path,
-                    startLine: toolCall.arguments.start_line,
-                    endLine: toolCall.arguments.end_line
-                  }]);
-                  toolResult = lineResults || 'Failed to read lines';
-                  break;
-
-                default:
-                  toolResult = `Tool ${toolCall.name} not implemented for execution`;
-              }
-            } catch (error) {
-              toolResult = `Error executing ${toolCall.name}: ${error.message}`;
-            }
+    if (found) {
+      formatted += 'Line ranges are exact: pass them to read_file_lines (or <read_lines>) to load a definition.\n';
+    }
+    return formatted;
+  }
 
-            // Add tool result as "tool" role message (per LM Studio docs)
-            toolMessages.push({
-              role: 'tool',
-              tool_call_id: toolCall.id,
-              name: toolCall.name,
-              content: toolResult
-            });
-          }
+  /**
+   * Handle find_references requests from the LLM
+   * @param {Array<string>} names - Identifiers
+   * @returns {Promise<string>} - Formatted references
+   */
+  async handleFindReferences(names) {
+    let formatted = '\n\nREFERENCES:\n\n';
 
-          // Now call model again WITHOUT tools parameter to get final response
-          console.log(chalk.cyan('\n💭 Processing tool results...'));
+    for (const name of names) {
+      console.log(chalk.cyan(`\n🔗 Finding references to: ${name}`));
+      const { references, total, files } = await this.components.codebaseIndexer.findReferences(name);
 
-          // Build messages array: original prompt + assistant tool calls + tool results
-          const followUpMessages = [
-            ...prompt.messages,
-            response.message, // Assistant's message with tool_calls
-            ...toolMessages   // Tool execution results
-          ];
+      if (total === 0) {
+        formatted += `"${name}": no references in the codebase index\n\n`;
+        continue;
+      }
 
-          const finalSpinner = ora('Generating final response...').start();
+      formatted += `"${name}": ${total} reference${total === 1 ? '' : 's'} in ${files} file${files === 1 ? '' : 's'}\n`;
+      for (const reference of references) {
+        const context = reference.definition ? 'definition' : (reference.context ? `in ${reference.context}` : 'top level');
+        formatted += `  - ${reference.relativePath}:${reference.line} (${context})${reference.text ? `: ${reference.text}` : ''}\n`;
+      }
+      if (total > references.length) {
+        formatted += `  ... ${total - references.length} more not shown\n`;
+      }
+      formatted += '\n';
+    }
 
-          const finalResponse = await this.components.lmstudioClient.complete(followUpMessages, {
-            disableTools: true, // CRITICAL: Don't send tools in follow-up
-            onProgress: (tokens, text) => {
-              finalSpinner.text = `Generating final response... (${tokens} tokens generated)`;
-            },
-          });
+    return formatted;
+  }
 
-          finalSpinner.stop();
+  /**
+   * Handle a run_command request from the LLM
+   * Denylisted commands are refused; commands not on the allowlist need confirmation.
+   * @param {Object} request - { command, timeoutSeconds }
+   * @returns {Promise<string>} - Formatted stdout, stderr and exit code
+   */
+  async handleRunCommand(request) {
+    const runner = this.components.commandRunner;
+    const command = (request.command || '').trim();
+    const check = runner.checkCommand(command);
+
+    if (check.denied) {
+      console.log(chalk.red(`\n⛔ Refused to run: ${command} (${check.reason})`));
+      return `\n\nCOMMAND REFUSED: ${command}\n${check.reason}. Do not retry it.\n`;
+    }
 
-          // Parse the final response (should be content or XML, not more tool calls)
-          if (finalResponse.type === 'content') {
-            currentResponse = finalResponse.content;
-            parsed = this.components.responseParser.parseResponse(currentResponse);
-          } else {
-            // Shouldn't happen, but handle it
-            console.warn(chalk.yellow('Warning: Got tool_calls in follow-up response'));
-            currentResponse = finalResponse.message?.content || '';
-            parsed = this.components.responseParser.parseResponse(currentResponse);
-          }
+    if (!check.allowlisted) {
+      const { execute } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'execute',
+          message: `Run command: ${command}?`,
+          default: false,
+        },
+      ]);
 
-          // Display the assistant's response
-          console.log(chalk.cyan('\nAssistant:'));
-          if (parsed.plainText) {
-            console.log(parsed.plainText);
-          }
+      if (!execute) {
+        return `\n\nCOMMAND NOT RUN: ${command}\nThe user declined to run this command.\n`;
+      }
+    }
 
-        } catch (error) {
-          console.error(chalk.red(`\n[ERROR] Failed to handle tool calls: ${error.message}`));
-          console.log(chalk.yellow('Falling back to XML parsing...'));
-          // Fall back to XML parsing
-          currentResponse = response.message?.content || '';
-          parsed = this.components.responseParser.parseResponse(currentResponse);
-        }
+    console.log(chalk.cyan(`\n$ ${command}`));
+    try {
+      const result = await runner.run(command, {
+        timeoutMs: request.timeoutSeconds ? request.timeoutSeconds * 1000 : undefined,
+        signal: this.currentAbortController?.signal,
+      });
+
+      if (result.timedOut) {
+        console.log(chalk.yellow(`  ✗ Timed out after ${Math.round(result.timeoutMs / 1000)}s`));
+      } else if (result.exitCode === 0) {
+        console.log(chalk.green(`  ✓ Exit code 0 (${(result.durationMs / 1000).toFixed(1)}s)`));
       } else {
-        // Regular text response - parse XML as before
-        currentResponse = response.content;
-        parsed = this.components.responseParser.parseResponse(currentResponse);
+        console.log(chalk.yellow(`  ✗ Exit code ${result.exitCode} (${(result.durationMs / 1000).toFixed(1)}s)`));
+      }
+
+      return runner.formatResult(result);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.log(chalk.red(`  ✗ ${error.message}`));
+      return `\n\nCOMMAND FAILED: ${command}\n${error.message}\n`;
+    }
+  }
+
+  /**
+   * Execute tool calls requested through function calling
+   * Read-only tools run immediately; file and task tools go through the same
+   * Edit Track refinement, confirmation and execution as XML actions.
+   * @param {Array<Object>} toolCalls - Parsed tool calls
+   * @returns {Promise<Array<Object>>} - "tool" role messages, one per tool call
+   */
+  async executeToolCalls(toolCalls) {
+    const { convertToolCallsToActions, isReadOnlyTool, getCustomTool, formatToolCallError } = await import('./tools.js');
+    const results = new Map();
+    const actionCalls = [];
+
+    for (const toolCall of toolCalls) {
+      console.log(chalk.gray(`  → ${toolCall.name}(${JSON.stringify(toolCall.arguments).substring(0, 60)}...)`));
+
+      // Unknown tools and invalid arguments go back to the model so it can correct the call
+      if (toolCall.error) {
+        console.log(chalk.yellow(`    ✗ ${toolCall.error}`));
+        results.set(toolCall.id, formatToolCallError(toolCall));
+        continue;
       }
 
-      // Handle searches, read_lines, web searches, and web fetches for XML mode only
-      // (Tool call mode already handled this above)
-      let hasRequests = response.type !== 'tool_calls' && (
-        (parsed.searches && parsed.searches.length > 0) ||
-        (parsed.readLines && parsed.readLines.length > 0) ||
-        (parsed.webSearches && parsed.webSearches.length > 0) ||
-        (parsed.webFetches && parsed.webFetches.length > 0)
+      if (getCustomTool(toolCall.name)) {
+        results.set(toolCall.id, await this.runCustomTool(toolCall));
+        continue;
+      }
+
+      if (toolCall.name === 'run_command') {
+        results.set(toolCall.id, await this.handleRunCommand({
+          command: toolCall.arguments.command,
+          timeoutSeconds: toolCall.arguments.timeout_seconds
+        }));
+        continue;
+      }
+
+      if (!isReadOnlyTool(toolCall.name)) {
+        actionCalls.push(toolCall);
+        continue;
+      }
+
+      let toolResult = '';
+
+      try {
+        switch (toolCall.name) {
+          case 'search_code':
+            const keywords = toolCall.arguments.keywords || [];
+            const searchResults = await this.performSearch(keywords);
+            toolResult = searchResults || 'No results found';
+            break;
+
+          case 'read_file_lines':
+            const lineResults = await this.handleReadLines([{
+              path: toolCall.arguments.path,
+              startLine: toolCall.arguments.start_line,
+              endLine: toolCall.arguments.end_line
+            }]);
+            toolResult = lineResults || 'Failed to read lines';
+            break;
+
+          case 'web_search':
+            toolResult = await this.handleWebSearch(toolCall.arguments.query);
+            break;
+
+          case 'web_fetch':
+            toolResult = await this.handleWebFetch(toolCall.arguments.url);
+            break;
+
+          case 'list_directory':
+            toolResult = await this.handleListDirectory({
+              path: toolCall.arguments.path,
+              recursive: !!toolCall.arguments.recursive
+            });
+            break;
+
+          case 'find_definition':
+            toolResult = this.handleFindDefinitions([toolCall.arguments.name]);
+            break;
+
+          case 'find_references':
+            toolResult = await this.handleFindReferences([toolCall.arguments.name]);
+            break;
+        }
+      } catch (error) {
+        toolResult = `Error executing ${toolCall.name}: ${error.message}`;
+      }
+
+      results.set(toolCall.id, toolResult);
+    }
+
+    if (actionCalls.length > 0) {
+      const actions = convertToolCallsToActions(actionCalls);
+
+      // Refine edits using Edit Track if enabled (gives more file context)
+      if (actions.fileEdits.length > 0 && this.config.editTrack?.enabled) {
+        actions.fileEdits = await this.refineEditsWithEditTrack(actions.fileEdits);
+      }
+
+      const hasFileOperations = (
+        actions.fileEdits.length > 0 ||
+        actions.fileCreates.length > 0 ||
+        actions.fileDeletes.length > 0
       );
 
-      if (hasRequests) {
-        console.log(chalk.cyan('\nAssistant:'));
-        if (parsed.plainText) {
-          console.log(parsed.plainText);
+      let execute = true;
+      if (hasFileOperations) {
+        if (actions.fileEdits.length > 0) {
+          console.log(chalk.yellow(`\n📝 ${actions.fileEdits.length} file edit(s) requested`));
+        }
+        if (actions.fileCreates.length > 0) {
+          console.log(chalk.yellow(`📄 ${actions.fileCreates.length} file create(s) requested`));
+        }
+        if (actions.fileDeletes.length > 0) {
+          console.log(chalk.yellow(`🗑️  ${actions.fileDeletes.length} file delete(s) requested`));
         }
 
-        let additionalContext = '';
+        ({ execute } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'execute',
+            message: 'Execute these actions?',
+            default: true,
+          },
+        ]));
+      }
 
-        // Handle codebase search requests
-        if (parsed.searches && parsed.searches.length > 0) {
-          const searchResults = await this.performSearch(parsed.searches);
-          if (searchResults) {
-            additionalContext += searchResults;
-          }
+      // Task updates are just metadata - they run even if file operations are declined
+      const toExecute = execute
+        ? actions
+        : { ...actions, fileEdits: [], fileCreates: [], fileDeletes: [] };
+
+      if (hasFileOperations || toExecute.taskUpdates.length > 0) {
+        const outcomes = await this.executeActions(toExecute);
+        for (const outcome of outcomes) {
+          results.set(
+            outcome.action.toolCallId,
+            outcome.success ? `Success: ${outcome.message}` : `Error: ${outcome.message}`
+          );
         }
+      }
 
-        // Handle read_lines requests
-        if (parsed.readLines && parsed.readLines.length > 0) {
-          console.log(chalk.cyan(`\n📖 Loading ${parsed.readLines.length} line range(s)...`));
-          const lineResults = await this.handleReadLines(parsed.readLines);
-          additionalContext += lineResults;
+      for (const toolCall of actionCalls) {
+        if (!results.has(toolCall.id)) {
+          results.set(
+            toolCall.id,
+            execute
+              ? 'Not executed: an earlier action failed'
+              : 'Not executed: the user declined this action'
+          );
         }
+      }
+    }
 
-        // Handle web search requests
-        if (parsed.webSearches && parsed.webSearches.length > 0) {
-          for (const query of parsed.webSearches) {
-            console.log(chalk.cyan(`\n🌐 Searching web for: ${query}`));
-            try {
-              const results = await this.components.webScraper.searchWeb(query);
-              const formatted = this.components.webScraper.formatSearchResults(results);
-              additionalContext += `\n\nWEB SEARCH RESULTS FOR "${query}":\n${formatted}\n`;
-            } catch (error) {
-              console.log(chalk.red(`  ✗ Web search failed: ${error.message}`));
-              additionalContext += `\n\nWEB SEARCH FAILED: ${error.message}\n`;
-            }
-          }
+    // Add tool results as "tool" role messages (per LM Studio docs)
+    return toolCalls.map(toolCall => ({
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      name: toolCall.name,
+      content: results.get(toolCall.id)
+    }));
+  }
+
+  /**
+   * Run the information requests (search, read_lines, web, directory and definition lookups, commands, project tools) from an XML-mode response
+   * @param {Object} parsed - Parsed response
+   * @returns {Promise<string>} - Formatted results to send back to the model
+   */
+  async handleXmlRequests(parsed) {
+    let additionalContext = '';
+
+    // Handle codebase search requests
+    if (parsed.searches && parsed.searches.length > 0) {
+      const searchResults = await this.performSearch(parsed.searches);
+      additionalContext += searchResults || `\n\nNo matches found for: ${parsed.searches.join(', ')}\n`;
+    }
+
+    // Handle read_lines requests
+    if (parsed.readLines && parsed.readLines.length > 0) {
+      console.log(chalk.cyan(`\n📖 Loading ${parsed.readLines.length} line range(s)...`));
+      const lineResults = await this.handleReadLines(parsed.readLines);
+      additionalContext += lineResults;
+    }
+
+    // Handle web search requests
+    for (const query of parsed.webSearches || []) {
+      additionalContext += await this.handleWebSearch(query);
+    }
+
+    // Handle web fetch requests
+    for (const url of parsed.webFetches || []) {
+      additionalContext += await this.handleWebFetch(url);
+    }
+
+    // Handle directory listing requests
+    for (const request of parsed.listDirectories || []) {
+      additionalContext += await this.handleListDirectory(request);
+    }
+
+    // Handle find_definition requests
+    if (parsed.findDefinitions && parsed.findDefinitions.length > 0) {
+      additionalContext += this.handleFindDefinitions(parsed.findDefinitions);
+    }
+
+    // Handle find_references requests
+    if (parsed.findReferences && parsed.findReferences.length > 0) {
+      additionalContext += await this.handleFindReferences(parsed.findReferences);
+    }
+
+    // Handle run_command requests
+    for (const request of parsed.runCommands || []) {
+      additionalContext += await this.handleRunCommand(request);
+    }
+
+    // Handle project-specific tools
+    for (const call of parsed.customToolCalls || []) {
+      const result = await this.runCustomTool(call);
+      additionalContext += `\n\nTOOL RESULT (${call.name}):\n${result}\n`;
+    }
+
+    return additionalContext;
+  }
+
+  /**
+   * Get identifying signatures for the information requests in a response
+   * Used to detect the model repeating the same call in the agent loop
+   * @param {Array<Object>|Object} requests - Parsed tool calls, or a parsed XML response
+   * @returns {Array<string>} - One signature per request
+   */
+  getRequestSignatures(requests) {
+    // run_command is left out: re-running the same test command after an edit is expected
+    if (Array.isArray(requests)) {
+      return requests
+        .filter(toolCall => toolCall.name !== 'run_command')
+        .map(toolCall => `${toolCall.name}:${JSON.stringify(toolCall.arguments)}`);
+    }
+
+    const signatures = [];
+    if (requests.searches?.length > 0) {
+      signatures.push(`search:${requests.searches.join(',')}`);
+    }
+    for (const request of requests.readLines || []) {
+      signatures.push(`read_lines:${request.path}:${request.startLine}-${request.endLine}`);
+    }
+    for (const query of requests.webSearches || []) {
+      signatures.push(`web_search:${query}`);
+    }
+    for (const url of requests.webFetches || []) {
+      signatures.push(`web_fetch:${url}`);
+    }
+    for (const request of requests.listDirectories || []) {
+      signatures.push(`list_directory:${request.path}:${request.recursive}`);
+    }
+    for (const name of requests.findDefinitions || []) {
+      signatures.push(`find_definition:${name}`);
+    }
+    for (const name of requests.findReferences || []) {
+      signatures.push(`find_references:${name}`);
+    }
+    for (const call of requests.customToolCalls || []) {
+      signatures.push(`${call.name}:${JSON.stringify(call.arguments)}`);
+    }
+    return signatures;
+  }
+
+  /**
+   * Record the requests made in this iteration of the agent loop
+   * @param {Array<Object>|Object} requests - Parsed tool calls, or a parsed XML response
+   * @param {Map<string, number>} callCounts - Counts of each request made so far in this query
+   * @param {number} maxRepeats - How many times the same request may be made
+   * @returns {boolean} - True if a request has now been made more than maxRepeats times
+   */
+  trackRepeatedRequests(requests, callCounts, maxRepeats) {
+    let repeated = false;
+
+    for (const signature of this.getRequestSignatures(requests)) {
+      const count = (callCounts.get(signature) || 0) + 1;
+      callCounts.set(signature, count);
+      if (count > maxRepeats) {
+        repeated = true;
+      }
+    }
+
+    return repeated;
+  }
+
+  /**
+   * Send the agent loop's messages, shrinking the prompt when the server reports a context overflow
+   * Each retry rebuilds the base prompt with less in it: first without file contents, then
+   * after compressing history, then with older tool output in the loop cut down.
+   * @param {Object} promptState - { query, baseCount } (baseCount: leading messages built by PromptBuilder)
+   * @param {Array<Object>} messages - Messages to send; the base prompt is replaced in place on retry
+   * @param {Object} options - Options for LMStudioClient.complete
+   * @param {Object} spinner - Spinner to pause while reporting
+   * @returns {Promise<Object>} - Response
+   */
+  async completeWithOverflowRecovery(promptState, messages, options, spinner) {
+    const { lmstudioClient, promptBuilder, contextManager, tokenCounter } = this.components;
+    const steps = ['leaving out file contents', 'compressing history', 'trimming earlier tool output'];
+
+    const modelId = lmstudioClient.getModelForRole('chat');
+
+    for (let attempt = 0; ; attempt++) {
+      // Tool definitions count towards the server's prompt_tokens
+      const toolTokens = lmstudioClient.supportsTools && !options.disableTools
+        ? tokenCounter.countTokens(JSON.stringify(lmstudioClient.toolDefinitions))
+        : 0;
+      const promptTokens = tokenCounter.countMessagesTokens(messages) + toolTokens;
+
+      try {
+        const startedAt = Date.now();
+        const response = await lmstudioClient.complete(messages, {
+          ...options,
+          promptTokens: tokenCounter.toModelTokens(promptTokens, modelId),
+        });
+
+        // Learn the model's token ratio from what the server counted (continuations send a different prompt)
+        const usage = lmstudioClient.getLastUsage();
+        if (usage && Date.parse(usage.timestamp) >= startedAt && !response.continuations) {
+          await tokenCounter.recordUsage(modelId, promptTokens, usage.promptTokens);
+        }
+        return response;
+      } catch (error) {
+        if (error.name !== 'ContextOverflowError' || attempt >= steps.length) {
+          throw error;
         }
 
-        // Handle web fetch requests
-        if (parsed.webFetches && parsed.webFetches.length > 0) {
-          for (const url of parsed.webFetches) {
-            console.log(chalk.cyan(`\n🌐 Fetching web page: ${url}`));
-            try {
-              const pageData = await this.components.webScraper.fetchWebPage(url);
-              const formatted = this.components.webScraper.formatWebPage(pageData);
-              additionalContext += `\n\n${formatted}\n`;
-            } catch (error) {
-              console.log(chalk.red(`  ✗ Web fetch failed: ${error.message}`));
-              additionalContext += `\n\nWEB FETCH FAILED for ${url}: ${error.message}\n`;
+        // Remember how far off our count was so later prompts are budgeted smaller
+        const overflow = error.contextOverflow;
+        await tokenCounter.recordOverflow(modelId, promptTokens, overflow);
+        if (overflow.contextLength && overflow.contextLength < (lmstudioClient.contextWindow || Infinity)) {
+          lmstudioClient.contextWindow = overflow.contextLength;
+        }
+
+        spinner.stop();
+        const serverCount = overflow.promptTokens ? `, server counted ${overflow.promptTokens}` : '';
+        console.log(chalk.yellow(`\n⚠ Prompt exceeds the model's context (${promptTokens} tokens estimated${serverCount}) - retrying after ${steps[attempt]}`));
+
+        if (attempt === 1) {
+          await contextManager.compressHistory(2);
+          await contextManager.saveHistory();
+        }
+
+        const prompt = await promptBuilder.buildPrompt(promptState.query, { includeFiles: false });
+        messages.splice(0, promptState.baseCount, ...prompt.messages);
+        promptState.baseCount = prompt.messages.length;
+
+        if (attempt === 2) {
+          // Keep the latest round of results intact, the model is working from them
+          const loopMessages = messages.slice(promptState.baseCount, -2);
+          for (const message of loopMessages) {
+            if (message.role !== 'assistant' && typeof message.content === 'string' && message.content.length > 200) {
+              message.content = '[output removed to fit the context window]';
             }
           }
         }
 
-        // If we got additional context, do a follow-up query
-        if (additionalContext) {
-          const secondSpinner = ora('Processing additional context...').start();
+        spinner.start(`Retrying with a smaller prompt (${tokenCounter.countMessagesTokens(messages)} tokens)...`);
+      }
+    }
+  }
+
+  /**
+   * Setup ESC key listener for cancellation during processing
+   */
+  setupCancellationListener(abortController) {
+    if (!process.stdin.isTTY) return null;
 
-          const followUpPrompt = await this.components.promptBuilder.buildPrompt(
-            `Original query: "${query}"\n\n${additionalContext}\n\nNow please provide your response based on the above information.`
-          );
+    const onKeyPress = (data) => {
+      // ESC key - just abort, let error handling deal with cleanup
+      if (data === '\x1b' || data === '\x1b\x1b') {
+        abortController.abort();
+      }
+    };
 
-          const followUpResponse = await this.components.lmstudioClient.complete(followUpPrompt.messages, {
-            promptTokens: followUpPrompt.metadata.totalTokens,
-            onProgress: (tokens, text) => {
-              secondSpinner.text = `Generating response... (${tokens} tokens generated)`;
-            },
-          });
-          secondSpinner.stop();
+    // Set up raw mode to capture ESC key
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', onKeyPress);
 
-          // Parse the follow-up response (handle both tool calls and content)
-          let finalParsed;
-          try {
-            if (followUpResponse.type === 'tool_calls') {
-              const { parseToolCalls, convertToolCallsToActions } = await import('./tools.js');
-              const toolCalls = parseToolCalls(followUpResponse);
-              const actions = convertToolCallsToActions(toolCalls);
-              finalParsed = {
-                plainText: followUpResponse.message.content || '',
-                searches: actions.searches,
-                readLines: actions.readLines,
-                fileEdits: actions.fileEdits,
-                fileCreates: actions.fileCreates,
-                fileDeletes: actions.fileDeletes,
-                taskUpdates: actions.taskUpdates
-              };
-            } else {
-              finalParsed = this.components.responseParser.parseResponse(followUpResponse.content);
-            }
-          } catch (error) {
-            console.error(chalk.red(`\n[ERROR] Failed to parse follow-up response: ${error.message}`));
-            // Fall back to XML parsing
-            const responseText = followUpResponse.content || followUpResponse.message?.content || '';
-            finalParsed = this.components.responseParser.parseResponse(responseText);
+    // Return cleanup function
+    return () => {
+      process.stdin.removeListener('data', onKeyPress);
+      // Don't pause stdin - let customInput handle stdin setup
+      // Just disable raw mode so normal input can work
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(false);
+      }
+    };
+  }
+
+  /**
+   * Process user query with LLM
+   * Runs an agent loop: call the model, run the tools or XML requests it asks for,
+   * append the results and repeat until it answers without requests.
+   */
+  async processQuery(query) {
+    const spinner = ora('Thinking... (press ESC to cancel)').start();
+    const abortController = new AbortController();
+    const cleanup = this.setupCancellationListener(abortController);
+    this.currentAbortController = abortController;
+
+    const maxIterations = this.config.agent?.maxIterations || 10;
+    const maxRepeatedCalls = this.config.agent?.maxRepeatedCalls || 2;
+    const maxArgumentCorrections = this.config.agent?.maxArgumentCorrections ?? 3;
+
+    try {
+      // Build prompt
+      const prompt = await this.components.promptBuilder.buildPrompt(query);
+      const messages = [...prompt.messages];
+      const promptState = { query, baseCount: prompt.messages.length };
+      const callCounts = new Map();
+      let argumentCorrections = 0;
+      let queryReasoningTokens = 0;
+
+      let parsed;
+      let currentResponse;
+      let finalTurn = false;
+
+      for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        parsed = null;
+        currentResponse = '';
+
+        if (abortController.signal.aborted) {
+          const error = new Error('Request cancelled');
+          error.name = 'AbortError';
+          throw error;
+        }
+
+        // Last allowed iteration must produce an answer, not more requests
+        if (iteration === maxIterations) {
+          finalTurn = true;
+        }
+
+        const promptTokens = this.components.tokenCounter.countMessagesTokens(messages);
+        const step = `step ${iteration}/${maxIterations}`;
+
+        if (!spinner.isSpinning) spinner.start();
+        spinner.text = `Thinking... (${step}, ${promptTokens} tokens, press ESC to cancel)`;
+
+        // Get LLM response with dynamic max_tokens to prevent truncation
+        const response = await this.completeWithOverflowRecovery(promptState, messages, {
+          forceTools: iteration === 1, // Force Qwen3 models to use tools instead of just outputting text
+          disableTools: finalTurn,
+          signal: abortController.signal,
+          onProgress: (tokens, text) => {
+            spinner.text = `Generating response... (${step}, ${tokens} tokens, press ESC to cancel)`;
+          },
+        }, spinner);
+
+        spinner.stop();
+        queryReasoningTokens += this.showReasoning(response);
+        this.reportTruncation(response);
+
+        if (response.type === 'tool_calls') {
+          const { parseToolCalls } = await import('./tools.js');
+
+          // Parse tool calls
+          const toolCalls = parseToolCalls(response);
+          console.log(chalk.cyan(`\n🔧 Model requesting ${toolCalls.length} tool call(s) (${step})...`));
+
+          if (response.message.content) {
+            console.log(response.message.content);
           }
 
-          // Display the final response
-          console.log(chalk.cyan('\nAssistant:'));
-          if (finalParsed.plainText) {
-            console.log(finalParsed.plainText);
+          // Stop the loop if the model keeps making the same call
+          const repeated = this.trackRepeatedRequests(toolCalls, callCounts, maxRepeatedCalls);
+
+          let toolMessages;
+          if (repeated) {
+            console.log(chalk.yellow('\n⚠ Model is repeating the same tool call - asking for a final answer'));
+            toolMessages = toolCalls.map(toolCall => ({
+              role: 'tool',
+              tool_call_id: toolCall.id,
+              name: toolCall.name,
+              content: 'Not executed: this exact call was already made. Use the earlier results and give your final answer now.'
+            }));
+            finalTurn = true;
+          } else {
+            // Execute tools and collect results as "tool" role messages
+            toolMessages = await this.executeToolCalls(toolCalls);
           }
 
-          // Use finalParsed for actions (but ignore additional searches/requests from follow-up)
-          // Only allow file operations and task updates from follow-up
-          parsed = {
-            plainText: finalParsed.plainText,
-            fileEdits: finalParsed.fileEdits || [],
-            fileCreates: finalParsed.fileCreates || [],
-            fileDeletes: finalParsed.fileDeletes || [],
-            taskUpdates: finalParsed.taskUpdates || [],
-            searches: [], // Ignore searches from follow-up
-            readLines: [], // Ignore read requests from follow-up
-            webSearches: [], // Ignore web searches from follow-up
-            webFetches: [], // Ignore web fetches from follow-up
-            questions: finalParsed.questions || []
-          };
-
-          // Extract text content from follow-up response
-          currentResponse = followUpResponse.type === 'content'
-            ? followUpResponse.content
-            : (followUpResponse.message?.content || '');
+          // Invalid calls are sent back for correction, up to a limit per query
+          if (toolCalls.some(toolCall => toolCall.error)) {
+            argumentCorrections++;
+            if (argumentCorrections > maxArgumentCorrections) {
+              console.log(chalk.yellow(`\n⚠ Too many invalid tool calls (${argumentCorrections}) - asking for a final answer`));
+              finalTurn = true;
+            }
+          }
+
+          messages.push(response.message, ...toolMessages);
+          continue;
         }
-      } else {
-        // No requests, display response normally
+
+        // Regular text response - parse XML
+        currentResponse = response.content;
+        parsed = this.components.responseParser.parseResponse(currentResponse);
+
+        const hasRequests = (
+          (parsed.searches && parsed.searches.length > 0) ||
+          (parsed.readLines && parsed.readLines.length > 0) ||
+          (parsed.webSearches && parsed.webSearches.length > 0) ||
+          (parsed.webFetches && parsed.webFetches.length > 0) ||
+          (parsed.listDirectories && parsed.listDirectories.length > 0) ||
+          (parsed.findDefinitions && parsed.findDefinitions.length > 0) ||
+          (parsed.findReferences && parsed.findReferences.length > 0) ||
+          (parsed.runCommands && parsed.runCommands.length > 0) ||
+          (parsed.customToolCalls && parsed.customToolCalls.length > 0)
+        );
+
+        if (!hasRequests) {
+          break;
+        }
+
+        if (finalTurn) {
+          console.log(chalk.yellow('\n⚠ Ignoring further search/read requests - a final answer was required'));
+          break;
+        }
+
         console.log(chalk.cyan('\nAssistant:'));
         if (parsed.plainText) {
           console.log(parsed.plainText);
         }
+
+        messages.push({ role: 'assistant', content: currentResponse });
+
+        if (this.trackRepeatedRequests(parsed, callCounts, maxRepeatedCalls)) {
+          console.log(chalk.yellow('\n⚠ Model is repeating the same request - asking for a final answer'));
+          messages.push({
+            role: 'user',
+            content: `You already made these requests and have their results above. Do not request them again. Now please provide your response to the original request: "${query}"`,
+          });
+          finalTurn = true;
+          continue;
+        }
+
+        const additionalContext = await this.handleXmlRequests(parsed);
+        messages.push({
+          role: 'user',
+          content: `${additionalContext}\n\nContinue with the original request: "${query}". Request more information if you still need it, otherwise provide your response.`,
+        });
+      }
+
+      if (!parsed) {
+        // Loop ended on tool calls without a text answer
+        console.log(chalk.yellow(`\n⚠ Reached the iteration limit (${maxIterations}) without a final answer`));
+        currentResponse = '';
+        parsed = this.components.responseParser.parseResponse(currentResponse);
+      }
+
+      // Display the final response
+      console.log(chalk.cyan('\nAssistant:'));
+      if (parsed.plainText) {
+        console.log(parsed.plainText);
       }
 
       // Show actions
@@ -1136,7 +2004,13 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
       // Show token usage if available
       const usage = this.components.lmstudioClient.getLastUsage();
       if (usage) {
-        console.log(chalk.gray(`\nTokens: ${usage.promptTokens} prompt + ${usage.completionTokens} completion = ${usage.totalTokens} total`));
+        const reasoning = queryReasoningTokens > 0 ? ` (${queryReasoningTokens} reasoning this request)` : '';
+        const metrics = this.components.lmstudioClient.getLastMetrics();
+        const speed = [
+          metrics?.ttftMs != null ? `TTFT ${(metrics.ttftMs / 1000).toFixed(2)}s` : null,
+          metrics?.tokensPerSecond != null ? `${metrics.estimated ? '~' : ''}${metrics.tokensPerSecond.toFixed(1)} tok/s` : null,
+        ].filter(Boolean).join(', ');
+        console.log(chalk.gray(`\nTokens: ${usage.promptTokens} prompt + ${usage.completionTokens} completion = ${usage.totalTokens} total${reasoning}${speed ? ` · ${speed}` : ''}`));
       }
 
       // Save to history (use currentResponse which may be the follow-up response)
@@ -1189,14 +2063,12 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
     } finally {
       // Always cleanup cancellation listener
       if (cleanup) cleanup();
+      this.currentAbortController = null;
     }
 
     console.log(); // Empty line for spacing
   }
 
-  /**
-   * Execute parsed actions
-   */
   /**
    * Find correct file path from codebase index by filename
    * @param {string} attemptedPath - The path that failed
@@ -1265,7 +2137,8 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
           // Build edit instruction from original edit
           const instruction = `Change the following code:\n\n${edit.oldText}\n\nTo:\n\n${edit.newText}`;
 
-          // Build focused edit prompt
+          // Build focused edit prompt (loading the edit model first, so it is budgeted against its own window)
+          await this.components.lmstudioClient.prepareRole('edit');
           const editPrompt = await this.components.promptBuilder.buildEditPrompt(
             actualPath,
             fileContent,
@@ -1274,20 +2147,32 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
 
           // Get refined edit from LLM using Edit Track
           const spinner = ora('Generating focused edit...').start();
+          if (!editPrompt.metadata.fitsContext) {
+            console.log(chalk.yellow(`⚠ ${actualPath} is too large for the edit model's context (${editPrompt.metadata.totalTokens}/${editPrompt.metadata.availableTokens} tokens), using original edit`));
+            refinedEdits.push(edit);
+            continue;
+          }
+
           const editResponse = await this.components.lmstudioClient.complete(editPrompt.messages, {
-            promptTokens: editPrompt.metadata.totalTokens,
+            role: 'edit',
+            promptTokens: this.components.tokenCounter.toModelTokens(
+              editPrompt.metadata.totalTokens,
+              this.components.lmstudioClient.getModelForRole('edit')
+            ),
             onProgress: (tokens, text) => {
               spinner.text = `Generating focused edit... (${tokens} tokens generated)`;
             },
           });
           spinner.stop();
+          this.showReasoning(editResponse);
+          this.reportTruncation(editResponse);
 
           // Parse the refined edit (handle both tool calls and content)
           let refinedParsed;
           if (editResponse.type === 'tool_calls') {
             const { parseToolCalls, convertToolCallsToActions } = await import('./tools.js');
             const toolCalls = parseToolCalls(editResponse);
-            const actions = convertToolCallsToActions(toolCalls);
+            const actions = convertToolCallsToActions(toolCalls.filter(toolCall => !toolCall.error));
             refinedParsed = {
               plainText: editResponse.message.content || '',
               searches: actions.searches,
@@ -1303,8 +2188,8 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
 
           if (refinedParsed.fileEdits.length > 0) {
             console.log(chalk.green(`✓ Generated refined edit with full file context`));
-            // Use the refined edit
-            refinedEdits.push(refinedParsed.fileEdits[0]);
+            // Use the refined edit (keep the tool call it answers, if any)
+            refinedEdits.push({ ...refinedParsed.fileEdits[0], toolCallId: edit.toolCallId });
           } else {
             console.log(chalk.yellow(`⚠ Edit Track didn't produce edit, using original`));
             refinedEdits.push(edit);
@@ -1323,8 +2208,16 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
     return refinedEdits;
   }
 
+  /**
+   * Execute parsed actions
+   * Stops at the first failing file operation, matching the XML mode behaviour.
+   * @param {Object} parsed - Parsed actions (fileEdits, fileCreates, fileDeletes, taskUpdates)
+   * @returns {Promise<Array<Object>>} - Outcome of each attempted action ({ action, success, message })
+   */
   async executeActions(parsed) {
     const spinner = ora('Executing actions...').start();
+    const outcomes = [];
+    const changedFiles = [];
 
     try {
       // Execute file edits
@@ -1352,7 +2245,9 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
           }
 
           await this.components.fileOps.editFile(actualPath, edit.oldText, edit.newText);
+          changedFiles.push(this.components.fileOps.resolvePath(actualPath));
           console.log(chalk.green(`✓ Edited ${actualPath}`));
+          outcomes.push({ action: edit, success: true, message: `Edited ${actualPath}` });
         } catch (error) {
           spinner.fail(`Failed to edit ${edit.path}`);
           console.error(chalk.red(`  Error: ${error.message}`));
@@ -1367,6 +2262,7 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
             console.error(chalk.gray(`  Old text preview: ${JSON.stringify(preview)}`));
           }
 
+          outcomes.push({ action: edit, success: false, message: error.message });
           throw error; // Re-throw to stop execution
         }
       }
@@ -1376,10 +2272,13 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
         spinner.text = `Creating ${create.path}...`;
         try {
           await this.components.fileOps.createFile(create.path, create.content);
+          changedFiles.push(this.components.fileOps.resolvePath(create.path));
           console.log(chalk.green(`✓ Created ${create.path}`));
+          outcomes.push({ action: create, success: true, message: `Created ${create.path}` });
         } catch (error) {
           spinner.fail(`Failed to create ${create.path}`);
           console.error(chalk.red(`  Error: ${error.message}`));
+          outcomes.push({ action: create, success: false, message: error.message });
           throw error;
         }
       }
@@ -1404,10 +2303,13 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
           }
 
           await this.components.fileOps.deleteFile(actualPath);
+          changedFiles.push(this.components.fileOps.resolvePath(actualPath));
           console.log(chalk.green(`✓ Deleted ${actualPath}`));
+          outcomes.push({ action: del, success: true, message: `Deleted ${actualPath}` });
         } catch (error) {
           spinner.fail(`Failed to delete ${del.path}`);
           console.error(chalk.red(`  Error: ${error.message}`));
+          outcomes.push({ action: del, success: false, message: error.message });
           throw error;
         }
       }
@@ -1415,9 +2317,17 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
       // Execute task updates
       for (const task of parsed.taskUpdates) {
         if (task.status === 'completed') {
-          this.components.taskManager.completeTaskByDescription(task.description);
+          const completed = this.components.taskManager.completeTaskByDescription(task.description);
+          outcomes.push({
+            action: task,
+            success: !!completed,
+            message: completed
+              ? `Marked task as completed: ${completed.description}`
+              : `No pending task matching "${task.description}"`,
+          });
         } else {
           this.components.taskManager.addTask(task.description);
+          outcomes.push({ action: task, success: true, message: `Added task: ${task.description}` });
         }
       }
 
@@ -1429,6 +2339,11 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
         spinner.fail('Some actions failed');
       }
     }
+
+    // Keep search and definitions in step with the files just changed
+    await this.reindexFiles(changedFiles);
+
+    return outcomes;
   }
 
   /**
@@ -1437,14 +2352,20 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
   showHelp() {
     console.log(chalk.cyan('\n=== Available Commands ===\n'));
     console.log(chalk.white('/help') + chalk.gray('         - Show this help message'));
-    console.log(chalk.white('/init') + chalk.gray('         - Index your codebase for context'));
+    console.log(chalk.white('/init') + chalk.gray(' [--full] - Index your codebase (only changed files unless --full)'));
+    console.log(chalk.white('/index --explain') + chalk.gray(' <path> - Show which ignore rule excludes a path'));
+    console.log(chalk.white('/deps') + chalk.gray(' <file>  - Show what a file imports and what imports it'));
     console.log(chalk.white('/context') + chalk.gray(' <n>  - Set context window size (e.g., /context 4096)'));
     console.log(chalk.white('/tools') + chalk.gray(' <on|off> - Enable/disable function calling (e.g., /tools on)'));
+    console.log(chalk.white('/think') + chalk.gray(' <on|off> - Show or collapse reasoning of thinking models'));
+    console.log(chalk.white('/provider') + chalk.gray(' <name> - List or switch provider profiles (e.g., /provider ollama)'));
+    console.log(chalk.white('/model') + chalk.gray(' <name>   - List or switch models (e.g., /model 2)'));
     console.log(chalk.white('/tasks') + chalk.gray('        - Show task list'));
     console.log(chalk.white('/history') + chalk.gray('      - Show conversation history'));
     console.log(chalk.white('/compress') + chalk.gray('     - Manually compress history'));
     console.log(chalk.white('/config') + chalk.gray('       - Show current configuration'));
     console.log(chalk.white('/stats') + chalk.gray('        - Show statistics'));
+    console.log(chalk.white('/mcp') + chalk.gray('          - Show MCP servers and their tools'));
     console.log(chalk.white('/clear') + chalk.gray('        - Clear conversation history'));
     console.log(chalk.white('/exit') + chalk.gray('         - Exit application'));
     console.log();
@@ -1476,22 +2397,44 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
     console.log();
   }
 
+  /**
+   * Serve the codebase index and search as an MCP server over stdio
+   * Builds the index first if the project has not been indexed yet.
+   * @returns {Promise<void>} - Resolves when the client disconnects
+   */
+  async serveMcp() {
+    if (!this.components.codebaseIndexer.index.lastIndexed) {
+      await this.rebuildIndex();
+    }
+
+    const server = new MCPServer(
+      this.components.codebaseIndexer,
+      this.components.fileOps,
+      this.config
+    );
+
+    console.error(chalk.gray(`MCP server ready (${this.components.codebaseIndexer.index.files.length} indexed files)`));
+    await server.start();
+  }
+
   /**
    * Rebuild codebase index
+   * Only new and changed files are parsed unless options.full is set (/init --full)
+   * @param {Object} options - { full }
    */
-  async rebuildIndex() {
+  async rebuildIndex(options = {}) {
     console.log(chalk.cyan('\n=== Rebuilding Codebase Index ===\n'));
 
     const spinner = ora('Scanning files...').start();
 
-    await this.components.codebaseIndexer.buildIndex((current, total, file) => {
+    const stats = await this.components.codebaseIndexer.buildIndex((current, total, file) => {
       spinner.text = `Indexing (${current}/${total}): ${path.basename(file)}`;
-    });
+    }, options);
 
     const indexPath = path.join(this.lmcodeDir, 'codebase_index.json');
     await this.components.codebaseIndexer.saveIndex(indexPath);
 
-    spinner.succeed(`Indexed ${this.components.codebaseIndexer.index.files.length} files`);
+    spinner.succeed(`Indexed ${this.components.codebaseIndexer.index.files.length} files (${stats.parsed} parsed, ${stats.unchanged} unchanged, ${stats.removed} removed)`);
 
     const structure = this.components.codebaseIndexer.getProjectStructure();
     console.log(chalk.white('\nProject Structure:'));
@@ -1504,6 +2447,81 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
     await this.checkAndCompressContext();
   }
 
+  /**
+   * Show whether a path is indexed and which ignore rule decided it
+   * @param {string} filePath - Path to explain
+   */
+  explainIndexPath(filePath) {
+    if (!filePath) {
+      console.log(chalk.yellow('\nUsage: /index --explain <path>\n'));
+      return;
+    }
+
+    const result = this.components.codebaseIndexer.explainExclusion(filePath);
+    const kind = result.isDirectory ? 'directory' : 'file';
+    console.log();
+    if (!result.exists) {
+      console.log(chalk.gray(`${result.relativePath} does not exist; showing how it would be treated as a ${kind}`));
+    }
+
+    if (result.ignored) {
+      const via = result.viaDirectory ? ` (via parent directory ${result.viaDirectory}/)` : '';
+      console.log(chalk.yellow(`✗ ${result.relativePath} is excluded${via}`));
+      console.log(chalk.gray(`  Rule: ${result.rule.pattern}  (${result.rule.source}, line ${result.rule.line})`));
+    } else if (result.excludedExtension) {
+      console.log(chalk.yellow(`✗ ${result.relativePath} is excluded by extension ${result.excludedExtension} (codebase.excludeExtensions)`));
+    } else {
+      console.log(chalk.green(`✓ ${result.relativePath} is indexed`));
+      if (result.rule) {
+        console.log(chalk.gray(`  Re-included by: ${result.rule.pattern}  (${result.rule.source}, line ${result.rule.line})`));
+      } else {
+        console.log(chalk.gray('  No ignore rule matches it'));
+      }
+    }
+    console.log();
+  }
+
+  /**
+   * Show what a file imports and which files import it
+   * @param {string} filePath - Path (relative to the project root)
+   */
+  showDependencies(filePath) {
+    if (!filePath) {
+      console.log(chalk.yellow('\nUsage: /deps <file>\n'));
+      return;
+    }
+
+    const dependencies = this.components.codebaseIndexer.getDependencies(filePath);
+    if (!dependencies) {
+      console.log(chalk.yellow(`\n${filePath} is not in the codebase index (run /init or lmcode index first)\n`));
+      return;
+    }
+
+    const list = (items) => {
+      if (items.length === 0) {
+        console.log(chalk.gray('  (none)'));
+      }
+      for (const item of items) {
+        console.log(chalk.white(`  ${item}`));
+      }
+    };
+
+    console.log(chalk.cyan(`\n=== Dependencies of ${dependencies.relativePath} ===\n`));
+    console.log(chalk.white('Imports:'));
+    list(dependencies.imports);
+    console.log(chalk.white('\nImported by:'));
+    list(dependencies.importers);
+    if (dependencies.external.length > 0) {
+      console.log(chalk.white('\nPackages:'));
+      console.log(chalk.gray(`  ${dependencies.external.join(', ')}`));
+    }
+    if (dependencies.unresolved.length > 0) {
+      console.log(chalk.yellow('\nUnresolved:'));
+      console.log(chalk.gray(`  ${dependencies.unresolved.join(', ')}`));
+    }
+    console.log();
+  }
+
   /**
    * Compress history manually
    */
@@ -1539,11 +2557,33 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
     console.log(chalk.cyan('\n=== Configuration ===\n'));
     console.log(chalk.white('Project Root:'), this.projectRoot);
     console.log(chalk.white('LMCode Directory:'), this.lmcodeDir);
+    const provider = this.components.lmstudioClient.provider;
     console.log(chalk.white('\nLMStudio:'));
-    console.log(chalk.gray(`  Base URL: ${this.config.lmstudio.baseURL}`));
+    console.log(chalk.gray(`  Provider: ${provider.name} (${provider.label})`));
+    console.log(chalk.gray(`  Base URL: ${provider.baseURL}`));
     console.log(chalk.gray(`  Model: ${this.config.lmstudio.model}`));
     console.log(chalk.gray(`  Temperature: ${this.config.lmstudio.temperature}`));
 
+    console.log(chalk.white('\nModel Routing:'));
+    for (const route of this.components.lmstudioClient.getModelRoutes()) {
+      const context = route.contextWindow ? `${route.contextWindow} tokens` : (route.pendingLoad ? 'loads on first use' : 'context unknown');
+      console.log(chalk.gray(`  ${route.role.padEnd(10)} ${route.model} (${context})`));
+    }
+
+    const tokenCounter = this.components.tokenCounter;
+    console.log(chalk.white('\nTokenizer:'));
+    console.log(chalk.gray(`  Backend: ${tokenCounter.backend}`));
+    for (const model of new Set(this.components.lmstudioClient.getModelRoutes().map(route => route.model))) {
+      const calibration = tokenCounter.getCalibration(model);
+      if (!calibration) {
+        console.log(chalk.gray(`  ${model}: not calibrated`));
+        continue;
+      }
+      const source = calibration.source === 'server' ? 'server tokenizer' : `${calibration.samples || 0} request(s)`;
+      const overflows = calibration.overflows ? `, ${calibration.overflows} overflow(s)` : '';
+      console.log(chalk.gray(`  ${model}: ×${tokenCounter.getModelRatio(model).toFixed(2)} (${calibration.tokenRatio ? source : 'no measurement'}${overflows})`));
+    }
+
     const contextWindow = this.components.lmstudioClient.getContextWindow();
     console.log(chalk.white('\nContext Management:'));
     if (contextWindow) {
@@ -1602,12 +2642,165 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
 
     // Save to config for next session
     this.config.lmstudio.lastContextWindow = contextValue;
-    const configPath = path.join(this.lmcodeDir, 'config.json');
-    await fs.writeFile(configPath, JSON.stringify(this.config, null, 2));
+    await this.saveConfig({ 'lmstudio.lastContextWindow': contextValue });
 
     console.log(chalk.green(`✓ Context window set to ${contextValue} tokens\n`));
   }
 
+  /**
+   * List provider profiles or switch to another one
+   * The choice is saved as config.provider for this project
+   */
+  async switchProvider(args) {
+    const client = this.components.lmstudioClient;
+
+    if (args.length === 0) {
+      console.log(chalk.cyan('\n=== Providers ===\n'));
+      for (const name of getProviderNames(this.config)) {
+        const profile = resolveProvider(this.config, name);
+        const marker = name === client.provider.name ? chalk.green('● ') : '  ';
+        console.log(marker + chalk.white(name) + chalk.gray(` - ${profile.label} at ${profile.baseURL}`));
+      }
+      console.log(chalk.gray('\nUsage: /provider <name>  (profiles are configured under "providers" in .lmcode/config.json)\n'));
+      return;
+    }
+
+    let provider;
+    try {
+      provider = resolveProvider(this.config, args[0]);
+    } catch (error) {
+      console.log(chalk.red(`\nError: ${error.message}\n`));
+      return;
+    }
+
+    client.setProvider(provider);
+    this.providerName = provider.name;
+    this.config.provider = provider.name;
+    await this.saveConfig({ provider: provider.name });
+
+    console.log(chalk.green(`\n✓ Switched to ${provider.name} (${provider.label})`));
+    await this.testConnection();
+    console.log();
+  }
+
+  /**
+   * List the provider's models or switch to another one
+   * Loads the model if needed, re-detects context window and function calling,
+   * and saves the choice as lmstudio.model for this project
+   */
+  async switchModel(args) {
+    const client = this.components.lmstudioClient;
+
+    let models;
+    try {
+      models = await client.listModels();
+    } catch (error) {
+      console.log(chalk.red(`\nError: ${error.message}\n`));
+      return;
+    }
+
+    if (args.length === 0) {
+      console.log(chalk.cyan(`\n=== Models (${client.provider.label}) ===\n`));
+      if (models.length === 0) {
+        console.log(chalk.gray('No models available'));
+      }
+
+      models.forEach((model, i) => {
+        const details = [];
+        if (model.state) {
+          details.push(model.loaded ? chalk.green(model.state) : model.state);
+        }
+        if (model.contextLength) {
+          const max = model.maxContextLength && model.maxContextLength !== model.contextLength
+            ? `/${model.maxContextLength}`
+            : '';
+          details.push(`context ${model.contextLength}${max}`);
+        }
+        if (model.quantization) {
+          details.push(model.quantization);
+        }
+
+        const marker = model.id === client.model ? chalk.green('● ') : '  ';
+        const number = chalk.gray(`${String(i + 1).padStart(2)}. `);
+        console.log(marker + number + chalk.white(model.id) + (details.length > 0 ? chalk.gray(` (${details.join(', ')})`) : ''));
+      });
+
+      console.log(chalk.gray('\nUsage: /model <name or number>\n'));
+      return;
+    }
+
+    // Accept a list number, an exact id or a unique part of an id
+    const query = args.join(' ');
+    let model = models.find(m => m.id === query);
+    if (!model && /^\d+$/.test(query)) {
+      model = models[parseInt(query, 10) - 1];
+      if (!model) {
+        console.log(chalk.red(`\nError: There is no model number ${query} - use /model to list models\n`));
+        return;
+      }
+    }
+    if (!model) {
+      const matches = models.filter(m => m.id.toLowerCase().includes(query.toLowerCase()));
+      if (matches.length !== 1) {
+        console.log(chalk.red(`\nError: ${matches.length === 0 ? 'No model matches' : 'Several models match'} "${query}"`));
+        for (const match of matches) {
+          console.log(chalk.gray(`  ${match.id}`));
+        }
+        console.log(chalk.gray('Use /model to list models\n'));
+        return;
+      }
+      model = matches[0];
+    }
+
+    const toolsWereEnabled = client.supportsTools;
+    // Restored if the new model can't be used, so the session keeps working with the old one
+    const previous = {
+      model: client.model,
+      contextWindow: client.contextWindow,
+      routeContextWindows: new Map(client.routeContextWindows),
+      pendingRouteLoads: new Set(client.pendingRouteLoads),
+    };
+    const spinner = ora(model.loaded === false
+      ? `Loading ${model.id}... (this can take a while)`
+      : `Switching to ${model.id}...`).start();
+
+    try {
+      client.model = model.id;
+      client.contextWindow = null;
+      await client.fetchModelCapabilities();
+      if (!client.getContextWindow()) {
+        throw new Error(`The context window of ${model.id} could not be determined - set contextLength in the provider profile to use it`);
+      }
+      await this.calibrateTokenizer();
+
+      spinner.text = 'Checking function calling support...';
+      const toolsWork = await client.testToolCalling();
+      client.supportsTools = toolsWereEnabled && toolsWork;
+
+      this.config.lmstudio.model = client.model;
+      const changes = { 'lmstudio.model': client.model };
+      if (this.config.models.chat) {
+        this.config.models.chat = client.model;
+        changes['models.chat'] = client.model;
+      }
+      await this.saveConfig(changes);
+
+      spinner.succeed(`Switched to ${client.model} (context: ${client.getContextWindow()} tokens, function calling: ${toolsWork ? 'supported' : 'not supported'})`);
+
+      if (toolsWereEnabled && !toolsWork) {
+        console.log(chalk.yellow('⚠ Function calling did not work with this model - switched to XML mode'));
+      } else if (!toolsWereEnabled && toolsWork) {
+        console.log(chalk.gray('Use /tools on to enable function calling'));
+      }
+      console.log();
+    } catch (error) {
+      Object.assign(client, previous);
+      client.supportsTools = toolsWereEnabled;
+      spinner.fail(`Failed to switch to ${model.id} - still using ${previous.model}`);
+      console.error(chalk.red(error.message));
+    }
+  }
+
   /**
    * Toggle tool support on/off
    */
@@ -1638,6 +2831,113 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
     }
   }
 
+  /**
+   * Show or collapse the reasoning of thinking models
+   * @param {Array<string>} args - [on|off]
+   */
+  async toggleReasoning(args) {
+    this.config.reasoning = this.config.reasoning || getDefaultConfig().reasoning;
+
+    if (args.length === 0) {
+      const status = this.config.reasoning.show;
+      console.log(chalk.white(`\nReasoning output: ${status ? chalk.green('SHOWN (dimmed)') : chalk.yellow('COLLAPSED')}`));
+      console.log(chalk.gray('\nUsage: /think on  or  /think off'));
+      console.log(chalk.gray('Reasoning is never kept in the conversation history.\n'));
+      return;
+    }
+
+    const action = args[0].toLowerCase();
+
+    if (action === 'on' || action === 'show' || action === '1' || action === 'true') {
+      this.config.reasoning.show = true;
+      console.log(chalk.green('\n✓ Reasoning will be shown (dimmed)\n'));
+    } else if (action === 'off' || action === 'hide' || action === '0' || action === 'false') {
+      this.config.reasoning.show = false;
+      console.log(chalk.yellow('\n✓ Reasoning will be collapsed to one line\n'));
+    } else {
+      console.log(chalk.red('\nError: Invalid argument'));
+      console.log(chalk.gray('Usage: /think on  or  /think off\n'));
+      return;
+    }
+
+    await this.saveConfig({ 'reasoning.show': this.config.reasoning.show });
+  }
+
+  /**
+   * Display the reasoning of a response and count its tokens
+   * @param {Object} response - Structured response from the client
+   * @returns {number} - Reasoning tokens (0 if the response has no reasoning)
+   */
+  showReasoning(response) {
+    if (!response?.reasoning) {
+      return 0;
+    }
+
+    const tokens = this.components.tokenCounter.countTokens(response.reasoning);
+    this.reasoningStats.responses++;
+    this.reasoningStats.tokens += tokens;
+    this.reasoningStats.lastTokens = tokens;
+
+    if (this.config.reasoning?.show) {
+      console.log(chalk.gray.dim(`\n💭 Thinking (${tokens} tokens):`));
+      console.log(chalk.gray.dim(response.reasoning));
+    } else {
+      console.log(chalk.gray(`\n💭 Thought for ${tokens} tokens (/think on to show)`));
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Tell the user when a response hit the output token limit
+   * @param {Object} response - Structured response from the client
+   */
+  reportTruncation(response) {
+    if (!response?.continuations && !response?.truncated) {
+      return;
+    }
+
+    if (!response.truncated) {
+      console.log(chalk.gray(`\n↪ Response hit the token limit and was continued (${response.continuations} continuation(s))`));
+      return;
+    }
+
+    const unclosed = response.type === 'content' ? this.components.responseParser.findUnclosedBlocks(response.content) : [];
+    console.log(chalk.yellow(`\n⚠ Response is still incomplete after ${response.continuations || 0} continuation(s) - it was cut off at the token limit`));
+    if (unclosed.length > 0) {
+      console.log(chalk.yellow(`  Unfinished blocks will be ignored: ${unclosed.map(tag => `<${tag}>`).join(', ')}`));
+    }
+  }
+
+  /**
+   * Show request timing percentiles per model and role from .lmcode/metrics.jsonl
+   */
+  showPerformanceStats() {
+    const summary = MetricsLog.summarize(this.metricsLog.load());
+    if (summary.length === 0) {
+      return;
+    }
+
+    const ms = (value) => (value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${Math.round(value)}ms`);
+    const format = (stats, unit) => (stats
+      ? `p50 ${unit(stats.p50)} / p90 ${unit(stats.p90)} / p99 ${unit(stats.p99)}`
+      : 'n/a');
+
+    console.log(chalk.white('\nPerformance:'));
+    for (const group of summary) {
+      const failures = [
+        group.retries > 0 ? `${group.retries} ${group.retries === 1 ? 'retry' : 'retries'}` : null,
+        group.errors > 0 ? `${group.errors} failed` : null,
+      ].filter(Boolean).join(', ');
+      console.log(chalk.gray(`  ${group.model} (${group.role}): ${group.calls} calls${failures ? `, ${failures}` : ''}`));
+      console.log(chalk.gray(`    TTFT:              ${format(group.ttftMs, ms)}`));
+      console.log(chalk.gray(`    Prompt processing: ${format(group.promptMs, ms)}`));
+      const estimated = group.estimated > 0 ? ` (${group.estimated} estimated from stream deltas)` : '';
+      console.log(chalk.gray(`    Generation:        ${format(group.tokensPerSecond, value => `${value.toFixed(1)} tok/s`)}${estimated}`));
+      console.log(chalk.gray(`    Total:             ${format(group.totalMs, ms)}`));
+    }
+  }
+
   /**
    * Show statistics
    */
@@ -1656,6 +2956,17 @@ Add your custom instructions for the LLM here. This file works like Claude's CLA
       console.log(chalk.gray(`  Last Usage: ${usage.totalTokens} tokens (${((usage.totalTokens / contextWindow) * 100).toFixed(1)}% of context)`));
     }
 
+    if (this.reasoningStats.responses > 0) {
+      console.log(chalk.white('\nReasoning:'));
+      console.log(chalk.gray(`  Responses with reasoning: ${this.reasoningStats.responses}`));
+      console.log(chalk.gray(`  Reasoning Tokens: ${this.reasoningStats.tokens} this session (last response: ${this.reasoningStats.lastTokens})`));
+      if (usage?.reasoningTokens !== null && usage?.reasoningTokens !== undefined) {
+        console.log(chalk.gray(`  Reported by server (last request): ${usage.reasoningTokens}`));
+      }
+    }
+
+    this.showPerformanceStats();
+
     console.log(chalk.white('\nConversation:'));
     console.log(chalk.gray(`  Messages: ${historyStats.messageCount}`));
     console.log(chalk.gray(`  Full Tokens: ${historyStats.fullTokens}`));
@@ -1713,13 +3024,16 @@ const program = new Command();
 program
   .name('lmcode')
   .description('LMCode - Context management for LMStudio')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--provider <name>', 'Provider profile to use (lmstudio, ollama, llamacpp, openai or one from config)')
+  .option('--record [name]', 'Record server traffic to .lmcode/cassettes/<name>.jsonl')
+  .option('--replay <name>', 'Serve server traffic from a recorded cassette instead of the server');
 
 program
-  .command('start')
+  .command('start', { isDefault: true })
   .description('Start interactive session (default)')
   .action(async () => {
-    const app = new LMStudioContextManager();
+    const app = new LMStudioContextManager(null, program.opts());
     await app.initialize();
     await app.startInteractive();
   });
@@ -1727,17 +3041,32 @@ program
 program
   .command('index')
   .description('Index the codebase for better context')
-  .action(async () => {
-    const app = new LMStudioContextManager();
+  .option('--full', 'Re-parse every file, not only changed ones')
+  .option('--explain <path>', 'Show which ignore rule decides whether a path is indexed')
+  .action(async (options) => {
+    const app = new LMStudioContextManager(null, program.opts());
+    await app.initialize();
+    if (options.explain) {
+      app.explainIndexPath(options.explain);
+      return;
+    }
+    await app.rebuildIndex({ full: !!options.full });
+  });
+
+program
+  .command('deps <file>')
+  .description('Show what a file imports and which files import it')
+  .action(async (file) => {
+    const app = new LMStudioContextManager(null, program.opts());
     await app.initialize();
-    await app.rebuildIndex();
+    app.showDependencies(file);
   });
 
 program
   .command('tasks')
   .description('Show task list')
   .action(async () => {
-    const app = new LMStudioContextManager();
+    const app = new LMStudioContextManager(null, program.opts());
     await app.initialize();
     app.showTasks();
   });
@@ -1746,7 +3075,7 @@ program
   .command('history')
   .description('Show conversation history')
   .action(async () => {
-    const app = new LMStudioContextManager();
+    const app = new LMStudioContextManager(null, program.opts());
     await app.initialize();
     app.showHistory();
   });
@@ -1755,7 +3084,7 @@ program
   .command('config')
   .description('Show current configuration')
   .action(async () => {
-    const app = new LMStudioContextManager();
+    const app = new LMStudioContextManager(null, program.opts());
     await app.initialize();
     app.showConfig();
   });
@@ -1764,20 +3093,70 @@ program
   .command('stats')
   .description('Show statistics')
   .action(async () => {
-    const app = new LMStudioContextManager();
+    const app = new LMStudioContextManager(null, program.opts());
     await app.initialize();
     app.showStats();
   });
 
-// If no command provided, default to 'start'
-if (!process.argv.slice(2).length) {
-  // Auto-start interactive mode when no command is given
-  (async () => {
-    const app = new LMStudioContextManager();
+program
+  .command('mcp')
+  .description('Serve the codebase index and search as an MCP server over stdio')
+  .action(async () => {
+    // stdout carries the protocol - send all other output to stderr
+    console.log = console.error;
+    const app = new LMStudioContextManager(null, program.opts());
     await app.initialize();
-    await app.startInteractive();
-  })();
-} else {
-  // Parse commands normally
-  program.parse(process.argv);
+    await app.serveMcp();
+  });
+
+program
+  .command('mock-server <scenario>')
+  .description('Run a scripted OpenAI-compatible server from a YAML/JSON scenario (for offline testing)')
+  .option('-p, --port <port>', 'Port to listen on', '1234')
+  .option('--host <host>', 'Interface to bind', '127.0.0.1')
+  .action(async (scenarioPath, options) => {
+    try {
+      const scenario = await MockServer.loadScenario(scenarioPath);
+      const server = new MockServer(scenario, {
+        log: (line) => console.log(chalk.gray(`${new Date().toLocaleTimeString()} ${line}`)),
+      });
+      const { port, host } = await server.listen(parseInt(options.port, 10), options.host);
+
+      console.log(chalk.green(`✓ Mock server listening on http://${host}:${port}/v1`));
+      console.log(chalk.gray(`  Models: ${server.models.map(m => m.id).join(', ')}`));
+      console.log(chalk.gray(`  Scripted responses: ${server.responses.length}${server.loop ? ' (looping)' : ''}`));
+      console.log(chalk.gray('  Press Ctrl+C to stop\n'));
+    } catch (error) {
+      console.error(chalk.red(`Failed to start mock server: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * Whether this file was started as the program (lmcode, node src/index.js) rather than imported
+ * @returns {boolean}
+ */
+function isMainModule() {
+  try {
+    return realpathSync(process.argv[1]) === __filename; // argv[1] is the bin symlink when installed
+  } catch (error) {
+    return false;
+  }
+}
+
+if (isMainModule()) {
+  // If no command provided, default to 'start'
+  if (!process.argv.slice(2).length) {
+    // Auto-start interactive mode when no command is given
+    (async () => {
+      const app = new LMStudioContextManager(null, program.opts());
+      await app.initialize();
+      await app.startInteractive();
+    })();
+  } else {
+    // Parse commands normally
+    program.parse(process.argv);
+  }
 }
+
+export default LMStudioContextManager;
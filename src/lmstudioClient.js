@@ -1,31 +1,57 @@
 import axios from 'axios';
-import { getToolDefinitions } from './tools.js';
+import { getToolDefinitions, normalizeTextualToolCalls, createToolCallId } from './tools.js';
+import { splitReasoning, getReasoningField, isReasoningModel } from './reasoning.js';
+import { resolveProvider, resolveEndpoint, getAuthHeaders, parseModelList, fetchContextLength, fetchTokenCount, requestModelLoad, parseContextOverflow } from './providers.js';
+
+// Jobs that can be routed to their own model through the models section of the config
+const MODEL_ROLES = ['chat', 'edit', 'compress'];
+
+// Sent after a partial answer to get the rest of it
+const CONTINUE_PROMPT = 'Your previous response was cut off by the output token limit. Continue it from exactly where it stopped: start with the next character, do not repeat any earlier text and do not add an introduction.';
 
 /**
  * LMStudioClient - OpenAI-compatible API client for LMStudio
- * Handles communication with local LMStudio server
+ * Handles communication with local LMStudio server, and with Ollama, llama.cpp
+ * and other OpenAI-compatible servers through provider profiles
  */
 class LMStudioClient {
-  constructor(config) {
-    this.baseURL = config.baseURL || 'http://localhost:1234/v1';
-    this.model = config.model || 'local-model';
+  /**
+   * @param {Object} config - lmstudio section of the config (model, temperature, baseURL)
+   * @param {Object} provider - Resolved provider profile (defaults to LM Studio)
+   * @param {Object} modelRoutes - models section of the config: role (chat, edit, compress)
+   *   -> model id, or { model, contextLength }
+   */
+  constructor(config, provider = null, modelRoutes = {}) {
+    this.provider = provider || resolveProvider({ lmstudio: config });
+    this.baseURL = this.provider.baseURL;
+    this.modelRoutes = this._checkRoutes(modelRoutes || {});
+    this.model = this._getRoute('chat').model || config.model || 'local-model';
     this.temperature = config.temperature || 0.7;
+    this.maxContinuations = config.maxContinuations ?? 3; // Follow-up requests for output cut off at max_tokens
 
     // Dynamic context window info (fetched from API or set by user for current session)
-    this.contextWindow = null; // Will be fetched from model info or set by user
+    this.contextWindow = this._getRoute('chat').contextLength || null; // Will be fetched from model info or set by user
+    this.routeContextWindows = new Map(); // Routed model id -> context window
+    this.pendingRouteLoads = new Set(); // Routed model ids to load on first use
+    this.unknownContextWarned = new Set(); // Routed model ids already warned about an unknown context window
     this.lastUsage = null; // Last API call usage stats
+    this.lastMetrics = null; // Timing of the last API call
+    this.metricsLog = null;
 
     // Tool/function calling support
     // Default to false (XML mode) - will only enable if detection test passes
     this.supportsTools = false;
     this.toolDefinitions = getToolDefinitions(); // Available tools for the LLM
 
+    this.cassette = null; // Set by setCassette() for record/replay
+
     // Create axios instance with default config
     this.client = axios.create({
       baseURL: this.baseURL,
       timeout: 0, // No timeout - allow unlimited time for local LLM processing
       headers: {
         'Content-Type': 'application/json',
+        ...getAuthHeaders(this.provider),
       },
     });
 
@@ -43,13 +69,14 @@ class LMStudioClient {
     this.client.interceptors.response.use(
       (response) => response,
       (error) => {
+        const label = this.provider.label;
         if (error.code === 'ECONNREFUSED') {
           throw new Error(
-            'Cannot connect to LMStudio. Make sure LMStudio is running and the server is started.'
+            `Cannot connect to ${label}. Make sure ${label} is running and the server is started.`
           );
         }
         if (error.code === 'ETIMEDOUT' || error.code === 'ECONNRESET') {
-          throw new Error('Connection to LMStudio was interrupted. Check if the server is still running.');
+          throw new Error(`Connection to ${label} was interrupted. Check if the server is still running.`);
         }
         throw error;
       }
@@ -63,7 +90,11 @@ class LMStudioClient {
    * @returns {Promise<string>} - LLM response text
    */
   async complete(messages, options = {}) {
-    if (!this.contextWindow) {
+    // options.role picks the model and context window from the routing table (default: chat)
+    const role = options.role || 'chat';
+    await this.prepareRole(role);
+    const contextWindow = this.getContextWindow(role);
+    if (!contextWindow) {
       throw new Error('Context window not set. Please set context length using /context command.');
     }
 
@@ -71,97 +102,380 @@ class LMStudioClient {
     // If options.maxTokens is provided, use it; otherwise calculate based on context
     let maxCompletionTokens = options.maxTokens;
 
-    if (!maxCompletionTokens && options.promptTokens && this.contextWindow) {
+    if (!maxCompletionTokens && options.promptTokens) {
       // Reserve space: contextWindow - promptTokens - safety margin
-      const availableTokens = this.contextWindow - options.promptTokens - 100;
+      const availableTokens = contextWindow - options.promptTokens - 100;
       // Use available tokens, but ensure minimum of 512 for reasonable responses
       maxCompletionTokens = Math.max(512, availableTokens);
     } else if (!maxCompletionTokens) {
       // Fallback: use half the context window for completion
-      maxCompletionTokens = Math.floor(this.contextWindow / 2);
+      maxCompletionTokens = Math.floor(contextWindow / 2);
     }
 
-    // IMPORTANT: Streaming doesn't support tool calls properly - tool_calls come all at once, not in deltas
-    // So we disable streaming when tools are enabled
-    const useStreaming = options.onProgress && (options.disableTools || !this.supportsTools);
+    // Stream whenever a progress callback is provided - tool call deltas are assembled by completeWithStreaming
+    const useStreaming = !!options.onProgress;
 
     const requestBody = {
-      model: options.model || this.model,
+      model: options.model || this.getModelForRole(role),
       messages: messages,
       temperature: options.temperature ?? this.temperature,
       max_tokens: maxCompletionTokens,
       stream: useStreaming,
+      ...this.provider.quirks.extraBody,
     };
 
+    // Streams only report usage when asked - it feeds the token ratio and the metrics
+    if (useStreaming && this.provider.quirks.streamUsage !== false) {
+      requestBody.stream_options = { include_usage: true };
+    }
+
     // Add tools if model supports them and not explicitly disabled
     if (this.supportsTools && !options.disableTools) {
       requestBody.tools = this.toolDefinitions;
 
       // Use "required" for initial queries to force tool use (Qwen3 models often ignore "auto")
-      // Use "auto" for follow-ups when tools are disabled
-      requestBody.tool_choice = options.forceTools ? "required" : "auto";
+      // Use "auto" for follow-ups when tools are disabled, and for servers that reject "required"
+      requestBody.tool_choice = options.forceTools && this.provider.quirks.toolChoiceRequired ? "required" : "auto";
     }
 
     try {
-      // Use streaming if progress callback is provided AND tools are disabled
-      if (useStreaming) {
-        return await this.completeWithStreaming(
-          requestBody,
-          options.onProgress,
-          options.retries || 3,
-          options.signal
-        );
+      let response = await this.sendRequest(requestBody, options);
+
+      // Text cut off at max_tokens (e.g. in the middle of a <file_edit>): ask for the rest
+      if (response.type === 'content' && response.finishReason === 'length') {
+        response = await this.continueTruncated(requestBody, response, contextWindow, options);
       }
 
-      // Non-streaming mode
-      const response = await this.retryRequest(
-        () => this.client.post('/chat/completions', requestBody, { signal: options.signal }),
-        options.retries || 3
-      );
+      return this.normalizeResponse(this.separateReasoning(response, response.reasoning, requestBody.model), requestBody);
+    } catch (error) {
+      if (error.response) {
+        // Server responded with error status
+        const status = error.response.status;
+        const body = await this.readErrorBody(error.response);
+        const detail = body?.error?.message || (typeof body?.error === 'string' ? body.error : null) ||
+          (typeof body === 'string' && body.trim() ? body.trim() : null) || error.message;
+        const apiError = new Error(`${this.provider.label} API error (${status}): ${detail}`);
+
+        // Prompt did not fit the loaded context - callers can shrink the prompt and retry
+        const overflow = parseContextOverflow(status, body);
+        if (overflow) {
+          apiError.name = 'ContextOverflowError';
+          apiError.contextOverflow = overflow;
+        }
+        throw apiError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the body of an error response (streamed requests get the body as a stream)
+   * @param {Object} response - axios error response
+   * @returns {Promise<Object|string|null>} - Parsed JSON, text, or null
+   */
+  async readErrorBody(response) {
+    let data = response.data;
 
-      if (!response.data || !response.data.choices || response.data.choices.length === 0) {
-        throw new Error('Invalid response from LMStudio: no choices returned');
+    if (typeof data?.pipe === 'function') {
+      let text = '';
+      try {
+        for await (const chunk of data) {
+          text += chunk;
+        }
+      } catch (error) {
+        // Keep what was read
       }
+      data = text;
+    }
 
-      // Extract and store usage statistics if available
-      if (response.data.usage) {
-        this.lastUsage = {
-          promptTokens: response.data.usage.prompt_tokens || 0,
-          completionTokens: response.data.usage.completion_tokens || 0,
-          totalTokens: response.data.usage.total_tokens || 0,
-          timestamp: new Date().toISOString(),
-        };
+    if (typeof data === 'string') {
+      try {
+        return JSON.parse(data);
+      } catch (error) {
+        return data;
       }
+    }
+    return data ?? null;
+  }
 
-      const message = response.data.choices[0].message;
+  /**
+   * Send one chat completion request and record its performance metrics
+   * @param {Object} requestBody - Request payload
+   * @param {Object} options - { onProgress, retries, signal, role, continuation }
+   * @returns {Promise<Object>} - Structured response { type, content, tool_calls, message, reasoning, finishReason }
+   */
+  async sendRequest(requestBody, options = {}) {
+    const timing = { start: Date.now(), attemptStart: Date.now(), firstToken: null, end: null, retries: 0, usage: null, serverTimings: null, streamedTokens: 0 };
 
-      // Check if response contains tool calls
-      if (message.tool_calls && message.tool_calls.length > 0) {
-        return {
-          type: 'tool_calls',
-          tool_calls: message.tool_calls,
-          message: message
-        };
-      }
+    try {
+      const response = await this.postCompletion(requestBody, options, timing);
+      this.recordMetrics(requestBody, options, timing, response);
+      return response;
+    } catch (error) {
+      this.recordMetrics(requestBody, options, timing, null, error);
+      throw error;
+    }
+  }
+
+  /**
+   * POST a chat completion, streamed or not
+   * @param {Object} requestBody - Request payload
+   * @param {Object} options - { onProgress, retries, signal }
+   * @param {Object} timing - Filled in with timestamps, retries, usage and server timings
+   * @returns {Promise<Object>} - Structured response
+   */
+  async postCompletion(requestBody, options, timing) {
+    // Use streaming if progress callback is provided
+    if (requestBody.stream) {
+      return this.completeWithStreaming(
+        requestBody,
+        options.onProgress,
+        options.retries || 3,
+        options.signal,
+        timing
+      );
+    }
+
+    // Non-streaming mode
+    const response = await this.retryRequest(
+      () => this.client.post('/chat/completions', requestBody, { signal: options.signal }),
+      options.retries || 3,
+      timing
+    );
+    timing.end = Date.now();
+
+    if (!response.data || !response.data.choices || response.data.choices.length === 0) {
+      throw new Error(`Invalid response from ${this.provider.label}: no choices returned`);
+    }
+
+    // Extract and store usage statistics if available
+    if (response.data.usage) {
+      this.lastUsage = this.parseUsage(response.data.usage);
+      timing.usage = response.data.usage;
+    }
+    timing.serverTimings = response.data.timings || null;
+
+    const message = response.data.choices[0].message;
+    const finishReason = response.data.choices[0].finish_reason || null;
 
-      // Regular text response
-      const completion = message.content || '';
+    // Check if response contains tool calls
+    if (message.tool_calls && message.tool_calls.length > 0) {
+      // Some servers leave out the id, which results are matched by
+      const toolCalls = message.tool_calls.map(call => ({ ...call, id: call.id || createToolCallId() }));
       return {
-        type: 'content',
-        content: completion,
-        message: message
+        type: 'tool_calls',
+        tool_calls: toolCalls,
+        message: { ...message, tool_calls: toolCalls },
+        reasoning: getReasoningField(message),
+        finishReason,
       };
-    } catch (error) {
-      if (error.response) {
-        // Server responded with error status
-        throw new Error(
-          `LMStudio API error (${error.response.status}): ${
-            error.response.data?.error?.message || error.message
-          }`
-        );
+    }
+
+    // Regular text response
+    return {
+      type: 'content',
+      content: message.content || '',
+      message: message,
+      reasoning: getReasoningField(message),
+      finishReason,
+    };
+  }
+
+  /**
+   * Ask for the rest of a response that hit max_tokens, up to lmstudio.maxContinuations times
+   * The partial answer is sent back as the assistant turn and each continuation is appended to it.
+   * @param {Object} requestBody - Payload of the truncated request
+   * @param {Object} response - Truncated structured response
+   * @param {number} contextWindow - Context window of the model
+   * @param {Object} options - complete() options
+   * @returns {Promise<Object>} - Stitched response, with continuations and truncated (still cut off)
+   */
+  async continueTruncated(requestBody, response, contextWindow, options) {
+    const maxContinuations = options.maxContinuations ?? this.maxContinuations;
+    let content = response.content;
+    let reasoning = response.reasoning || '';
+    let finishReason = response.finishReason;
+    let continuations = 0;
+
+    while (finishReason === 'length' && continuations < maxContinuations) {
+      const messages = [
+        ...requestBody.messages,
+        { role: 'assistant', content },
+        { role: 'user', content: CONTINUE_PROMPT },
+      ];
+
+      // Prompt now includes the partial answer - stop when there is no room left to continue
+      const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+      const maxTokens = Math.min(requestBody.max_tokens, contextWindow - promptTokens - 100);
+      if (maxTokens < 256) {
+        break;
       }
-      throw error;
+
+      const body = { ...requestBody, messages, max_tokens: maxTokens };
+      delete body.tools;
+      delete body.tool_choice;
+
+      const previous = content;
+      const generated = Math.ceil(previous.length / 4);
+      const next = await this.sendRequest(body, {
+        ...options,
+        continuation: true,
+        onProgress: options.onProgress && ((tokens, text) => options.onProgress(generated + tokens, previous + text)),
+      });
+
+      continuations++;
+      content = this.stitchContinuation(previous, next.content || '');
+      reasoning = [reasoning, next.reasoning].filter(Boolean).join('\n\n');
+      finishReason = next.finishReason;
     }
+
+    return {
+      ...response,
+      content,
+      message: { ...response.message, content },
+      reasoning,
+      finishReason,
+      continuations,
+      truncated: finishReason === 'length',
+    };
+  }
+
+  /**
+   * Append a continuation, dropping text the model repeated from the end of the partial answer
+   * @param {string} previous - Text so far
+   * @param {string} next - Continuation
+   * @returns {string} - Combined text
+   */
+  stitchContinuation(previous, next) {
+    const maxOverlap = Math.min(previous.length, next.length, 500);
+    for (let size = maxOverlap; size >= 10; size--) {
+      if (previous.endsWith(next.slice(0, size))) {
+        return previous + next.slice(size);
+      }
+    }
+    return previous + next;
+  }
+
+  /**
+   * Move reasoning (<think> blocks, reasoning_content) out of the answer
+   * The answer and the message sent back to the model keep only the final text
+   * @param {Object} response - Structured response
+   * @param {string} fieldReasoning - Reasoning the server sent in a separate field
+   * @param {string} model - Model that produced the response
+   * @returns {Object} - Structured response with a reasoning field ('' when there is none)
+   */
+  separateReasoning(response, fieldReasoning = '', model = null) {
+    const split = splitReasoning(response.message.content || '', {
+      reasoningModel: isReasoningModel(model),
+      truncated: response.finishReason === 'length',
+    });
+    const message = { ...response.message, content: response.message.content ? split.content : response.message.content };
+    delete message.reasoning_content;
+    delete message.reasoning;
+
+    const result = {
+      ...response,
+      message,
+      reasoning: [fieldReasoning.trim(), split.reasoning].filter(Boolean).join('\n\n'),
+    };
+    if (response.type === 'content') {
+      result.content = split.content;
+    }
+    return result;
+  }
+
+  /**
+   * Record the performance metrics of one request
+   * @param {Object} requestBody - Request payload
+   * @param {Object} options - sendRequest options (role, continuation)
+   * @param {Object} timing - Timing filled in while the request ran
+   * @param {Object|null} response - Structured response (null if the request failed)
+   * @param {Error} error - Error the request failed with
+   */
+  recordMetrics(requestBody, options, timing, response, error = null) {
+    const end = timing.end || Date.now();
+    const server = timing.serverTimings;
+    // Without usage, streamed deltas stand in for tokens (reasoning and tool-argument fragments included)
+    const estimated = timing.usage?.completion_tokens == null && !!timing.streamedTokens && server?.predicted_per_second == null;
+    const completionTokens = timing.usage?.completion_tokens ?? (timing.streamedTokens || null);
+    const ttftMs = requestBody.stream && timing.firstToken ? timing.firstToken - timing.attemptStart : null;
+
+    // Server timings when available; otherwise prompt processing ends with the first token
+    const promptMs = server?.prompt_ms ?? ttftMs;
+    const generationMs = server?.predicted_ms ?? (timing.firstToken ? end - timing.firstToken : null);
+    let tokensPerSecond = server?.predicted_per_second ?? null;
+    if (tokensPerSecond === null && completionTokens && generationMs > 0) {
+      tokensPerSecond = completionTokens / (generationMs / 1000);
+    }
+
+    const round = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : null);
+    const entry = {
+      timestamp: new Date(timing.start).toISOString(),
+      model: requestBody.model,
+      role: options.role || 'chat',
+      stream: !!requestBody.stream,
+      continuation: !!options.continuation,
+      promptTokens: timing.usage?.prompt_tokens ?? null,
+      completionTokens,
+      estimated,
+      ttftMs: round(ttftMs),
+      promptMs: round(promptMs),
+      generationMs: round(generationMs),
+      tokensPerSecond: round(tokensPerSecond),
+      totalMs: end - timing.start,
+      retries: timing.retries,
+      finishReason: response?.finishReason ?? null,
+      error: error ? (error.name === 'AbortError' || error.code === 'ERR_CANCELED' ? 'cancelled' : error.message) : null,
+    };
+
+    this.lastMetrics = entry;
+    this.metricsLog?.record(entry);
+  }
+
+  /**
+   * Write per-request metrics to a log
+   * @param {MetricsLog|null} metricsLog - Log, or null to stop recording
+   */
+  setMetricsLog(metricsLog) {
+    this.metricsLog = metricsLog;
+  }
+
+  /**
+   * Get the metrics of the last request
+   * @returns {Object|null} - Entry as written to the metrics log
+   */
+  getLastMetrics() {
+    return this.lastMetrics;
+  }
+
+  /**
+   * Convert server usage statistics
+   * @param {Object} usage - OpenAI usage object
+   * @returns {Object} - { promptTokens, completionTokens, totalTokens, reasoningTokens, timestamp }
+   *   (reasoningTokens is null when the server does not report it)
+   */
+  parseUsage(usage) {
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || 0,
+      reasoningTokens: usage.completion_tokens_details?.reasoning_tokens ?? null,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Convert tool calls that the model wrote as text into native tool calls
+   * Only applies when tools were offered in the request
+   * @param {Object} response - Structured response
+   * @param {Object} requestBody - Request payload that produced the response
+   * @returns {Object} - Structured response
+   */
+  normalizeResponse(response, requestBody) {
+    if (!requestBody.tools) {
+      return response;
+    }
+    return normalizeTextualToolCalls(response, requestBody.tools);
   }
 
   /**
@@ -172,14 +486,21 @@ class LMStudioClient {
    * @param {AbortSignal} signal - Optional abort signal for cancellation
    * @returns {Promise<Object>} - Complete response (structured format)
    */
-  async completeWithStreaming(requestBody, onProgress, maxRetries = 3, signal = null) {
-    let completionText = '';
-    let tokenCount = 0;
+  async completeWithStreaming(requestBody, onProgress, maxRetries = 3, signal = null, timing = null) {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      if (timing) {
+        timing.retries = attempt;
+        timing.attemptStart = Date.now();
+        timing.firstToken = null;
+      }
 
-    // Note: Streaming with tool calls is not typical - tools are usually returned complete
-    // If tools are in the request, we'll still stream content but won't get tool_calls in chunks
+      // Reset accumulated output so a retried stream doesn't append to a failed one
+      let completionText = '';
+      let reasoningText = '';
+      let finishReason = null;
+      let tokenCount = 0;
+      const toolCallParts = [];
 
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
         const response = await this.client.post('/chat/completions', requestBody, {
           responseType: 'stream',
@@ -201,9 +522,27 @@ class LMStudioClient {
                 try {
                   const data = JSON.parse(line.slice(6));
 
-                  if (data.choices && data.choices[0]?.delta?.content) {
-                    const content = data.choices[0].delta.content;
-                    completionText += content;
+                  const delta = data.choices?.[0]?.delta;
+                  if (data.choices?.[0]?.finish_reason) {
+                    finishReason = data.choices[0].finish_reason;
+                  }
+
+                  // Reasoning streamed in its own field (DeepSeek, LM Studio, Ollama)
+                  const reasoningDelta = getReasoningField(delta);
+
+                  if (timing && !timing.firstToken && (reasoningDelta || delta?.content || delta?.tool_calls)) {
+                    timing.firstToken = Date.now();
+                  }
+                  if (reasoningDelta) {
+                    reasoningText += reasoningDelta;
+                    tokenCount++;
+                    if (tokenCount % 10 === 0) {
+                      onProgress(tokenCount, completionText);
+                    }
+                  }
+
+                  if (delta?.content) {
+                    completionText += delta.content;
                     tokenCount++;
 
                     // Call progress callback every 10 tokens or so
@@ -212,14 +551,39 @@ class LMStudioClient {
                     }
                   }
 
+                  // Tool calls arrive as fragments keyed by index: the first fragment
+                  // carries id and function name, later ones append argument text
+                  if (delta?.tool_calls) {
+                    for (const fragment of delta.tool_calls) {
+                      const index = fragment.index ?? toolCallParts.length;
+                      if (!toolCallParts[index]) {
+                        toolCallParts[index] = {
+                          id: null,
+                          type: 'function',
+                          function: { name: '', arguments: '' },
+                        };
+                      }
+
+                      const part = toolCallParts[index];
+                      if (fragment.id) part.id = fragment.id;
+                      if (fragment.type) part.type = fragment.type;
+                      if (fragment.function?.name) part.function.name += fragment.function.name;
+                      if (fragment.function?.arguments) part.function.arguments += fragment.function.arguments;
+
+                      tokenCount++;
+                      if (tokenCount % 10 === 0) {
+                        onProgress(tokenCount, completionText);
+                      }
+                    }
+                  }
+
                   // Store usage stats if available
                   if (data.usage) {
-                    this.lastUsage = {
-                      promptTokens: data.usage.prompt_tokens || 0,
-                      completionTokens: data.usage.completion_tokens || 0,
-                      totalTokens: data.usage.total_tokens || 0,
-                      timestamp: new Date().toISOString(),
-                    };
+                    this.lastUsage = this.parseUsage(data.usage);
+                    if (timing) timing.usage = data.usage;
+                  }
+                  if (data.timings && timing) {
+                    timing.serverTimings = data.timings; // llama.cpp: prompt_ms, predicted_ms, predicted_per_second
                   }
                 } catch (parseError) {
                   // Ignore parse errors for individual chunks
@@ -229,13 +593,37 @@ class LMStudioClient {
           });
 
           response.data.on('end', () => {
+            if (timing) {
+              timing.end = Date.now();
+              timing.streamedTokens = tokenCount;
+            }
+
             // Final progress update
             onProgress(tokenCount, completionText);
+
             // Return structured format matching non-streaming mode
+            const toolCalls = toolCallParts.filter(Boolean).map(part => ({
+              ...part,
+              id: part.id || createToolCallId(),
+            }));
+
+            if (toolCalls.length > 0) {
+              resolve({
+                type: 'tool_calls',
+                tool_calls: toolCalls,
+                message: { role: 'assistant', content: completionText || null, tool_calls: toolCalls },
+                reasoning: reasoningText,
+                finishReason,
+              });
+              return;
+            }
+
             resolve({
               type: 'content',
               content: completionText,
-              message: { role: 'assistant', content: completionText }
+              message: { role: 'assistant', content: completionText },
+              reasoning: reasoningText,
+              finishReason,
             });
           });
 
@@ -265,7 +653,7 @@ class LMStudioClient {
   }
 
   /**
-   * Test connection to LMStudio server
+   * Test connection to the server
    * @returns {Promise<boolean>} - True if connection successful
    */
   async testConnection() {
@@ -275,8 +663,8 @@ class LMStudioClient {
     } catch (error) {
       if (error.code === 'ECONNREFUSED') {
         throw new Error(
-          'Cannot connect to LMStudio at ' + this.baseURL +
-          '. Make sure LMStudio is running and the server is started on this port.'
+          `Cannot connect to ${this.provider.label} at ${this.baseURL}` +
+          '. Make sure the server is running on this port.'
         );
       }
       throw new Error('Connection test failed: ' + error.message);
@@ -284,22 +672,33 @@ class LMStudioClient {
   }
 
   /**
-   * Get available models from LMStudio native API (with full model info)
-   * @returns {Promise<Array>} - List of available models with context length
+   * List models from the provider's model endpoint (LM Studio native API, Ollama /api/tags, ...)
+   * Falls back to the profile's legacy endpoint (LM Studio /api/v0/models), then the
+   * OpenAI-compatible /models endpoint
+   * @returns {Promise<Array>} - Models as { id, state, loaded, contextLength, maxContextLength, quantization }
    */
-  async getModelsNative() {
-    try {
-      // Use LM Studio's native API which includes max_context_length
-      const response = await this.client.get('/api/v0/models');
-      return response.data.data || [];
-    } catch (error) {
-      console.warn('Failed to fetch from /api/v0/models:', error.message);
-      return null;
+  async listModels() {
+    const endpoints = [this.provider.modelsEndpoint, this.provider.legacyModelsEndpoint].filter(Boolean);
+    for (const [i, endpoint] of endpoints.entries()) {
+      try {
+        const response = await this.client.get(resolveEndpoint(this.provider, endpoint));
+        const models = parseModelList(response.data);
+        if (models.length > 0) {
+          return models;
+        }
+      } catch (error) {
+        // A missing v1 API is expected on older servers - only warn when nothing else is left to try
+        if (i === endpoints.length - 1) {
+          console.warn(`Failed to fetch from ${endpoint}:`, error.message);
+        }
+      }
     }
+
+    return parseModelList({ data: await this.getModels() });
   }
 
   /**
-   * Get available models from LMStudio (OpenAI-compatible endpoint)
+   * Get available models (OpenAI-compatible endpoint)
    * @returns {Promise<Array>} - List of available models (minimal info)
    */
   async getModels() {
@@ -311,6 +710,20 @@ class LMStudioClient {
     }
   }
 
+  /**
+   * Pick the model to use: the configured one if the server has it, otherwise the first loaded model
+   * @param {Array<Object>} models - Models from listModels()
+   * @returns {Object} - Selected model
+   */
+  selectModel(models) {
+    const configured = models.find(m => m.id === this.model);
+    if (configured) {
+      return configured;
+    }
+    const loadedModels = models.filter(m => m.loaded !== false);
+    return loadedModels.length > 0 ? loadedModels[0] : models[0];
+  }
+
   /**
    * Fetch and cache model capabilities including context window
    * @returns {Promise<void>}
@@ -321,72 +734,242 @@ class LMStudioClient {
       if (this.contextWindow) {
         // Still fetch model info to get the model name, but don't override context
         try {
-          let models = await this.getModelsNative();
-          if (!models || models.length === 0) {
-            models = await this.getModels();
-          }
-          if (models && models.length > 0) {
-            const loadedModels = models.filter(m => !m.state || m.state === 'loaded');
-            const modelInfo = loadedModels.length > 0 ? loadedModels[0] : models[0];
-            this.model = modelInfo.id;
+          const models = await this.listModels();
+          if (models.length > 0) {
+            this.model = this.selectModel(models).id;
           }
         } catch (error) {
           // Silently continue if we can't fetch model info
         }
+        await this.fetchRouteCapabilities();
         return; // Skip context detection
       }
 
-      // Try LM Studio's native API first (has context length info)
-      let models = await this.getModelsNative();
-      let usingNativeAPI = false;
-
-      if (models && models.length > 0) {
-        usingNativeAPI = true;
-      } else {
-        // Fall back to OpenAI-compatible endpoint
-        models = await this.getModels();
-      }
+      const models = await this.listModels();
 
-      if (!models || models.length === 0) {
-        throw new Error('No models loaded in LMStudio. Please load a model and start the server.');
+      if (models.length === 0) {
+        throw new Error(`No models available from ${this.provider.label}. Please load a model and start the server.`);
       }
 
-      // Filter to only loaded models if state field is available
-      const loadedModels = models.filter(m => !m.state || m.state === 'loaded');
-      const modelInfo = loadedModels.length > 0 ? loadedModels[0] : models[0];
-
-      // Update our model ID to match what's actually loaded
+      // Update our model ID to match what's actually available
+      let modelInfo = this.selectModel(models);
       this.model = modelInfo.id;
 
+      // A saved model that isn't loaded any more is loaded again, so the context length is the loaded one
+      if (modelInfo.loaded === false) {
+        modelInfo = await this.loadModel(modelInfo.id);
+      }
+
       // Tool support defaults to OFF (XML mode)
       // User can manually enable with /tools on if desired
       this.supportsTools = false;
 
-      // Extract context window size from various possible fields
-      // LM Studio native API uses max_context_length and loaded_context_length
-      if (usingNativeAPI) {
-        // Prefer loaded_context_length (what's actually configured)
-        // Fall back to max_context_length (maximum the model supports)
-        this.contextWindow =
-          modelInfo?.loaded_context_length ||
-          modelInfo?.max_context_length ||
-          null;
-      } else {
-        // OpenAI-compatible endpoint - try various field names
-        this.contextWindow =
-          modelInfo?.context_length ||
-          modelInfo?.max_tokens ||
-          modelInfo?.context_window ||
-          modelInfo?.max_position_embeddings ||
-          modelInfo?.n_ctx ||
-          null;
+      // Context length from the model listing (the loaded instance's in LM Studio, ...),
+      // otherwise from the provider's context endpoint (Ollama /api/show, llama.cpp /props)
+      this.contextWindow = modelInfo.contextLength || null;
+      if (!this.contextWindow) {
+        try {
+          this.contextWindow = await fetchContextLength(this.client, this.provider, this.model);
+        } catch (error) {
+          console.warn(`Failed to fetch context length from ${this.provider.contextEndpoint}:`, error.message);
+        }
       }
 
+      await this.fetchRouteCapabilities();
     } catch (error) {
       throw new Error(`Failed to fetch model info: ${error.message}`);
     }
   }
 
+  /**
+   * Detect the context window of each routed model other than the chat model
+   * Only queries the server - routed models that are not loaded yet are loaded by
+   * prepareRole() the first time their job runs
+   * @returns {Promise<void>}
+   */
+  async fetchRouteCapabilities() {
+    this.routeContextWindows.clear();
+    this.pendingRouteLoads.clear();
+
+    // Routed model id -> whether its context length is configured
+    const routed = new Map();
+    for (const role of Object.keys(this.modelRoutes)) {
+      const modelId = this.getModelForRole(role);
+      if (modelId !== this.model) {
+        routed.set(modelId, routed.get(modelId) || !!this._getRoute(role).contextLength);
+      }
+    }
+    if (routed.size === 0) {
+      return;
+    }
+
+    let models;
+    try {
+      models = await this.listModels();
+    } catch (error) {
+      console.warn('Failed to list models for routing:', error.message);
+      return;
+    }
+
+    for (const [modelId, configured] of routed) {
+      const modelInfo = models.find(m => m.id === modelId);
+      if (!modelInfo) {
+        console.warn(`Routed model ${modelId} is not available from ${this.provider.label}`);
+        continue;
+      }
+
+      // The server decides the context window when it loads the model
+      if (modelInfo.loaded === false) {
+        this.pendingRouteLoads.add(modelId);
+        continue;
+      }
+      if (!configured) {
+        await this._detectRouteContext(modelInfo);
+      }
+    }
+  }
+
+  /**
+   * Load the model of a job if it is routed to a model that is not loaded yet
+   * @param {string} role - chat, edit or compress
+   * @returns {Promise<void>}
+   */
+  async prepareRole(role = 'chat') {
+    const modelId = this.getModelForRole(role);
+    if (!this.pendingRouteLoads.has(modelId)) {
+      return;
+    }
+
+    const modelInfo = await this.loadModel(modelId);
+    this.pendingRouteLoads.delete(modelId);
+    if (!this._getRoute(role).contextLength) {
+      await this._detectRouteContext(modelInfo);
+    }
+  }
+
+  /**
+   * Record the context window of a loaded routed model
+   * @param {Object} modelInfo - The model's listing ({ id, contextLength, ... })
+   * @returns {Promise<void>}
+   */
+  async _detectRouteContext(modelInfo) {
+    try {
+      const contextLength = modelInfo.contextLength || await fetchContextLength(this.client, this.provider, modelInfo.id);
+      if (contextLength) {
+        this.routeContextWindows.set(modelInfo.id, contextLength);
+      }
+    } catch (error) {
+      console.warn(`Failed to detect context length of ${modelInfo.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Get the model configured for a job
+   * @param {string} role - chat, edit or compress
+   * @returns {string} - Model id (the chat model when the role is not routed)
+   */
+  getModelForRole(role = 'chat') {
+    if (role === 'chat') {
+      return this.model;
+    }
+    return this._getRoute(role).model || this.model;
+  }
+
+  /**
+   * Drop routes for roles that no job uses (a typo would otherwise be silently ignored)
+   * @param {Object} modelRoutes - models section of the config
+   * @returns {Object} - Routes for known roles only
+   */
+  _checkRoutes(modelRoutes) {
+    const routes = {};
+    for (const [role, route] of Object.entries(modelRoutes)) {
+      if (MODEL_ROLES.includes(role)) {
+        routes[role] = route;
+      } else if (route) {
+        console.warn(`Ignoring model route for unknown role "${role}" (roles: ${MODEL_ROLES.join(', ')})`);
+      }
+    }
+    return routes;
+  }
+
+  /**
+   * Normalize a routing table entry
+   * @param {string} role - Role name
+   * @returns {Object} - { model, contextLength } (fields are null when not configured)
+   */
+  _getRoute(role) {
+    const route = this.modelRoutes[role];
+    if (!route) {
+      return { model: null, contextLength: null };
+    }
+    if (typeof route === 'string') {
+      return { model: route, contextLength: null };
+    }
+    return { model: route.model || null, contextLength: route.contextLength || null };
+  }
+
+  /**
+   * Load a model on the server
+   * Uses the provider's load endpoint; if that is unavailable, a one-token request
+   * makes servers with just-in-time loading (LM Studio) load the model.
+   * @param {string} modelId - Model to load
+   * @returns {Promise<Object>} - The model's listing after loading ({ id, loaded, contextLength, ... })
+   */
+  async loadModel(modelId) {
+    let requested = false;
+    try {
+      requested = await requestModelLoad(this.client, this.provider, modelId);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw new Error(`Failed to load ${modelId}: ${error.response?.data?.error?.message || error.message}`);
+      }
+    }
+
+    if (!requested) {
+      await this.client.post('/chat/completions', {
+        model: modelId,
+        messages: [{ role: 'user', content: 'hi' }],
+        max_tokens: 1,
+        stream: false,
+      });
+    }
+
+    const models = await this.listModels();
+    return models.find(m => m.id === modelId) || { id: modelId, loaded: true, contextLength: null };
+  }
+
+  /**
+   * Switch to another provider profile
+   * Resets the model-specific state; call fetchModelCapabilities() afterwards
+   * @param {Object} provider - Resolved provider profile
+   */
+  setProvider(provider) {
+    for (const header of Object.keys(getAuthHeaders(this.provider))) {
+      delete this.client.defaults.headers[header];
+    }
+    Object.assign(this.client.defaults.headers, getAuthHeaders(provider));
+
+    this.provider = provider;
+    this.baseURL = provider.baseURL;
+    this.client.defaults.baseURL = provider.baseURL;
+
+    this.contextWindow = null;
+    this.routeContextWindows.clear();
+    this.pendingRouteLoads.clear();
+    this.unknownContextWarned.clear();
+    this.supportsTools = false;
+    this.lastUsage = null;
+  }
+
+  /**
+   * Record all server traffic to a cassette, or serve it from one instead of the server
+   * @param {Cassette} cassette - Cassette in record or replay mode
+   */
+  setCassette(cassette) {
+    this.cassette = cassette;
+    this.client.defaults.adapter = cassette.createAdapter(axios.getAdapter('http'));
+  }
+
   /**
    * Test if tool calling actually works with this model
    * @returns {Promise<boolean>} - True if tool calls work properly
@@ -494,12 +1077,66 @@ class LMStudioClient {
 
   /**
    * Get the context window size
+   * Routed models use their configured or detected context window; if neither is
+   * known the chat model's window is used, with a warning
+   * @param {string} role - chat, edit or compress
    * @returns {number|null} - Context window size in tokens, or null if not set
    */
-  getContextWindow() {
+  getContextWindow(role = 'chat') {
+    const routeWindow = this._getRouteContextWindow(role);
+    if (routeWindow) {
+      return routeWindow;
+    }
+
+    const modelId = this.getModelForRole(role);
+    if (!this.pendingRouteLoads.has(modelId) && !this.unknownContextWarned.has(modelId)) {
+      this.unknownContextWarned.add(modelId);
+      console.warn(`Context window of ${modelId} is unknown - budgeting ${role} prompts against the chat model's ${this.contextWindow || 'unset'} tokens. Set models.${role}.contextLength to fix this.`);
+    }
     return this.contextWindow;
   }
 
+  /**
+   * Context window of a job's own model
+   * @param {string} role - chat, edit or compress
+   * @returns {number|null} - Context window, or null if it is not known (yet)
+   */
+  _getRouteContextWindow(role) {
+    const modelId = this.getModelForRole(role);
+    if (modelId === this.model) {
+      return this.contextWindow;
+    }
+    return this._getRoute(role).contextLength || this.routeContextWindows.get(modelId) || null;
+  }
+
+  /**
+   * Describe the model routing table
+   * @returns {Array<Object>} - { role, model, contextWindow, pendingLoad } for each role
+   *   (contextWindow is null when the model's own window is not known)
+   */
+  getModelRoutes() {
+    return MODEL_ROLES.map(role => ({
+      role,
+      model: this.getModelForRole(role),
+      contextWindow: this._getRouteContextWindow(role),
+      pendingLoad: this.pendingRouteLoads.has(this.getModelForRole(role)),
+    }));
+  }
+
+  /**
+   * Count tokens with the server's tokenizer for a role's model
+   * @param {string} text - Text to tokenize
+   * @param {string} role - chat, edit or compress
+   * @returns {Promise<number|null>} - Token count, or null if the server has no tokenizer endpoint or it failed
+   */
+  async tokenize(text, role = 'chat') {
+    try {
+      return await fetchTokenCount(this.client, this.provider, this.getModelForRole(role), text);
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Get last usage statistics
    * @returns {Object|null} - Usage stats from last API call
@@ -514,10 +1151,12 @@ class LMStudioClient {
    */
   getModelInfo() {
     return {
+      provider: this.provider.name,
       baseURL: this.baseURL,
       model: this.model,
       temperature: this.temperature,
       contextWindow: this.contextWindow,
+      routes: this.getModelRoutes(),
       lastUsage: this.lastUsage,
     };
   }
@@ -536,12 +1175,18 @@ class LMStudioClient {
    * Retry a request with exponential backoff
    * @param {Function} requestFn - Function that returns a promise
    * @param {number} maxRetries - Maximum number of retries
+   * @param {Object} timing - Optional metrics timing; gets the retry count and attempt start
    * @returns {Promise} - Result of the request
    */
-  async retryRequest(requestFn, maxRetries = 3) {
+  async retryRequest(requestFn, maxRetries = 3, timing = null) {
     let lastError;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
+      if (timing) {
+        timing.retries = attempt;
+        timing.attemptStart = Date.now();
+      }
+
       try {
         return await requestFn();
       } catch (error) {
@@ -590,9 +1235,10 @@ class LMStudioClient {
    * @param {string} text - Text to compress
    * @param {string} instructions - Compression instructions
    * @param {Function} onProgress - Optional progress callback
+   * @param {string} role - Model role to run on
    * @returns {Promise<string>} - Compressed text
    */
-  async compress(text, instructions, onProgress = null) {
+  async compress(text, instructions, onProgress = null, role = 'compress') {
     const messages = [
       {
         role: 'system',
@@ -608,6 +1254,7 @@ class LMStudioClient {
       temperature: 0.3, // Lower temperature for more focused compression
       maxTokens: 1000,
       disableTools: true, // Compression should always return text, not tool calls
+      role,
     };
 
     if (onProgress) {
@@ -0,0 +1,253 @@
+import { spawn } from 'child_process';
+import readline from 'readline';
+
+const PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * MCPClient - Talks to one Model Context Protocol server over stdio
+ * Messages are newline-delimited JSON-RPC 2.0 on the server's stdin/stdout
+ */
+class MCPClient {
+  /**
+   * @param {string} name - Server name from the config (used as the tool prefix)
+   * @param {Object} config - { command, args, env, cwd, timeoutMs }
+   * @param {string} projectRoot - Default working directory for the server
+   */
+  constructor(name, config, projectRoot) {
+    this.name = name;
+    this.command = config.command;
+    this.args = config.args || [];
+    this.env = config.env || {};
+    this.cwd = config.cwd || projectRoot;
+    this.timeoutMs = config.timeoutMs || 30000;
+
+    this.process = null;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.serverInfo = null;
+    this.tools = [];
+    this.stderrTail = [];
+  }
+
+  /**
+   * Start the server and perform the initialize handshake
+   * @returns {Promise<Object>} - Server info from the initialize result
+   */
+  async connect() {
+    if (!this.command) {
+      throw new Error('No command configured');
+    }
+
+    this.process = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+
+    // Keep the last few stderr lines to explain failures
+    readline.createInterface({ input: this.process.stderr }).on('line', (line) => {
+      this.stderrTail.push(line);
+      if (this.stderrTail.length > 20) this.stderrTail.shift();
+    });
+
+    readline.createInterface({ input: this.process.stdout }).on('line', (line) => {
+      this._handleLine(line);
+    });
+
+    this.process.on('error', (error) => {
+      this._rejectAll(new Error(`Failed to start ${this.command}: ${error.message}`));
+    });
+
+    // Writing to a server that exited or closed its input fails with EPIPE - fail the requests instead of crashing
+    this.process.stdin.on('error', (error) => {
+      this._rejectAll(new Error(`MCP server ${this.name} stopped reading requests (${error.code || error.message})`));
+    });
+
+    this.process.on('exit', (code, signal) => {
+      this.process = null;
+      const details = this.stderrTail.length > 0 ? `: ${this.stderrTail.slice(-3).join(' | ')}` : '';
+      this._rejectAll(new Error(`MCP server ${this.name} exited (${signal || `code ${code}`})${details}`));
+    });
+
+    const result = await this._request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'lmcode', version: '1.0.0' },
+    });
+
+    this.serverInfo = result.serverInfo || { name: this.name };
+    this._notify('notifications/initialized');
+
+    return this.serverInfo;
+  }
+
+  /**
+   * List the server's tools (follows pagination cursors)
+   * @returns {Promise<Array<Object>>} - MCP tool descriptions { name, description, inputSchema, annotations }
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+
+    do {
+      const result = await this._request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    this.tools = tools;
+    return tools;
+  }
+
+  /**
+   * Call a tool on the server
+   * @param {string} name - Tool name as the server knows it
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<string>} - Result text for the model
+   */
+  async callTool(name, args) {
+    const result = await this._request('tools/call', { name, arguments: args || {} });
+    const text = this.formatToolResult(result);
+    return result.isError ? `Error from ${this.name}/${name}: ${text}` : text;
+  }
+
+  /**
+   * Convert a tools/call result to text
+   * @param {Object} result - { content: Array<Object>, structuredContent, isError }
+   * @returns {string} - Text content
+   */
+  formatToolResult(result) {
+    const parts = [];
+
+    for (const item of result.content || []) {
+      if (item.type === 'text') {
+        parts.push(item.text);
+      } else if (item.type === 'resource') {
+        parts.push(item.resource?.text ?? `[resource ${item.resource?.uri}]`);
+      } else if (item.type === 'resource_link') {
+        parts.push(`[resource ${item.uri}]`);
+      } else {
+        parts.push(`[${item.type} content omitted]`);
+      }
+    }
+
+    if (parts.length === 0 && result.structuredContent) {
+      parts.push(JSON.stringify(result.structuredContent, null, 2));
+    }
+
+    return parts.join('\n') || 'Done (no output)';
+  }
+
+  /**
+   * Stop the server
+   */
+  close() {
+    if (this.process) {
+      this.process.stdin.end();
+      this.process.kill();
+      this.process = null;
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request and wait for its response
+   * @param {string} method - Method name
+   * @param {Object} params - Parameters
+   * @returns {Promise<Object>} - Result
+   */
+  _request(method, params = {}) {
+    if (!this.process) {
+      return Promise.reject(new Error(`MCP server ${this.name} is not running`));
+    }
+
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP server ${this.name} did not answer ${method} within ${this.timeoutMs / 1000}s`));
+      }, this.timeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer, method });
+      this._send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  /**
+   * Send a JSON-RPC notification (no response expected)
+   * @param {string} method - Method name
+   * @param {Object} params - Parameters
+   */
+  _notify(method, params) {
+    this._send(params ? { jsonrpc: '2.0', method, params } : { jsonrpc: '2.0', method });
+  }
+
+  /**
+   * Write one message to the server
+   * @param {Object} message - JSON-RPC message
+   */
+  _send(message) {
+    this.process?.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Handle a line of server output
+   * @param {string} line - One JSON-RPC message
+   */
+  _handleLine(line) {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      // Not protocol output (some servers log to stdout) - ignore it
+      return;
+    }
+
+    // Response to one of our requests
+    if (message.id !== undefined && !message.method) {
+      const pending = this.pending.get(message.id);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      this.pending.delete(message.id);
+
+      if (message.error) {
+        pending.reject(new Error(`${pending.method} failed: ${message.error.message || JSON.stringify(message.error)}`));
+      } else {
+        pending.resolve(message.result || {});
+      }
+      return;
+    }
+
+    // Request from the server - only ping is supported
+    if (message.id !== undefined && message.method) {
+      if (message.method === 'ping') {
+        this._send({ jsonrpc: '2.0', id: message.id, result: {} });
+      } else {
+        this._send({
+          jsonrpc: '2.0',
+          id: message.id,
+          error: { code: -32601, message: `Method not supported: ${message.method}` },
+        });
+      }
+    }
+
+    // Notifications (logging, progress, list_changed) are ignored
+  }
+
+  /**
+   * Fail all outstanding requests
+   * @param {Error} error - Reason
+   */
+  _rejectAll(error) {
+    for (const pending of this.pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+    this.pending.clear();
+  }
+}
+
+export default MCPClient;
@@ -0,0 +1,402 @@
+import readline from 'readline';
+import CodebaseIndexer from './codebaseIndexer.js';
+import { validateToolArguments } from './tools.js';
+
+const PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * MCPServer - Serves the codebase index and search as Model Context Protocol tools
+ * Reads newline-delimited JSON-RPC 2.0 from input and writes responses to output
+ */
+class MCPServer {
+  /**
+   * @param {CodebaseIndexer} codebaseIndexer - Loaded codebase index
+   * @param {FileOperations} fileOps - Used to validate paths against the project root
+   * @param {Object} config - App configuration (search settings)
+   */
+  constructor(codebaseIndexer, fileOps, config = {}) {
+    this.codebaseIndexer = codebaseIndexer;
+    this.fileOps = fileOps;
+    this.config = config;
+    this.output = null;
+  }
+
+  /**
+   * Serve requests until the input stream closes
+   * @param {Readable} input - Defaults to process.stdin
+   * @param {Writable} output - Defaults to process.stdout
+   * @returns {Promise<void>} - Resolves when the client disconnects
+   */
+  start(input = process.stdin, output = process.stdout) {
+    this.output = output;
+
+    return new Promise((resolve) => {
+      const rl = readline.createInterface({ input });
+      rl.on('line', (line) => this._handleLine(line));
+      rl.on('close', resolve);
+    });
+  }
+
+  /**
+   * Tools offered to clients
+   * @returns {Array<Object>} - MCP tool descriptions
+   */
+  getTools() {
+    const readOnly = { readOnlyHint: true, openWorldHint: false };
+
+    return [
+      {
+        name: 'search_code',
+        description: 'Search the project files for keywords (case-insensitive). Returns matching files with line-numbered snippets.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            keywords: { type: 'array', items: { type: 'string' }, description: 'Keywords to search for' },
+            mode: {
+              type: 'string',
+              enum: ['simple', 'function', 'extended'],
+              description: "'simple': a few lines around each match, 'function': the enclosing function/block, 'extended': a wide window for editing",
+            },
+            max_results: { type: 'integer', description: 'Maximum number of files to return' },
+          },
+          required: ['keywords'],
+        },
+        annotations: readOnly,
+      },
+      {
+        name: 'read_lines',
+        description: 'Read a range of lines (1-indexed, inclusive) from a project file.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: 'File path relative to the project root' },
+            start_line: { type: 'integer', description: 'First line to read' },
+            end_line: { type: 'integer', description: 'Last line to read' },
+          },
+          required: ['path', 'start_line', 'end_line'],
+        },
+        annotations: readOnly,
+      },
+      {
+        name: 'find_definition',
+        description: 'Find where a function, class or method with this exact name is defined: file, line range (ready for read_lines), kind, signature and doc comment.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Function, class or method name (Class.method also works)' },
+          },
+          required: ['name'],
+        },
+        annotations: readOnly,
+      },
+      {
+        name: 'find_references',
+        description: 'Find every use of an identifier (whole-identifier match, not substrings or comments): file, line, code and enclosing function for each.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Identifier' },
+            max_results: { type: 'integer', description: 'Maximum references to return (default 100)' },
+          },
+          required: ['name'],
+        },
+        annotations: readOnly,
+      },
+      {
+        name: 'list_symbols',
+        description: 'List the functions, classes, imports and exports recorded in the index for a file, and each symbol with its line range.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: 'File path relative to the project root' },
+          },
+          required: ['path'],
+        },
+        annotations: readOnly,
+      },
+      {
+        name: 'project_overview',
+        description: 'Summarise the indexed project: file count, file types, function and class counts.',
+        inputSchema: { type: 'object', properties: {} },
+        annotations: readOnly,
+      },
+    ];
+  }
+
+  /**
+   * Run a tool
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<string>} - Result text
+   */
+  async callTool(name, args = {}) {
+    switch (name) {
+      case 'search_code':
+        return this.searchCode(args);
+      case 'read_lines':
+        return this.readLines(args);
+      case 'find_definition':
+        return this.findDefinition(args);
+      case 'find_references':
+        return this.findReferences(args);
+      case 'list_symbols':
+        return this.listSymbols(args);
+      case 'project_overview':
+        return this.projectOverview();
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  /**
+   * search_code tool
+   * @param {Object} args - { keywords, mode, max_results }
+   * @returns {Promise<string>} - Formatted snippets
+   */
+  async searchCode(args) {
+    const keywords = (Array.isArray(args.keywords) ? args.keywords : [args.keywords])
+      .filter(keyword => typeof keyword === 'string' && keyword.trim())
+      .map(keyword => keyword.trim());
+
+    if (keywords.length === 0) {
+      throw new Error('keywords must contain at least one non-empty string');
+    }
+
+    const contextLines = this.config.search?.snippetContextLines || 3;
+    const maxResults = args.max_results || this.config.search?.maxSearchResults || 5;
+    const maxSnippets = this.config.search?.maxSnippetsPerFile || 3;
+
+    const results = await this.codebaseIndexer.searchFileContents(keywords, contextLines, args.mode || 'simple');
+    if (results.length === 0) {
+      return `No matches for: ${keywords.join(', ')}`;
+    }
+
+    let text = `Matches for: ${keywords.join(', ')} (${results.length} file(s))\n`;
+    for (const result of results.slice(0, maxResults)) {
+      text += `\n## ${this._displayPath(result.relativePath)} (${result.totalMatches} match(es))\n`;
+      for (const match of result.matches.slice(0, maxSnippets)) {
+        text += `\nLines ${match.startLine}-${match.endLine} (match on line ${match.lineNumber}):\n`;
+        text += this._numberLines(match.snippet, match.startLine);
+      }
+    }
+    if (results.length > maxResults) {
+      text += `\n... and ${results.length - maxResults} more file(s)\n`;
+    }
+
+    return text;
+  }
+
+  /**
+   * read_lines tool
+   * @param {Object} args - { path, start_line, end_line }
+   * @returns {Promise<string>} - Numbered lines
+   */
+  async readLines(args) {
+    // Same path-safety rules as file edits: nothing outside the project root
+    const resolved = this.fileOps.resolvePath(args.path);
+    const range = await this.codebaseIndexer.readLineRange(resolved, args.start_line, args.end_line);
+
+    return `${this._displayPath(range.relativePath)} lines ${range.startLine}-${range.endLine} of ${range.totalLines}:\n` +
+      this._numberLines(range.content, range.startLine);
+  }
+
+  /**
+   * find_definition tool
+   * @param {Object} args - { name }
+   * @returns {string} - Definitions with their line ranges
+   */
+  findDefinition(args) {
+    const locations = this.codebaseIndexer.findDefinition(args.name);
+    if (locations.length === 0) {
+      return `"${args.name}" is not defined in any indexed file`;
+    }
+
+    return locations.map((location) => {
+      const lines = location.startLine ? ` lines ${location.startLine}-${location.endLine}` : '';
+      const doc = location.doc ? `\n  ${location.doc.split('\n')[0]}` : '';
+      return `${this._displayPath(location.relativePath)}${lines}: ${CodebaseIndexer.describeSymbol(location)}${doc}`;
+    }).join('\n');
+  }
+
+  /**
+   * find_references tool
+   * @param {Object} args - { name, max_results }
+   * @returns {Promise<string>} - One line per reference
+   */
+  async findReferences(args) {
+    const { references, total, files } = await this.codebaseIndexer.findReferences(args.name, args.max_results || 100);
+    if (total === 0) {
+      return `"${args.name}" is not referenced in any indexed file`;
+    }
+
+    const lines = references.map((reference) => {
+      const context = reference.definition ? 'definition' : (reference.context ? `in ${reference.context}` : 'top level');
+      return `${this._displayPath(reference.relativePath)}:${reference.line} (${context})${reference.text ? `: ${reference.text}` : ''}`;
+    });
+    const more = total > references.length ? `\n... ${total - references.length} more not shown` : '';
+    return `${total} reference${total === 1 ? '' : 's'} in ${files} file${files === 1 ? '' : 's'}:\n${lines.join('\n')}${more}`;
+  }
+
+  /**
+   * list_symbols tool
+   * @param {Object} args - { path }
+   * @returns {string} - Symbols of the file
+   */
+  listSymbols(args) {
+    const resolved = this.fileOps.resolvePath(args.path);
+    const file = this.codebaseIndexer.getFileInfo(resolved);
+    if (!file) {
+      throw new Error(`${args.path} is not in the codebase index`);
+    }
+
+    const list = (items) => (items.length > 0 ? items.join(', ') : '(none)');
+    return [
+      `${this._displayPath(file.relativePath)} (${file.size} bytes)`,
+      `Functions: ${list(file.functions)}`,
+      `Classes: ${list(file.classes)}`,
+      `Imports: ${list(file.imports)}`,
+      `Exports: ${list(file.exports)}`,
+      'Symbols:',
+      ...(file.symbols || []).map(symbol => `  ${symbol.startLine}-${symbol.endLine} ${CodebaseIndexer.describeSymbol(symbol)}`),
+    ].join('\n');
+  }
+
+  /**
+   * project_overview tool
+   * @returns {string} - Index summary
+   */
+  projectOverview() {
+    const structure = this.codebaseIndexer.getProjectStructure();
+    const extensions = Object.entries(structure.extensions)
+      .sort((a, b) => b[1] - a[1])
+      .map(([ext, count]) => `${ext || '(none)'}: ${count}`)
+      .join(', ');
+
+    return [
+      `Files: ${structure.fileCount}${extensions ? ` (${extensions})` : ''}`,
+      `Functions: ${structure.totalFunctions}`,
+      `Classes: ${structure.totalClasses}`,
+      `Last indexed: ${structure.lastIndexed || 'never'}`,
+    ].join('\n');
+  }
+
+  /**
+   * Handle one line of input
+   * @param {string} line - JSON-RPC message
+   */
+  async _handleLine(line) {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this._send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+
+    // Notifications (initialized, cancelled, ...) need no answer
+    if (message.id === undefined || message.id === null) return;
+
+    try {
+      const result = await this._dispatch(message.method, message.params || {});
+      this._send({ jsonrpc: '2.0', id: message.id, result });
+    } catch (error) {
+      this._send({
+        jsonrpc: '2.0',
+        id: message.id,
+        error: { code: error.code || -32603, message: error.message },
+      });
+    }
+  }
+
+  /**
+   * Answer a JSON-RPC request
+   * @param {string} method - Method name
+   * @param {Object} params - Parameters
+   * @returns {Promise<Object>} - Result
+   */
+  async _dispatch(method, params) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: params.protocolVersion || PROTOCOL_VERSION,
+          capabilities: { tools: {} },
+          serverInfo: { name: 'lmcode', version: '1.0.0' },
+        };
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        return { tools: this.getTools() };
+
+      case 'tools/call': {
+        const tool = this.getTools().find(candidate => candidate.name === params.name);
+        if (!tool) {
+          throw this._rpcError(-32602, `Unknown tool: ${params.name}`);
+        }
+
+        const validation = validateToolArguments(params.arguments || {}, tool.inputSchema);
+        if (!validation.valid) {
+          const problems = validation.errors.map(error => (error.argument ? `${error.argument}: ${error.message}` : error.message));
+          throw this._rpcError(-32602, `Invalid arguments for ${tool.name}: ${problems.join('; ')}`);
+        }
+
+        // Tool failures are results with isError, so the calling model can see them
+        try {
+          const text = await this.callTool(tool.name, validation.arguments);
+          return { content: [{ type: 'text', text }] };
+        } catch (error) {
+          return { content: [{ type: 'text', text: error.message }], isError: true };
+        }
+      }
+
+      default:
+        throw this._rpcError(-32601, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Create an error carrying a JSON-RPC error code
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @returns {Error}
+   */
+  _rpcError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Write one message to the client
+   * @param {Object} message - JSON-RPC message
+   */
+  _send(message) {
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Prefix lines with their line numbers
+   * @param {string} text - Lines of text
+   * @param {number} firstLine - Number of the first line
+   * @returns {string} - Numbered text
+   */
+  _numberLines(text, firstLine) {
+    return text.split('\n')
+      .map((line, i) => `${String(firstLine + i).padStart(5)}: ${line}`)
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Use forward slashes in paths shown to clients
+   * @param {string} relativePath - Path relative to the project root
+   * @returns {string}
+   */
+  _displayPath(relativePath) {
+    return relativePath.split('\\').join('/');
+  }
+}
+
+export default MCPServer;
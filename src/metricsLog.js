@@ -0,0 +1,108 @@
+import { existsSync, mkdirSync, readFileSync, appendFileSync } from 'fs';
+import path from 'path';
+
+/**
+ * MetricsLog - Performance metrics of every model call, one JSON line per call
+ *
+ * Each line:
+ *   { timestamp, model, role, stream, continuation, promptTokens, completionTokens, estimated,
+ *     ttftMs, promptMs, generationMs, tokensPerSecond, totalMs, retries, finishReason, error }
+ * ttftMs is only known for streamed calls; promptMs and generationMs come from the server's
+ * timings when it sends them (llama.cpp), otherwise from the stream's first and last token.
+ * estimated is set when the server reported no usage and completionTokens and tokensPerSecond
+ * were counted from stream deltas.
+ */
+class MetricsLog {
+  /**
+   * @param {string} filePath - Metrics file (.lmcode/metrics.jsonl)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append one call
+   * @param {Object} entry - Metrics of the call
+   */
+  record(entry) {
+    try {
+      mkdirSync(path.dirname(this.filePath), { recursive: true });
+      appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.warn(`Failed to write metrics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the most recent calls
+   * @param {number} limit - Maximum number of calls (newest kept)
+   * @returns {Array<Object>} - Entries, oldest first
+   */
+  load(limit = 5000) {
+    if (!existsSync(this.filePath)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of readFileSync(this.filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Skip a line cut off by a crash
+      }
+    }
+    return entries.slice(-limit);
+  }
+
+  /**
+   * Summarise calls per model and role
+   * @param {Array<Object>} entries - Entries from load()
+   * @returns {Array<Object>} - { model, role, calls, errors, retries, estimated, ttftMs, tokensPerSecond, promptMs, totalMs }
+   *   (each timing is { p50, p90, p99 } or null when no call measured it; estimated counts the calls
+   *   whose generation speed was estimated from stream deltas)
+   */
+  static summarize(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = `${entry.model}\u0000${entry.role}`;
+      if (!groups.has(key)) {
+        groups.set(key, { model: entry.model, role: entry.role, entries: [] });
+      }
+      groups.get(key).entries.push(entry);
+    }
+
+    return [...groups.values()].map(({ model, role, entries: calls }) => {
+      const succeeded = calls.filter(call => !call.error);
+      return {
+        model,
+        role,
+        calls: calls.length,
+        errors: calls.length - succeeded.length,
+        retries: calls.reduce((sum, call) => sum + (call.retries || 0), 0),
+        estimated: succeeded.filter(call => call.estimated && call.tokensPerSecond != null).length,
+        ttftMs: MetricsLog.percentiles(succeeded.map(call => call.ttftMs)),
+        tokensPerSecond: MetricsLog.percentiles(succeeded.map(call => call.tokensPerSecond)),
+        promptMs: MetricsLog.percentiles(succeeded.map(call => call.promptMs)),
+        totalMs: MetricsLog.percentiles(succeeded.map(call => call.totalMs)),
+      };
+    });
+  }
+
+  /**
+   * p50, p90 and p99 of a list of numbers (nearest rank)
+   * @param {Array<number|null>} values - Values; null and undefined are skipped
+   * @returns {Object|null} - { p50, p90, p99 }, or null if there are no values
+   */
+  static percentiles(values) {
+    const sorted = values.filter(value => typeof value === 'number' && Number.isFinite(value)).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+      return null;
+    }
+
+    const rank = (p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+    return { p50: rank(50), p90: rank(90), p99: rank(99) };
+  }
+}
+
+export default MetricsLog;
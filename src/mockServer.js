@@ -0,0 +1,368 @@
+import http from 'http';
+import { promises as fs } from 'fs';
+import YAML from 'yaml';
+
+/**
+ * MockServer - Scripted OpenAI-compatible server for offline testing
+ * Serves /v1/models, /api/v1/models, /api/v1/models/load and /v1/chat/completions (streaming and not)
+ * from a scenario, so sessions can be exercised without a model.
+ *
+ * Scenario (YAML or JSON):
+ *   models:                      - defaults to one loaded "mock-model" with 8192 tokens
+ *     - { id, contextLength, state }
+ *   loop: false                  - start over when all responses were served (default: answer 500)
+ *   responses:                   - served in order; each one once
+ *     - content: "text"
+ *       reasoning: "text"        - sent as reasoning_content (thinking models)
+ *     - tool_calls: [{ name, arguments, id }]
+ *       match: "text"            - only for requests whose messages contain this text
+ *       model: "id"              - only for requests to this model
+ *       finish_reason: length    - defaults to stop / tool_calls
+ *       usage: { prompt_tokens, completion_tokens }
+ *       delayMs: 500             - wait before answering
+ *     - status: 500              - HTTP error with { error: { message } }
+ *       error: "message"
+ *     - truncate: true           - drop the connection halfway through the response
+ *     - malformed: true          - include a broken SSE event in the stream
+ *     - raw: "data: ..."         - send this body verbatim
+ */
+class MockServer {
+  /**
+   * @param {Object} scenario - Parsed scenario
+   * @param {Object} options - { log } (log receives one line per request)
+   */
+  constructor(scenario = {}, options = {}) {
+    this.models = (scenario.models || [{ id: 'mock-model' }]).map(model => ({
+      id: model.id,
+      contextLength: model.contextLength || 8192,
+      state: model.state || 'loaded',
+    }));
+    this.responses = scenario.responses || [];
+    this.loop = !!scenario.loop;
+    this.used = new Set();
+    this.requestCount = 0;
+    this.log = options.log || (() => {});
+    this.server = null;
+  }
+
+  /**
+   * Read a scenario file
+   * @param {string} filePath - .yaml, .yml or .json file
+   * @returns {Promise<Object>} - Parsed scenario
+   */
+  static async loadScenario(filePath) {
+    const text = await fs.readFile(filePath, 'utf-8');
+    const scenario = filePath.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+
+    if (!scenario || typeof scenario !== 'object') {
+      throw new Error(`${filePath} does not contain a scenario`);
+    }
+    if (scenario.responses && !Array.isArray(scenario.responses)) {
+      throw new Error(`${filePath}: responses must be a list`);
+    }
+
+    return scenario;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Interface to bind
+   * @returns {Promise<Object>} - { port, host }
+   */
+  listen(port = 1234, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch(error => this._fail(req, res, error));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        resolve({ port: this.server.address().port, host });
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Route a request
+   * @param {IncomingMessage} req - Request
+   * @param {ServerResponse} res - Response
+   */
+  async _handle(req, res) {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+
+    const url = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+    let request = {};
+    if (body) {
+      try {
+        request = JSON.parse(body);
+      } catch (error) {
+        this._sendJSON(res, 400, { error: { message: 'Request body is not valid JSON' } });
+        return;
+      }
+    }
+
+    if (req.method === 'GET' && url === '/v1/models') {
+      this.log(`GET ${url}`);
+      this._sendJSON(res, 200, {
+        object: 'list',
+        data: this.models.map(model => ({ id: model.id, object: 'model', owned_by: 'mock' })),
+      });
+    } else if (req.method === 'GET' && url === '/api/v1/models') {
+      this.log(`GET ${url}`);
+      this._sendJSON(res, 200, {
+        models: this.models.map(model => ({
+          type: 'llm',
+          key: model.id,
+          display_name: model.id,
+          max_context_length: model.contextLength,
+          loaded_instances: model.state === 'loaded'
+            ? [{ id: model.id, config: { context_length: model.contextLength } }]
+            : [],
+        })),
+      });
+    } else if (req.method === 'POST' && url === '/api/v1/models/load') {
+      const model = this.models.find(m => m.id === request.model);
+      this.log(`POST ${url} ${request.model}`);
+      if (!model) {
+        this._sendJSON(res, 404, { error: { message: `Model not found: ${request.model}` } });
+        return;
+      }
+      model.state = 'loaded';
+      this._sendJSON(res, 200, { type: 'llm', instance_id: model.id, status: 'loaded' });
+    } else if (req.method === 'POST' && url === '/v1/chat/completions') {
+      await this._chatCompletion(request, res);
+    } else {
+      this._sendJSON(res, 404, { error: { message: `Unknown endpoint: ${req.method} ${url}` } });
+    }
+  }
+
+  /**
+   * Answer a request whose handler threw: 500 if nothing was sent yet, otherwise drop the connection
+   * @param {IncomingMessage} req - Request
+   * @param {ServerResponse} res - Response
+   * @param {Error} error - What went wrong
+   */
+  _fail(req, res, error) {
+    this.log(`${req.method} ${req.url} failed: ${error.message}`);
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    this._sendJSON(res, 500, { error: { message: `Mock server error: ${error.message}` } });
+  }
+
+  /**
+   * Answer a chat completion with the next scripted response
+   * @param {Object} request - Request body
+   * @param {ServerResponse} res - Response
+   */
+  async _chatCompletion(request, res) {
+    const number = ++this.requestCount;
+    const index = this._nextResponse(request);
+    const stream = !!request.stream;
+
+    if (index === -1) {
+      this.log(`POST /v1/chat/completions #${number}: no scripted response left`);
+      this._sendJSON(res, 500, { error: { message: 'Mock scenario has no response left for this request' } });
+      return;
+    }
+
+    const scripted = this.responses[index];
+    this.log(`POST /v1/chat/completions #${number}${stream ? ' (stream)' : ''} -> response ${index + 1}`);
+
+    if (scripted.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, scripted.delayMs));
+    }
+
+    if (scripted.status && scripted.status >= 400) {
+      this._sendJSON(res, scripted.status, { error: { message: scripted.error || 'Mock server error' } });
+      return;
+    }
+
+    if (scripted.raw !== undefined) {
+      res.writeHead(scripted.status || 200, { 'Content-Type': stream ? 'text/event-stream' : 'application/json' });
+      res.end(scripted.raw);
+      return;
+    }
+
+    const message = this._buildMessage(scripted);
+    const finishReason = scripted.finish_reason || (message.tool_calls ? 'tool_calls' : 'stop');
+    const usage = this._buildUsage(request, scripted);
+    const model = request.model || this.models[0]?.id;
+
+    if (stream) {
+      // Like OpenAI, streams only end with a usage chunk when the client asks for it
+      const streamUsage = request.stream_options?.include_usage ? usage : null;
+      this._sendStream(res, { message, finishReason, usage: streamUsage, model }, scripted);
+      return;
+    }
+
+    if (scripted.truncate) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write(JSON.stringify({ id: `chatcmpl-mock-${number}`, choices: [{ message }] }).slice(0, 20));
+      res.destroy();
+      return;
+    }
+
+    this._sendJSON(res, 200, {
+      id: `chatcmpl-mock-${number}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{ index: 0, message, finish_reason: finishReason }],
+      usage,
+    });
+  }
+
+  /**
+   * Pick the next scripted response for a request
+   * @param {Object} request - Request body
+   * @returns {number} - Index into responses, or -1
+   */
+  _nextResponse(request) {
+    const text = (request.messages || [])
+      .map(m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? '')))
+      .join('\n');
+
+    const matches = (response) =>
+      (!response.match || text.includes(response.match)) &&
+      (!response.model || response.model === request.model);
+
+    let index = this.responses.findIndex((response, i) => !this.used.has(i) && matches(response));
+    if (index === -1 && this.loop && this.responses.some(matches)) {
+      this.used.clear();
+      index = this.responses.findIndex(matches);
+    }
+    if (index !== -1) {
+      this.used.add(index);
+    }
+    return index;
+  }
+
+  /**
+   * Build the assistant message of a scripted response
+   * @param {Object} scripted - Scripted response
+   * @returns {Object} - OpenAI message
+   */
+  _buildMessage(scripted) {
+    const message = { role: 'assistant', content: scripted.content ?? null };
+    if (scripted.reasoning) {
+      message.reasoning_content = scripted.reasoning;
+    }
+
+    if (Array.isArray(scripted.tool_calls) && scripted.tool_calls.length > 0) {
+      message.tool_calls = scripted.tool_calls.map((call, i) => ({
+        id: call.id || `call_mock_${i}`,
+        type: 'function',
+        function: {
+          name: call.name || call.function?.name,
+          arguments: typeof call.arguments === 'string'
+            ? call.arguments
+            : JSON.stringify(call.arguments ?? call.function?.arguments ?? {}),
+        },
+      }));
+    }
+
+    return message;
+  }
+
+  /**
+   * Usage numbers for a response (scripted, or estimated at ~4 characters per token)
+   * @param {Object} request - Request body
+   * @param {Object} scripted - Scripted response
+   * @returns {Object} - OpenAI usage
+   */
+  _buildUsage(request, scripted) {
+    const promptTokens = scripted.usage?.prompt_tokens ?? Math.ceil(JSON.stringify(request.messages || []).length / 4);
+    const completionTokens = scripted.usage?.completion_tokens ??
+      Math.ceil((JSON.stringify(scripted.content ?? '') + JSON.stringify(scripted.tool_calls ?? '')).length / 4);
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    };
+  }
+
+  /**
+   * Send a response as server-sent events, split into small deltas
+   * @param {ServerResponse} res - Response
+   * @param {Object} completion - { message, finishReason, usage, model } (usage null for no usage chunk)
+   * @param {Object} scripted - Scripted response (truncate, malformed)
+   */
+  _sendStream(res, completion, scripted) {
+    const { message, finishReason, usage, model } = completion;
+    const base = { id: `chatcmpl-mock-${this.requestCount}`, object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model };
+    const deltas = [{ role: 'assistant' }];
+
+    for (const piece of this._split(message.reasoning_content || '')) {
+      deltas.push({ reasoning_content: piece });
+    }
+    for (const piece of this._split(message.content || '')) {
+      deltas.push({ content: piece });
+    }
+
+    // Tool calls arrive as fragments: id and name first, then the arguments in pieces
+    (message.tool_calls || []).forEach((call, index) => {
+      deltas.push({ tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } }] });
+      for (const piece of this._split(call.function.arguments)) {
+        deltas.push({ tool_calls: [{ index, function: { arguments: piece } }] });
+      }
+    });
+
+    const events = deltas.map(delta => ({ ...base, choices: [{ index: 0, delta, finish_reason: null }] }));
+    events.push({ ...base, choices: [{ index: 0, delta: {}, finish_reason: finishReason }] });
+    if (usage) {
+      events.push({ ...base, choices: [], usage });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+    const lines = events.map(event => `data: ${JSON.stringify(event)}\n\n`);
+    if (scripted.malformed) {
+      lines.splice(Math.ceil(lines.length / 2), 0, 'data: {"choices":[{"delta":{"content":\n\n');
+    }
+
+    if (scripted.truncate) {
+      res.write(lines.slice(0, Math.ceil(lines.length / 2)).join(''));
+      res.destroy();
+      return;
+    }
+
+    res.end(lines.join('') + 'data: [DONE]\n\n');
+  }
+
+  /**
+   * Split text into stream-sized pieces
+   * @param {string} text - Text
+   * @returns {Array<string>}
+   */
+  _split(text) {
+    return text.match(/[\s\S]{1,12}/g) || [];
+  }
+
+  /**
+   * Send a JSON response
+   * @param {ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} data - Body
+   */
+  _sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+export default MockServer;
@@ -1,3 +1,5 @@
+import { getCustomToolsPrompt } from './tools.js';
+
 /**
  * PromptBuilder - Assembles prompts from various components
  * Manages token budgets and combines system prompt, task list, files, and history
@@ -24,19 +26,11 @@ class PromptBuilder {
   /**
    * Build complete prompt for user query
    * @param {string} userQuery - User's question or request
-   * @param {Object} options - Build options
+   * @param {Object} options - Build options ({ mode, maxFiles, maxTokens, includeFiles })
    * @returns {Promise<Object>} - Assembled prompt with messages and metadata
    */
   async buildPrompt(userQuery, options = {}) {
-    // Use actual model context window, not config value
-    const contextWindow = this.contextManager.getAvailableContext();
-    const maxTokens = options.maxTokens || contextWindow;
-
-    if (!maxTokens) {
-      throw new Error('Context window not set. Please set context length using /context command.');
-    }
-
-    const availableTokens = this.tokenCounter.calculateAvailableTokens(maxTokens, 800);
+    const availableTokens = this.getTokenBudget('chat', 800, options.maxTokens);
 
     // Allocate token budget
     const budget = this.tokenCounter.allocateTokenBudget(availableTokens);
@@ -44,7 +38,7 @@ class PromptBuilder {
     // Build components
     const systemPrompt = await this.buildSystemPrompt(options.mode);
     const taskList = this.taskManager.getTaskListForPrompt();
-    const relevantFiles = await this.findRelevantFiles(userQuery, options.maxFiles);
+    const relevantFiles = options.includeFiles === false ? [] : await this.findRelevantFiles(userQuery, options.maxFiles);
 
     // Get conversation history
     const historyData = this.contextManager.getMessagesForPrompt(
@@ -63,6 +57,12 @@ class PromptBuilder {
       systemContent += '\n\n# PROJECT INSTRUCTIONS\n\n' + this.customInstructions;
     }
 
+    // Describe project-specific tools
+    const customToolsPrompt = getCustomToolsPrompt();
+    if (customToolsPrompt) {
+      systemContent += '\n\n' + customToolsPrompt;
+    }
+
     if (taskList && taskList !== 'No pending tasks.') {
       systemContent += '\n\n' + taskList;
     }
@@ -166,9 +166,13 @@ class PromptBuilder {
     // Search for relevant files
     const searchResults = this.codebaseIndexer.searchFiles(query, limit);
 
+    // Files they import or are imported by come last, so the token budget drops them first
+    const maxRelated = this.config.contextManagement.maxRelatedFiles ?? 3;
+    const related = this.findRelatedFiles(searchResults, maxRelated);
+
     // Load file contents
     const files = [];
-    for (const fileInfo of searchResults) {
+    for (const fileInfo of [...searchResults, ...related]) {
       try {
         const content = await this.fileOps.readFile(fileInfo.path);
         files.push({
@@ -184,6 +188,35 @@ class PromptBuilder {
     return files;
   }
 
+  /**
+   * Find the direct imports and importers of matched files, best match first
+   * @param {Array<Object>} matches - Index entries of the matched files
+   * @param {number} maxFiles - Maximum related files to return
+   * @returns {Array<Object>} - Index entries not among the matches
+   */
+  findRelatedFiles(matches, maxFiles) {
+    const seen = new Set(matches.map(fileInfo => fileInfo.path));
+    const related = [];
+
+    for (const match of matches) {
+      const dependencies = this.codebaseIndexer.getDependencies(match.path);
+      if (!dependencies) continue;
+
+      for (const relativePath of [...dependencies.imports, ...dependencies.importers]) {
+        if (related.length >= maxFiles) {
+          return related;
+        }
+        const fileInfo = this.codebaseIndexer.getFileInfo(relativePath);
+        if (fileInfo && !seen.has(fileInfo.path)) {
+          seen.add(fileInfo.path);
+          related.push(fileInfo);
+        }
+      }
+    }
+
+    return related;
+  }
+
   /**
    * Build system prompt
    * @param {string} mode - Prompt mode ('normal' or 'terse')
@@ -238,6 +271,11 @@ Example: "add error handling" → <search>connect, connection, error, try, catch
 ⚠️ CRITICAL: Search snippets marked [SNIPPET]...[END SNIPPET] are PREVIEWS ONLY - not complete code!
 NEVER try to "fix" snippet truncation. ALWAYS use <read_lines> to get complete code before editing.
 
+<list_directory>src</list_directory> ← List files and folders (<list_directory recursive>src</list_directory> for all files below)
+<find_definition>functionName</find_definition> ← Find the file and line range defining a function/class/method
+<find_references>functionName</find_references> ← Find every use of an identifier (before renaming or changing it)
+<run_command>npm test</run_command> ← Run a shell command in the project root (tests, linter, build); returns output and exit code
+
 <web_search>query</web_search> ← Search internet for information
 <web_fetch>https://url</web_fetch> ← Fetch and read web page content
 Use these to find documentation, API references, solutions, etc.
@@ -339,6 +377,22 @@ WORKFLOW FOR LARGE FILES:
 
 Remember: Snippets are for LOCATING code, <read_lines> is for LOADING complete code!
 
+LIST DIRECTORY - See which files and folders exist:
+<list_directory>src</list_directory>
+<list_directory recursive>src</list_directory>  (every file below the folder)
+
+FIND DEFINITION - Find where a function, class or method is defined by exact name (or Class.method):
+<find_definition>functionName</find_definition>
+Returns the file, exact line range, signature and doc comment - load the code with <read_lines> using that range.
+
+FIND REFERENCES - Find every use of an identifier (whole names only, not substrings or comments):
+<find_references>functionName</find_references>
+Returns file, line, code and enclosing function of each use. Check all of them before renaming a function or changing its parameters.
+
+RUN COMMAND - Run a shell command in the project root (tests, linter, build):
+<run_command>npm test</run_command>
+Returns stdout, stderr and the exit code. Commands outside the allowlist need user approval.
+
 Web Search and Information Gathering:
 
 3. WEB SEARCH - Search the internet for information:
@@ -502,6 +556,28 @@ Why: Files ≤500 lines can be loaded completely. Larger files require progressi
     };
   }
 
+  /**
+   * Tokens available for the prompt of a job
+   * Each role can run on its own model, so the budget follows that model's context window
+   * @param {string} role - Model role (chat, edit, compress)
+   * @param {number} reservedForResponse - Tokens kept free for the response
+   * @param {number} maxTokens - Override for the context window
+   * @returns {number} - Available prompt tokens
+   */
+  getTokenBudget(role = 'chat', reservedForResponse = 800, maxTokens = null) {
+    // Use actual model context window, not config value
+    const contextWindow = maxTokens || this.contextManager.getAvailableContext(role);
+
+    if (!contextWindow) {
+      throw new Error('Context window not set. Please set context length using /context command.');
+    }
+
+    // The window is in the model's tokens, our counts are cl100k - convert with the model's ratio
+    const modelId = this.contextManager.lmstudioClient.getModelForRole(role);
+    const available = this.tokenCounter.calculateAvailableTokens(contextWindow, reservedForResponse);
+    return Math.floor(available / this.tokenCounter.getModelRatio(modelId));
+  }
+
   /**
    * Build focused edit prompt (EDIT TRACK)
    * Minimal context for making file edits without conversation history
@@ -549,11 +625,14 @@ CRITICAL: The <old> text must EXACTLY match what's in the file. Include enough c
     ];
 
     const totalTokens = this.tokenCounter.countMessagesTokens(messages);
+    const availableTokens = this.getTokenBudget('edit', 1000);
 
     return {
       messages,
       metadata: {
         totalTokens,
+        availableTokens,
+        fitsContext: totalTokens <= availableTokens,
         editTrack: true,
         filePath,
       },
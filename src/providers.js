@@ -0,0 +1,331 @@
+/**
+ * Provider profiles - how to talk to each kind of OpenAI-compatible server
+ *
+ * Chat completions always go through `${baseURL}/chat/completions`. Profiles differ in how
+ * models are listed, how the context window is discovered, authentication and quirks.
+ * Endpoint paths starting with "/" are relative to the server root (baseURL without a
+ * trailing /v1); other paths are relative to baseURL.
+ */
+export const PROVIDER_TYPES = {
+  lmstudio: {
+    label: 'LM Studio',
+    baseURL: 'http://localhost:1234/v1',
+    // REST API v1: the model list carries each loaded instance's context length, load takes { model }
+    modelsEndpoint: '/api/v1/models',
+    legacyModelsEndpoint: '/api/v0/models', // LM Studio before the v1 REST API (also has loaded_context_length)
+    contextEndpoint: null,
+    loadEndpoint: '/api/v1/models/load',
+    tokenizeEndpoint: null,
+    quirks: { toolChoiceRequired: true },
+  },
+  ollama: {
+    label: 'Ollama',
+    baseURL: 'http://localhost:11434/v1',
+    modelsEndpoint: '/api/tags',
+    contextEndpoint: '/api/show',
+    loadEndpoint: '/api/generate', // a request without a prompt loads the model
+    tokenizeEndpoint: null,
+    // Ollama's OpenAI endpoint does not accept tool_choice "required"
+    quirks: { toolChoiceRequired: false },
+  },
+  llamacpp: {
+    label: 'llama.cpp server',
+    baseURL: 'http://localhost:8080/v1',
+    modelsEndpoint: 'models',
+    contextEndpoint: '/props',
+    loadEndpoint: null, // llama-server serves the model it was started with
+    tokenizeEndpoint: '/tokenize',
+    quirks: { toolChoiceRequired: false, extraBody: { cache_prompt: true } },
+  },
+  openai: {
+    label: 'OpenAI-compatible API',
+    baseURL: 'http://localhost:8000/v1',
+    modelsEndpoint: 'models',
+    contextEndpoint: null,
+    loadEndpoint: null,
+    tokenizeEndpoint: null, // vLLM serves /tokenize
+    quirks: { toolChoiceRequired: true },
+  },
+};
+
+// Context Ollama runs a model with when neither the Modelfile nor the server sets num_ctx
+export const OLLAMA_DEFAULT_CONTEXT = 2048;
+
+// Fields that hold a context length in model listings and server info
+const CONTEXT_FIELDS = ['loaded_context_length', 'context_length', 'context_window', 'max_context_length', 'n_ctx', 'max_position_embeddings', 'max_tokens'];
+
+/**
+ * Resolve a named provider profile from the configuration
+ * Profiles in config.providers are merged over the built-in type they name; built-in
+ * type names (lmstudio, ollama, llamacpp, openai) work without any config.
+ * @param {Object} config - App configuration ({ provider, providers, lmstudio })
+ * @param {string} name - Profile name (defaults to config.provider, then 'lmstudio')
+ * @returns {Object} - { name, type, label, baseURL, apiKey, authHeader, authScheme, contextLength, modelsEndpoint,
+ *   legacyModelsEndpoint, contextEndpoint, loadEndpoint, tokenizeEndpoint, quirks }
+ */
+export function resolveProvider(config = {}, name = null) {
+  const profileName = name || config.provider || 'lmstudio';
+  const profile = config.providers?.[profileName] || {};
+  const type = profile.type || profileName;
+  const defaults = PROVIDER_TYPES[type];
+
+  if (!defaults) {
+    const available = getProviderNames(config).join(', ');
+    throw new Error(`Unknown provider "${profileName}" (available: ${available})`);
+  }
+
+  // The lmstudio section keeps working as the LM Studio profile's connection settings
+  const legacyBaseURL = type === 'lmstudio' ? config.lmstudio?.baseURL : null;
+
+  return {
+    name: profileName,
+    type,
+    label: profile.label || defaults.label,
+    baseURL: (profile.baseURL || legacyBaseURL || defaults.baseURL).replace(/\/+$/, ''),
+    apiKey: profile.apiKey || (profile.apiKeyEnv ? process.env[profile.apiKeyEnv] : null) || null,
+    authHeader: profile.authHeader || 'Authorization',
+    authScheme: profile.authScheme ?? 'Bearer',
+    contextLength: profile.contextLength || null, // context the server runs models with, when it cannot be discovered
+    modelsEndpoint: profile.modelsEndpoint || defaults.modelsEndpoint,
+    // Tried when the models endpoint fails, unless the profile picks its own endpoint
+    legacyModelsEndpoint: profile.modelsEndpoint ? null : (defaults.legacyModelsEndpoint || null),
+    contextEndpoint: profile.contextEndpoint !== undefined ? profile.contextEndpoint : defaults.contextEndpoint,
+    loadEndpoint: profile.loadEndpoint !== undefined ? profile.loadEndpoint : defaults.loadEndpoint,
+    tokenizeEndpoint: profile.tokenizeEndpoint !== undefined ? profile.tokenizeEndpoint : defaults.tokenizeEndpoint,
+    quirks: { ...defaults.quirks, ...profile.quirks },
+  };
+}
+
+/**
+ * List selectable provider names (built-in types and configured profiles)
+ * @param {Object} config - App configuration
+ * @returns {Array<string>}
+ */
+export function getProviderNames(config = {}) {
+  return [...new Set([...Object.keys(PROVIDER_TYPES), ...Object.keys(config.providers || {})])];
+}
+
+/**
+ * Build the URL of a provider endpoint
+ * @param {Object} provider - Resolved profile
+ * @param {string} endpoint - Endpoint path
+ * @returns {string} - Absolute URL
+ */
+export function resolveEndpoint(provider, endpoint) {
+  if (/^https?:\/\//.test(endpoint)) {
+    return endpoint;
+  }
+  if (endpoint.startsWith('/')) {
+    return provider.baseURL.replace(/\/v1$/, '') + endpoint;
+  }
+  return `${provider.baseURL}/${endpoint}`;
+}
+
+/**
+ * Authentication headers for a provider
+ * @param {Object} provider - Resolved profile
+ * @returns {Object} - Headers (empty when no API key is configured)
+ */
+export function getAuthHeaders(provider) {
+  if (!provider.apiKey) {
+    return {};
+  }
+  return {
+    [provider.authHeader]: provider.authScheme ? `${provider.authScheme} ${provider.apiKey}` : provider.apiKey,
+  };
+}
+
+/**
+ * Convert a model listing response to a common shape
+ * @param {Object} data - Response body of the models endpoint
+ * @returns {Array<Object>} - { id, state, loaded, contextLength, maxContextLength, quantization }
+ *   (loaded is null when the server does not report it)
+ */
+export function parseModelList(data) {
+  // LM Studio /api/v1/models: { models: [{ type, key, max_context_length, loaded_instances: [{ id, config }] }] }
+  if (Array.isArray(data?.models) && data.models.some(model => model.key)) {
+    return data.models
+      .filter(model => model.type !== 'embedding')
+      .map(model => {
+        const instance = model.loaded_instances?.[0];
+        return {
+          id: model.key,
+          state: instance ? 'loaded' : 'not-loaded',
+          loaded: !!instance,
+          contextLength: instance?.config?.context_length || null,
+          maxContextLength: model.max_context_length || null,
+          quantization: model.quantization?.name || (typeof model.quantization === 'string' ? model.quantization : null),
+        };
+      });
+  }
+
+  // Ollama /api/tags: { models: [{ name, model, details }] }
+  if (Array.isArray(data?.models)) {
+    return data.models.map(model => ({
+      id: model.name || model.model,
+      state: null,
+      loaded: null,
+      contextLength: null,
+      maxContextLength: null,
+      quantization: model.details?.quantization_level || null,
+    }));
+  }
+
+  // OpenAI-style (and LM Studio native): { data: [{ id, state, quantization, ...context fields }] }
+  const models = Array.isArray(data?.data) ? data.data : (Array.isArray(data) ? data : []);
+  return models.map(model => ({
+    id: model.id,
+    state: model.state || null,
+    loaded: model.state ? model.state === 'loaded' : null,
+    contextLength: findContextLength(model) || findContextLength(model.meta),
+    maxContextLength: model.max_context_length || model.meta?.n_ctx_train || null,
+    quantization: model.quantization || null,
+  }));
+}
+
+/**
+ * Ask the provider for a model's context length
+ * @param {AxiosInstance} http - HTTP client with the provider's auth headers
+ * @param {Object} provider - Resolved profile
+ * @param {string} modelId - Model to ask about
+ * @returns {Promise<number|null>} - Context length, or null if it cannot be discovered
+ */
+export async function fetchContextLength(http, provider, modelId) {
+  if (provider.contextLength) {
+    return provider.contextLength;
+  }
+  if (!provider.contextEndpoint) {
+    return null;
+  }
+
+  const url = resolveEndpoint(provider, provider.contextEndpoint);
+  const response = provider.type === 'ollama'
+    ? await http.post(url, { model: modelId })
+    : await http.get(url);
+
+  return parseContextResponse(response.data);
+}
+
+/**
+ * Ask the provider to load a model into memory
+ * @param {AxiosInstance} http - HTTP client with the provider's auth headers
+ * @param {Object} provider - Resolved profile
+ * @param {string} modelId - Model to load
+ * @returns {Promise<boolean>} - False if the provider has no load endpoint
+ */
+export async function requestModelLoad(http, provider, modelId) {
+  if (!provider.loadEndpoint) {
+    return false;
+  }
+
+  const url = resolveEndpoint(provider, provider.loadEndpoint);
+  const body = provider.type === 'ollama' ? { model: modelId, stream: false } : { model: modelId };
+  await http.post(url, body);
+  return true;
+}
+
+/**
+ * Count tokens with the server's tokenizer
+ * llama.cpp takes { content } and returns { tokens }; vLLM takes { model, prompt } and returns { count, tokens }
+ * @param {AxiosInstance} http - HTTP client with the provider's auth headers
+ * @param {Object} provider - Resolved profile
+ * @param {string} modelId - Model whose tokenizer to use
+ * @param {string} text - Text to tokenize
+ * @returns {Promise<number|null>} - Token count, or null if the provider has no tokenize endpoint
+ */
+export async function fetchTokenCount(http, provider, modelId, text) {
+  if (!provider.tokenizeEndpoint) {
+    return null;
+  }
+
+  const url = resolveEndpoint(provider, provider.tokenizeEndpoint);
+  const response = await http.post(url, { model: modelId, content: text, prompt: text, add_special: false });
+  const data = response.data;
+
+  if (typeof data?.count === 'number') return data.count;
+  if (Array.isArray(data?.tokens)) return data.tokens.length;
+  return null;
+}
+
+/**
+ * Parse a context-discovery response (Ollama /api/show, llama.cpp /props or a custom endpoint)
+ * @param {Object} data - Response body
+ * @returns {number|null} - Context length in tokens
+ */
+export function parseContextResponse(data) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  // Ollama: num_ctx set in the Modelfile parameters is the context the model runs with
+  if (typeof data.parameters === 'string') {
+    const match = data.parameters.match(/^\s*num_ctx\s+(\d+)/m);
+    if (match) return parseInt(match[1], 10);
+  }
+  if (data.model_info) {
+    // Without num_ctx Ollama serves its default window, not the trained context_length
+    const key = Object.keys(data.model_info).find(k => k.endsWith('.context_length'));
+    const trained = key ? data.model_info[key] : null;
+    return trained ? Math.min(trained, OLLAMA_DEFAULT_CONTEXT) : OLLAMA_DEFAULT_CONTEXT;
+  }
+
+  // llama.cpp: the slot context size the server was started with
+  return findContextLength(data.default_generation_settings) || findContextLength(data);
+}
+
+/**
+ * Find a context length field in an object
+ * @param {Object} object - Model or server info
+ * @returns {number|null}
+ */
+function findContextLength(object) {
+  if (!object || typeof object !== 'object') {
+    return null;
+  }
+  for (const field of CONTEXT_FIELDS) {
+    if (typeof object[field] === 'number' && object[field] > 0) {
+      return object[field];
+    }
+  }
+  return null;
+}
+
+/**
+ * Recognise a "prompt does not fit the context" error
+ * Covers LM Studio, llama.cpp (exceed_context_size_error), OpenAI-style context_length_exceeded and vLLM
+ * @param {number} status - HTTP status
+ * @param {Object|string} body - Parsed error body
+ * @returns {Object|null} - { promptTokens, contextLength } (null fields when the message doesn't say), or null
+ */
+export function parseContextOverflow(status, body) {
+  if (status && status < 400) {
+    return null;
+  }
+
+  const error = body?.error ?? body;
+  const message = typeof error === 'string' ? error : (error?.message || '');
+  const code = typeof error === 'object' ? (error?.code || error?.type || '') : '';
+
+  const isOverflow = /context_length_exceeded|exceed_context_size/i.test(String(code)) ||
+    /maximum context length|context (?:length|window|size) (?:exceeded|of only)|exceeds? the (?:available )?context|context (?:the )?overflows|greater than the context length|prompt is too long|too many tokens/i.test(message);
+  if (!isOverflow) {
+    return null;
+  }
+
+  const number = (pattern) => {
+    const match = message.match(pattern);
+    return match ? parseInt(match[1], 10) : null;
+  };
+
+  return {
+    promptTokens: error?.n_prompt_tokens ||
+      number(/(\d+) in the messages/i) ||
+      number(/(?:resulted in|requested|keep the first|prompt (?:has|contains)) (\d+) tokens/i) ||
+      null,
+    contextLength: error?.n_ctx ||
+      number(/maximum context length is (\d+)/i) ||
+      number(/context length of only (\d+)/i) ||
+      number(/context (?:length|size|window) (?:is |of )?(\d+)/i) ||
+      null,
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Reasoning output of thinking models (DeepSeek-R1, QwQ, Qwen3, ...)
+ *
+ * Models either stream reasoning in a separate field (reasoning_content / reasoning) or
+ * write it into the answer as <think>...</think> before the answer. Chat templates that
+ * open the block in the prompt produce answers that only contain the closing </think>.
+ * Only that leading block is reasoning: <think> tags elsewhere (in code the model writes)
+ * are part of the answer.
+ */
+
+// Model families that write their reasoning into the answer
+const REASONING_MODEL_PATTERN = /deepseek-r1|r1-distill|qwq|qwen3|magistral|gpt-oss|phi-4-(?:mini-)?reasoning|exaone-deep|openthinker|thinking/i;
+
+/**
+ * Whether a model writes <think> reasoning into its answers
+ * @param {string} modelId - Model id
+ * @returns {boolean}
+ */
+export function isReasoningModel(modelId) {
+  return !!modelId && REASONING_MODEL_PATTERN.test(modelId);
+}
+
+/**
+ * Split reasoning from the answer
+ * A <think> block at the start of the answer is reasoning. For reasoning models, text before
+ * a </think> with no opening tag is too (block opened by the chat template). A <think> block
+ * that is never closed is reasoning only when the output was cut off inside it.
+ * @param {string} text - Model output
+ * @param {Object} options - { reasoningModel, truncated } (truncated: output ended at max_tokens)
+ * @returns {Object} - { reasoning, content } (reasoning is '' when there is none)
+ */
+export function splitReasoning(text, options = {}) {
+  if (!text || typeof text !== 'string') {
+    return { reasoning: '', content: text ?? '' };
+  }
+
+  const opening = text.match(/^\s*<think>/);
+  if (opening) {
+    const rest = text.slice(opening[0].length);
+    const end = rest.indexOf('</think>');
+    if (end !== -1) {
+      return { reasoning: rest.slice(0, end).trim(), content: rest.slice(end + '</think>'.length).trim() };
+    }
+    if (options.truncated) {
+      return { reasoning: rest.trim(), content: '' };
+    }
+    return { reasoning: '', content: text };
+  }
+
+  // Answer starts inside a block opened by the chat template: everything up to </think>
+  const end = text.indexOf('</think>');
+  if (options.reasoningModel && end !== -1 && !text.slice(0, end).includes('<think>')) {
+    return { reasoning: text.slice(0, end).trim(), content: text.slice(end + '</think>'.length).trim() };
+  }
+
+  return { reasoning: '', content: text };
+}
+
+/**
+ * Remove reasoning from model output
+ * @param {string} text - Model output
+ * @returns {string} - The answer only
+ */
+export function stripReasoning(text) {
+  return splitReasoning(text).content;
+}
+
+/**
+ * Read the reasoning field of a message or stream delta
+ * @param {Object} message - Message or delta
+ * @returns {string} - Reasoning text ('' when absent)
+ */
+export function getReasoningField(message) {
+  return message?.reasoning_content || message?.reasoning || '';
+}
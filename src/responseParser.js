@@ -1,3 +1,5 @@
+import { getCustomTools, parseCustomToolBody, TOOL_TO_XML_MAP } from './tools.js';
+
 /**
  * ResponseParser - Parses LLM responses and extracts structured actions
  * Extracts file operations, task updates, and questions from LLM responses
@@ -15,6 +17,10 @@ class ResponseParser {
       readLines: /<read_lines>\s*<path>(.*?)<\/path>\s*<start>(.*?)<\/start>\s*<end>(.*?)<\/end>\s*<\/read_lines>/gi,
       webSearch: /<web_search>([\s\S]*?)<\/web_search>/gi,
       webFetch: /<web_fetch>([\s\S]*?)<\/web_fetch>/gi,
+      listDirectory: /<list_directory(\s+recursive(?:=["']?true["']?)?)?\s*>([\s\S]*?)<\/list_directory>/gi,
+      findDefinition: /<find_definition>([\s\S]*?)<\/find_definition>/gi,
+      findReferences: /<find_references>([\s\S]*?)<\/find_references>/gi,
+      runCommand: /<run_command>([\s\S]*?)<\/run_command>/gi,
     };
   }
 
@@ -35,6 +41,11 @@ class ResponseParser {
       readLines: this.extractReadLines(responseText),
       webSearches: this.extractWebSearches(responseText),
       webFetches: this.extractWebFetches(responseText),
+      listDirectories: this.extractListDirectories(responseText),
+      findDefinitions: this.extractFindDefinitions(responseText),
+      findReferences: this.extractFindReferences(responseText),
+      runCommands: this.extractRunCommands(responseText),
+      customToolCalls: this.extractCustomToolCalls(responseText),
       plainText: this._extractPlainText(responseText),
     };
   }
@@ -297,6 +308,114 @@ class ResponseParser {
     return fetches;
   }
 
+  /**
+   * Extract directory listing requests from response
+   * @param {string} responseText - Raw response text
+   * @returns {Array<Object>} - Array of { path, recursive } requests
+   */
+  extractListDirectories(responseText) {
+    const requests = [];
+    const pattern = this.patterns.listDirectory;
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(responseText)) !== null) {
+      requests.push({
+        path: this.cleanPath(match[2]) || '.',
+        recursive: !!match[1],
+      });
+    }
+
+    return requests;
+  }
+
+  /**
+   * Extract find_definition requests from response
+   * @param {string} responseText - Raw response text
+   * @returns {Array<string>} - Array of function/class names
+   */
+  extractFindDefinitions(responseText) {
+    const names = [];
+    const pattern = this.patterns.findDefinition;
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(responseText)) !== null) {
+      const name = match[1].trim();
+      if (name.length > 0) {
+        names.push(name);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Extract find_references requests from response
+   * @param {string} responseText - Raw response text
+   * @returns {Array<string>} - Array of identifiers
+   */
+  extractFindReferences(responseText) {
+    const names = [];
+    const pattern = this.patterns.findReferences;
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(responseText)) !== null) {
+      const name = match[1].trim();
+      if (name.length > 0) {
+        names.push(name);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Extract run_command requests from response
+   * @param {string} responseText - Raw response text
+   * @returns {Array<Object>} - Array of { command } requests
+   */
+  extractRunCommands(responseText) {
+    const commands = [];
+    const pattern = this.patterns.runCommand;
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(responseText)) !== null) {
+      const command = match[1].trim();
+      if (command.length > 0) {
+        commands.push({ command });
+      }
+    }
+
+    return commands;
+  }
+
+  /**
+   * Extract calls to project-specific tools (each uses its tool name as the tag)
+   * @param {string} responseText - Raw response text
+   * @returns {Array<Object>} - Array of { name, arguments } calls
+   */
+  extractCustomToolCalls(responseText) {
+    const calls = [];
+
+    for (const tool of getCustomTools()) {
+      const name = tool.definition.name;
+      const pattern = new RegExp(`<${name}>([\\s\\S]*?)<\\/${name}>`, 'g');
+
+      let match;
+      while ((match = pattern.exec(responseText)) !== null) {
+        calls.push({
+          name,
+          arguments: parseCustomToolBody(match[1], tool.definition.parameters),
+        });
+      }
+    }
+
+    return calls;
+  }
+
   /**
    * Extract plain text (remove all XML tags)
    * @param {string} responseText - Raw response text
@@ -315,6 +434,14 @@ class ResponseParser {
     plainText = plainText.replace(/<read_lines>[\s\S]*?<\/read_lines>/gi, '');
     plainText = plainText.replace(/<web_search>[\s\S]*?<\/web_search>/gi, '');
     plainText = plainText.replace(/<web_fetch>[\s\S]*?<\/web_fetch>/gi, '');
+    plainText = plainText.replace(/<list_directory[^>]*>[\s\S]*?<\/list_directory>/gi, '');
+    plainText = plainText.replace(/<find_definition>[\s\S]*?<\/find_definition>/gi, '');
+    plainText = plainText.replace(/<find_references>[\s\S]*?<\/find_references>/gi, '');
+    plainText = plainText.replace(/<run_command>[\s\S]*?<\/run_command>/gi, '');
+    for (const tool of getCustomTools()) {
+      const name = tool.definition.name;
+      plainText = plainText.replace(new RegExp(`<${name}>[\\s\\S]*?<\\/${name}>`, 'g'), '');
+    }
 
     // Remove any remaining tags
     plainText = plainText.replace(/<[^>]+>/g, '');
@@ -322,6 +449,22 @@ class ResponseParser {
     return plainText.trim();
   }
 
+  /**
+   * Find action blocks that were opened but never closed (output cut off mid-block)
+   * @param {string} responseText - Raw response text
+   * @returns {Array<string>} - Tag names of the unclosed blocks
+   */
+  findUnclosedBlocks(responseText) {
+    // Every action tag, so new built-in and custom tools are continued too
+    const tags = [...new Set([...Object.values(TOOL_TO_XML_MAP), ...getCustomTools().map(tool => tool.definition.name)])];
+
+    return tags.filter((tag) => {
+      const opened = (responseText.match(new RegExp(`<${tag}[\\s>]`, 'gi')) || []).length;
+      const closed = (responseText.match(new RegExp(`</${tag}>`, 'gi')) || []).length;
+      return opened > closed;
+    });
+  }
+
   /**
    * Check if response contains any structured actions
    * @param {string} responseText - Raw response text
@@ -1,11 +1,50 @@
 import { encoding_for_model } from 'tiktoken';
+import { promises as fs } from 'fs';
+
+export const TOKENIZER_BACKENDS = ['auto', 'tiktoken', 'calibrated', 'server'];
+
+// Highest overflow margin guessed when the server doesn't report its prompt count
+const MAX_GUESSED_OVERSHOOT = 1.5;
+
+// Prose and code, tokenized by the server to compare with our count
+const CALIBRATION_SAMPLE = `Read the configuration file and report which options differ from the defaults.
+
+export async function loadConfig(filePath, defaults = {}) {
+  const text = await fs.readFile(filePath, 'utf-8');
+  const config = JSON.parse(text);
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!(key in config)) config[key] = value; // keep user values
+  }
+  return { ...config, loadedAt: Date.now() };
+}
+
+def parse_args(argv):
+    parser = argparse.ArgumentParser(description="Resize images in a folder")
+    parser.add_argument("--width", type=int, default=1024)
+    return parser.parse_args(argv)
+`;
 
 /**
  * TokenCounter - Counts tokens for context management
- * Uses tiktoken for accurate counting with cl100k_base encoding
+ * Counts with tiktoken's cl100k_base encoding. Local models tokenize differently, so each
+ * model gets a correction ratio (server tokens / our count), measured with the server's
+ * tokenize endpoint or from the prompt_tokens the server reports, and saved per project.
+ * Counts stay in cl100k units; budgets are divided by the ratio (see getModelRatio).
+ * Context overflows add a per-model margin on top of the ratio (see recordOverflow); both
+ * live in .lmcode/token_calibration.json, which TokenCounter alone reads and writes.
+ *
+ * Backends: tiktoken (no correction), calibrated (ratio from reported usage),
+ * server (ratio from the tokenize endpoint), auto (server when available, else calibrated)
  */
 class TokenCounter {
-  constructor() {
+  /**
+   * @param {Object} options - { backend }
+   */
+  constructor(options = {}) {
+    this.backend = TOKENIZER_BACKENDS.includes(options.backend) ? options.backend : 'auto';
+    this.calibrationPath = null;
+    this.calibration = { models: {} };
+
     try {
       // Use cl100k_base encoding (used by GPT-3.5/GPT-4)
       this.encoding = encoding_for_model('gpt-3.5-turbo');
@@ -74,6 +113,182 @@ class TokenCounter {
     return Math.ceil(text.length / 3.5);
   }
 
+  /**
+   * Load saved per-model calibration
+   * @param {string} filePath - Calibration file (.lmcode/token_calibration.json)
+   * @returns {Promise<void>}
+   */
+  async loadCalibration(filePath) {
+    this.calibrationPath = filePath;
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      this.calibration = { models: data.models || {} };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Failed to load token calibration: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Save per-model calibration
+   * @returns {Promise<void>}
+   */
+  async saveCalibration() {
+    if (!this.calibrationPath) return;
+    try {
+      await fs.writeFile(this.calibrationPath, JSON.stringify(this.calibration, null, 2), 'utf-8');
+    } catch (error) {
+      console.warn(`Failed to save token calibration: ${error.message}`);
+    }
+  }
+
+  /**
+   * How many server tokens one of our tokens is worth for a model
+   * Tokenizer ratio times the margin added after context overflows
+   * @param {string} modelId - Model id
+   * @returns {number} - Ratio (1 when nothing was measured)
+   */
+  getModelRatio(modelId) {
+    const entry = this.calibration.models[modelId];
+    if (!entry) return 1;
+
+    const tokenRatio = this.backend === 'tiktoken' ? 1 : (entry.tokenRatio || 1);
+    return Math.min(tokenRatio * (entry.overshootRatio || 1), 3);
+  }
+
+  /**
+   * Convert one of our counts to the model's tokens
+   * @param {number} tokens - Count from countTokens / countMessagesTokens
+   * @param {string} modelId - Model id
+   * @returns {number}
+   */
+  toModelTokens(tokens, modelId) {
+    return Math.ceil(tokens * this.getModelRatio(modelId));
+  }
+
+  /**
+   * Measure a model's ratio with the server's tokenizer
+   * @param {string} modelId - Model id
+   * @param {Function} tokenize - async (text) => server token count, or null if unavailable
+   * @returns {Promise<number|null>} - The measured ratio, or null if the server can't tokenize
+   */
+  async calibrateWithTokenizer(modelId, tokenize) {
+    if (this.backend === 'tiktoken' || this.backend === 'calibrated') {
+      return null;
+    }
+
+    const serverTokens = await tokenize(CALIBRATION_SAMPLE);
+    if (!serverTokens) {
+      return null;
+    }
+
+    const ratio = this._clampRatio(serverTokens / this.countTokens(CALIBRATION_SAMPLE));
+    this._updateModel(modelId, { tokenRatio: Math.round(ratio * 1000) / 1000, source: 'server', samples: 1 });
+    await this.saveCalibration();
+    return ratio;
+  }
+
+  /**
+   * Update a model's ratio from the prompt_tokens the server reported for a request
+   * Averaged over requests; ignored for small prompts, where message overhead dominates.
+   * Each accepted prompt also halves the margin left by earlier overflows.
+   * @param {string} modelId - Model id
+   * @param {number} localTokens - Our count of the prompt (including tool definitions)
+   * @param {number} serverTokens - usage.prompt_tokens
+   * @returns {Promise<number|null>} - The model's new ratio, or null if not updated
+   */
+  async recordUsage(modelId, localTokens, serverTokens) {
+    const entry = this.calibration.models[modelId] || {};
+    if (!serverTokens || localTokens < 200) {
+      return null;
+    }
+
+    const fields = {};
+    if (entry.overshootRatio > 1) {
+      const overshootRatio = 1 + (entry.overshootRatio - 1) / 2;
+      fields.overshootRatio = overshootRatio < 1.02 ? 1 : Math.round(overshootRatio * 100) / 100;
+    }
+    if (this.backend !== 'tiktoken' && entry.source !== 'server') {
+      const sample = this._clampRatio(serverTokens / localTokens);
+      const samples = entry.source === 'usage' ? entry.samples || 0 : 0;
+      const tokenRatio = samples > 0 ? entry.tokenRatio * 0.7 + sample * 0.3 : sample;
+      Object.assign(fields, { tokenRatio: Math.round(tokenRatio * 1000) / 1000, source: 'usage', samples: samples + 1 });
+    }
+    if (Object.keys(fields).length === 0) {
+      return null;
+    }
+
+    this._updateModel(modelId, fields);
+    await this.saveCalibration();
+    return this.getModelRatio(modelId);
+  }
+
+  /**
+   * Record a prompt that the server rejected as too long
+   * Raises the model's margin so later budgets leave room for the overshoot. Without a
+   * server count the margin grows by 10 points per overflow, up to MAX_GUESSED_OVERSHOOT.
+   * @param {string} modelId - Model that rejected the prompt
+   * @param {number} localTokens - Our count of the prompt
+   * @param {Object} overflow - { promptTokens, contextLength } from the error (fields may be null)
+   * @returns {Promise<number>} - The model's new ratio
+   */
+  async recordOverflow(modelId, localTokens, overflow) {
+    const entry = this.calibration.models[modelId] || {};
+    const current = entry.overshootRatio || 1;
+    const expected = localTokens * (this.backend === 'tiktoken' ? 1 : (entry.tokenRatio || 1));
+
+    // Server count vs what we expected when the error reports it; otherwise assume we were 10% low
+    let overshootRatio = Math.max(current, Math.min(current + 0.1, MAX_GUESSED_OVERSHOOT));
+    if (overflow.promptTokens && expected > 0 && overflow.promptTokens > expected) {
+      overshootRatio = Math.max(current, overflow.promptTokens / expected);
+    }
+
+    this._updateModel(modelId, {
+      overshootRatio: Math.min(Math.round(overshootRatio * 100) / 100, 3),
+      overflows: (entry.overflows || 0) + 1,
+      lastOverflow: {
+        estimatedTokens: localTokens,
+        serverTokens: overflow.promptTokens,
+        contextLength: overflow.contextLength,
+        timestamp: new Date().toISOString(),
+      },
+    });
+    await this.saveCalibration();
+    return this.getModelRatio(modelId);
+  }
+
+  /**
+   * Calibration of a model, for display
+   * @param {string} modelId - Model id
+   * @returns {Object|null} - { tokenRatio, source, samples, overshootRatio, ... }
+   */
+  getCalibration(modelId) {
+    return this.calibration.models[modelId] || null;
+  }
+
+  /**
+   * Merge fields into a model's calibration entry
+   * @param {string} modelId - Model id
+   * @param {Object} fields - Fields to set
+   */
+  _updateModel(modelId, fields) {
+    this.calibration.models[modelId] = {
+      ...this.calibration.models[modelId],
+      ...fields,
+      updated: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Keep a measured ratio within sane bounds (bad usage numbers shouldn't wreck budgets)
+   * @param {number} ratio - Measured ratio
+   * @returns {number}
+   */
+  _clampRatio(ratio) {
+    return Math.min(Math.max(ratio, 0.5), 3);
+  }
+
   /**
    * Calculate available tokens for content
    * @param {number} maxTokens - Maximum context window size
@@ -1,14 +1,36 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { existsSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { randomBytes } from 'crypto';
+
 /**
  * Tool definitions for LLM function calling
  * These tools allow the LLM to interact with the codebase using structured function calls
  * instead of XML tags.
  */
 
+/**
+ * Project-specific tools loaded from .lmcode/tools (name -> { definition, handler, readOnly, source })
+ */
+const customTools = new Map();
+
 /**
  * Get all available tools for the LLM
  * @returns {Array} - Array of tool definitions in OpenAI format
  */
 export function getToolDefinitions() {
+  return [
+    ...getBuiltinToolDefinitions(),
+    ...[...customTools.values()].map(tool => ({ type: "function", function: tool.definition }))
+  ];
+}
+
+/**
+ * Get the tools that ship with LMCode
+ * @returns {Array} - Array of tool definitions in OpenAI format
+ */
+function getBuiltinToolDefinitions() {
   return [
     {
       type: "function",
@@ -149,12 +171,123 @@ export function getToolDefinitions() {
           required: ["description", "status"]
         }
       }
+    },
+    {
+      type: "function",
+      function: {
+        name: "web_search",
+        description: "Search the internet for documentation, API references, error messages or current best practices. Returns titles, URLs and snippets of the top results.",
+        parameters: {
+          type: "object",
+          properties: {
+            query: {
+              type: "string",
+              description: "Search query (e.g., 'nodejs async await tutorial')"
+            }
+          },
+          required: ["query"]
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "web_fetch",
+        description: "Fetch a web page and return its text content (up to 10,000 characters). Use this to read a page found with web_search.",
+        parameters: {
+          type: "object",
+          properties: {
+            url: {
+              type: "string",
+              description: "Full URL of the page to fetch (e.g., 'https://example.com/page')"
+            }
+          },
+          required: ["url"]
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "list_directory",
+        description: "List the files and subdirectories of a directory in the project. Use this to find out where code lives before searching or reading files.",
+        parameters: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "Directory path relative to the project root (use '.' for the root)"
+            },
+            recursive: {
+              type: "boolean",
+              description: "List all files below the directory instead of only its direct entries"
+            }
+          },
+          required: ["path"]
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "find_definition",
+        description: "Find where a function, class or method with the given name is defined, using the codebase index. Returns the file, exact line range, kind, signature and doc comment; pass the range to read_file_lines to load the code. Faster and more precise than search_code when you know the exact name.",
+        parameters: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Exact function, class or method name (e.g., 'buildPrompt' or 'PromptBuilder.buildPrompt')"
+            }
+          },
+          required: ["name"]
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "find_references",
+        description: "Find every use of an identifier (calls, property accesses, imports) using the codebase index. Matches whole identifiers only, so 'load' does not match 'loadConfig' or comments. Returns file, line, the line's code and the enclosing function for each use. Use it before renaming or changing a function's signature.",
+        parameters: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Exact identifier (e.g., 'buildPrompt'; for 'PromptBuilder.buildPrompt' the method name is searched)"
+            }
+          },
+          required: ["name"]
+        }
+      }
+    },
+    {
+      type: "function",
+      function: {
+        name: "run_command",
+        description: "Run a shell command in the project root, e.g. to run tests, a linter or a build. Returns stdout, stderr and the exit code. Commands that are not on the allowlist need user confirmation.",
+        parameters: {
+          type: "object",
+          properties: {
+            command: {
+              type: "string",
+              description: "Shell command to run (e.g., 'npm test')"
+            },
+            timeout_seconds: {
+              type: "integer",
+              description: "Optional timeout in seconds (defaults to the configured limit)"
+            }
+          },
+          required: ["command"]
+        }
+      }
     }
   ];
 }
 
 /**
  * Map tool names to their corresponding XML tags for backward compatibility
+ * Custom tools are added when registered, using their name as the tag
  */
 export const TOOL_TO_XML_MAP = {
   search_code: 'search',
@@ -162,9 +295,44 @@ export const TOOL_TO_XML_MAP = {
   edit_file: 'file_edit',
   create_file: 'file_create',
   delete_file: 'file_delete',
-  update_task: 'task_update'
+  update_task: 'task_update',
+  web_search: 'web_search',
+  web_fetch: 'web_fetch',
+  list_directory: 'list_directory',
+  find_definition: 'find_definition',
+  find_references: 'find_references',
+  run_command: 'run_command'
 };
 
+/**
+ * XML tags the response parser handles itself - custom tools cannot use them as names
+ */
+const RESERVED_XML_TAGS = new Set([...Object.values(TOOL_TO_XML_MAP), 'question']);
+
+/**
+ * Tools that only read data - they run without asking the user for confirmation
+ */
+const READ_ONLY_TOOLS = new Set([
+  'search_code',
+  'read_file_lines',
+  'web_search',
+  'web_fetch',
+  'list_directory',
+  'find_definition',
+  'find_references'
+]);
+
+/**
+ * Create an id for a tool call the server did not give one
+ * Ids must stay unique across the whole conversation (and saved sessions), since tool
+ * results are matched to their call by id.
+ * @param {string} prefix - Id prefix
+ * @returns {string} - e.g. call_text_3f9a0c1b2d4e
+ */
+export function createToolCallId(prefix = 'call') {
+  return `${prefix}_${randomBytes(6).toString('hex')}`;
+}
+
 /**
  * Check if a response contains tool calls
  * @param {Object} response - API response
@@ -176,37 +344,245 @@ export function hasToolCalls(response) {
 
 /**
  * Parse tool calls from API response
+ * Arguments are validated (and safely coerced) against the tool's parameter schema.
+ * Calls that cannot be used get an `error` summary and a list of `validationErrors`.
  * @param {Object} response - API response with tool_calls
+ * @param {Array} toolDefinitions - Tools offered to the model
  * @returns {Array} - Parsed tool calls with name and arguments
  */
-export function parseToolCalls(response) {
+export function parseToolCalls(response, toolDefinitions = getToolDefinitions()) {
   if (!hasToolCalls(response)) {
     return [];
   }
 
   return response.tool_calls.map(toolCall => {
+    const name = toolCall.function?.name;
+    const rawArguments = toolCall.function?.arguments;
+    let args;
+
     try {
-      const args = JSON.parse(toolCall.function.arguments);
+      // Some servers send arguments as an object instead of a JSON string
+      args = typeof rawArguments === 'string'
+        ? (rawArguments.trim() ? JSON.parse(rawArguments) : {})
+        : (rawArguments || {});
+    } catch (error) {
       return {
         id: toolCall.id,
-        name: toolCall.function.name,
-        arguments: args
+        name,
+        arguments: {},
+        rawArguments,
+        error: 'Failed to parse arguments',
+        validationErrors: [{ argument: null, message: `Arguments are not valid JSON: ${error.message}` }]
       };
-    } catch (error) {
-      console.error(`Failed to parse tool call arguments:`, error);
+    }
+
+    const definition = toolDefinitions.find(tool => tool.function.name === name);
+    if (!definition) {
       return {
         id: toolCall.id,
-        name: toolCall.function.name,
-        arguments: {},
-        error: 'Failed to parse arguments'
+        name,
+        arguments: args,
+        error: `Unknown tool ${name}`,
+        validationErrors: [{
+          argument: null,
+          message: `Unknown tool "${name}". Available tools: ${toolDefinitions.map(tool => tool.function.name).join(', ')}`
+        }]
+      };
+    }
+
+    const validation = validateToolArguments(args, definition.function.parameters);
+    if (!validation.valid) {
+      return {
+        id: toolCall.id,
+        name,
+        arguments: validation.arguments,
+        error: 'Invalid arguments',
+        validationErrors: validation.errors
       };
     }
+
+    return {
+      id: toolCall.id,
+      name,
+      arguments: validation.arguments
+    };
   });
 }
 
+/**
+ * Describe the JSON type of a value for error messages
+ * @param {*} value - Any value
+ * @returns {string} - JSON schema type name
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Coerce a value to a schema type where that cannot change its meaning
+ * (e.g. "42" -> 42, "true" -> true, "auth" -> ["auth"], 7 -> "7")
+ * @param {*} value - Value from the model
+ * @param {Object} schema - Property schema
+ * @returns {Object} - { ok, value }
+ */
+function coerceValue(value, schema) {
+  const type = schema.type;
+  const actual = describeType(value);
+
+  if (!type || actual === type || (type === 'number' && actual === 'integer')) {
+    return { ok: true, value };
+  }
+
+  switch (type) {
+    case 'integer':
+      if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) {
+        return { ok: true, value: parseInt(value, 10) };
+      }
+      if (typeof value === 'number' && Number.isInteger(value)) {
+        return { ok: true, value };
+      }
+      break;
+
+    case 'number':
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return { ok: true, value: Number(value) };
+      }
+      break;
+
+    case 'boolean':
+      if (value === 'true' || value === 'false') {
+        return { ok: true, value: value === 'true' };
+      }
+      break;
+
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return { ok: true, value: String(value) };
+      }
+      break;
+
+    case 'array':
+      if (typeof value === 'string') {
+        if (value.trim().startsWith('[')) {
+          try {
+            const parsed = JSON.parse(value);
+            if (Array.isArray(parsed)) return { ok: true, value: parsed };
+          } catch (error) {
+            // Not a JSON array - treat as a single item below
+          }
+        }
+        return { ok: true, value: [value] };
+      }
+      break;
+
+    case 'object':
+      if (typeof value === 'string' && value.trim().startsWith('{')) {
+        try {
+          return { ok: true, value: JSON.parse(value) };
+        } catch (error) {
+          // Not a JSON object
+        }
+      }
+      break;
+  }
+
+  return { ok: false, value };
+}
+
+/**
+ * Validate tool arguments against a tool's parameter schema
+ * Supports the JSON-schema subset used by tool definitions: type, properties,
+ * required, enum and array items
+ * @param {Object} args - Arguments from the model
+ * @param {Object} schema - Parameter schema (type: "object")
+ * @returns {Object} - { valid, arguments, errors: Array<{ argument, message }> }
+ */
+export function validateToolArguments(args, schema = {}) {
+  const errors = [];
+
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return {
+      valid: false,
+      arguments: {},
+      errors: [{ argument: null, message: `Arguments must be a JSON object, got ${describeType(args)}` }]
+    };
+  }
+
+  const properties = schema.properties || {};
+  const coerced = { ...args };
+
+  for (const key of schema.required || []) {
+    if (coerced[key] === undefined || coerced[key] === null) {
+      errors.push({ argument: key, message: 'Required argument is missing' });
+    }
+  }
+
+  for (const [key, value] of Object.entries(coerced)) {
+    const propertySchema = properties[key];
+    if (!propertySchema || value === undefined || value === null) continue;
+
+    const result = coerceValue(value, propertySchema);
+    if (!result.ok) {
+      errors.push({
+        argument: key,
+        message: `Expected ${propertySchema.type}, got ${describeType(value)} ${JSON.stringify(value).substring(0, 40)}`
+      });
+      continue;
+    }
+    coerced[key] = result.value;
+
+    if (propertySchema.enum && !propertySchema.enum.includes(coerced[key])) {
+      errors.push({
+        argument: key,
+        message: `Must be one of ${propertySchema.enum.map(option => JSON.stringify(option)).join(', ')}`
+      });
+    }
+
+    if (propertySchema.type === 'array' && propertySchema.items?.type) {
+      coerced[key] = coerced[key].map((item, i) => {
+        const itemResult = coerceValue(item, propertySchema.items);
+        if (!itemResult.ok) {
+          errors.push({
+            argument: `${key}[${i}]`,
+            message: `Expected ${propertySchema.items.type}, got ${describeType(item)}`
+          });
+        }
+        return itemResult.value;
+      });
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    arguments: coerced,
+    errors
+  };
+}
+
+/**
+ * Format a failed tool call as a structured error for the model, so it can retry
+ * @param {Object} toolCall - Parsed tool call with validationErrors
+ * @returns {string} - JSON error message
+ */
+export function formatToolCallError(toolCall) {
+  return JSON.stringify({
+    error: toolCall.error,
+    tool: toolCall.name,
+    problems: toolCall.validationErrors || [],
+    hint: toolCall.error.startsWith('Unknown tool')
+      ? 'Call one of the available tools instead.'
+      : `Fix the arguments and call ${toolCall.name} again.`
+  }, null, 2);
+}
+
 /**
  * Convert tool calls to the format expected by existing code
- * This allows tool-based responses to work with the existing action execution system
+ * This allows tool-based responses to work with the existing action execution system.
+ * File and task actions keep the originating toolCallId so their outcome can be
+ * reported back to the model as a "tool" message.
  * @param {Array} toolCalls - Parsed tool calls
  * @returns {Object} - Actions in the format expected by responseParser
  */
@@ -217,7 +593,13 @@ export function convertToolCallsToActions(toolCalls) {
     fileEdits: [],
     fileCreates: [],
     fileDeletes: [],
-    taskUpdates: []
+    taskUpdates: [],
+    webSearches: [],
+    webFetches: [],
+    listDirectories: [],
+    findDefinitions: [],
+    findReferences: [],
+    runCommands: []
   };
 
   for (const toolCall of toolCalls) {
@@ -243,7 +625,8 @@ export function convertToolCallsToActions(toolCalls) {
           path: args.path,
           oldText: args.old_text,
           newText: args.new_text,
-          description: args.description
+          description: args.description,
+          toolCallId: toolCall.id
         });
         break;
 
@@ -251,21 +634,55 @@ export function convertToolCallsToActions(toolCalls) {
         actions.fileCreates.push({
           path: args.path,
           content: args.content,
-          description: args.description
+          description: args.description,
+          toolCallId: toolCall.id
         });
         break;
 
       case 'delete_file':
         actions.fileDeletes.push({
           path: args.path,
-          reason: args.reason
+          reason: args.reason,
+          toolCallId: toolCall.id
         });
         break;
 
       case 'update_task':
         actions.taskUpdates.push({
           description: args.description,
-          status: args.status
+          status: args.status,
+          toolCallId: toolCall.id
+        });
+        break;
+
+      case 'web_search':
+        actions.webSearches.push(args.query);
+        break;
+
+      case 'web_fetch':
+        actions.webFetches.push(args.url);
+        break;
+
+      case 'list_directory':
+        actions.listDirectories.push({
+          path: args.path || '.',
+          recursive: !!args.recursive
+        });
+        break;
+
+      case 'find_definition':
+        actions.findDefinitions.push(args.name);
+        break;
+
+      case 'find_references':
+        actions.findReferences.push(args.name);
+        break;
+
+      case 'run_command':
+        actions.runCommands.push({
+          command: args.command,
+          timeoutSeconds: args.timeout_seconds,
+          toolCallId: toolCall.id
         });
         break;
 
@@ -276,3 +693,418 @@ export function convertToolCallsToActions(toolCalls) {
 
   return actions;
 }
+
+/**
+ * Check if a tool only reads data (safe to run without confirmation)
+ * @param {string} name - Tool name
+ * @returns {boolean}
+ */
+export function isReadOnlyTool(name) {
+  return READ_ONLY_TOOLS.has(name);
+}
+
+/**
+ * Register a project-specific tool
+ * @param {Object} tool - { definition: { name, description, parameters }, handler, readOnly }
+ * @param {string} source - Where the tool came from (for messages)
+ */
+export function registerCustomTool(tool, source = 'custom') {
+  const definition = tool?.definition;
+  const name = definition?.name;
+
+  if (!name || !/^[A-Za-z_][\w-]*$/.test(name)) {
+    throw new Error(`Invalid tool name "${name}" - use letters, digits, "_" and "-"`);
+  }
+  if (typeof tool.handler !== 'function') {
+    throw new Error(`Tool ${name} does not export a handler function`);
+  }
+  if (getBuiltinToolDefinitions().some(builtin => builtin.function.name === name) || RESERVED_XML_TAGS.has(name)) {
+    throw new Error(`Tool ${name} conflicts with a built-in tool`);
+  }
+  if (customTools.has(name)) {
+    throw new Error(`Tool ${name} is already registered by ${customTools.get(name).source}`);
+  }
+
+  customTools.set(name, {
+    definition: {
+      name,
+      description: definition.description || '',
+      parameters: definition.parameters || { type: 'object', properties: {} }
+    },
+    handler: tool.handler,
+    readOnly: !!tool.readOnly,
+    source
+  });
+  TOOL_TO_XML_MAP[name] = name;
+}
+
+/**
+ * Load custom tools from ES modules in a directory (e.g. .lmcode/tools/*.js)
+ * Each module exports `definition` (name, description, JSON-schema parameters) and an
+ * async `handler(args, context)`, either as named exports or as the default export.
+ * Set `readOnly: true` to run the tool without asking for confirmation.
+ * @param {string} toolsDir - Directory to load from
+ * @returns {Promise<Object>} - { loaded: Array<string>, errors: Array<string> }
+ */
+export async function loadCustomTools(toolsDir) {
+  const loaded = [];
+  const errors = [];
+
+  if (!existsSync(toolsDir)) {
+    return { loaded, errors };
+  }
+
+  const files = (await fs.readdir(toolsDir))
+    .filter(file => file.endsWith('.js') || file.endsWith('.mjs'))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.join(toolsDir, file);
+    try {
+      const module = await import(pathToFileURL(filePath).href);
+      const tool = module.default?.definition ? module.default : module;
+      registerCustomTool(tool, file);
+      loaded.push(tool.definition.name);
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+    }
+  }
+
+  return { loaded, errors };
+}
+
+/**
+ * Get a registered custom tool
+ * @param {string} name - Tool name
+ * @returns {Object|null} - Tool entry or null
+ */
+export function getCustomTool(name) {
+  return customTools.get(name) || null;
+}
+
+/**
+ * Get all registered custom tools
+ * @returns {Array<Object>} - Tool entries
+ */
+export function getCustomTools() {
+  return [...customTools.values()];
+}
+
+/**
+ * Run a custom tool and format its result for the model
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Project context passed to the handler
+ * @returns {Promise<string>} - Result text
+ */
+export async function executeCustomTool(name, args, context) {
+  const tool = customTools.get(name);
+  if (!tool) {
+    throw new Error(`Unknown tool ${name}`);
+  }
+
+  const result = await tool.handler(args, context);
+  if (result === undefined || result === null) {
+    return 'Done (no output)';
+  }
+  return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+}
+
+/**
+ * Describe custom tools as XML tags for the system prompt (XML mode)
+ * @returns {string} - Prompt section, or '' if no custom tools are registered
+ */
+export function getCustomToolsPrompt() {
+  if (customTools.size === 0) {
+    return '';
+  }
+
+  let prompt = '# PROJECT TOOLS\n\nThese project-specific tools are also available. ';
+  prompt += 'Call one with its tag and a JSON object of arguments, e.g. <tool_name>{"arg": "value"}</tool_name>\n';
+
+  for (const tool of customTools.values()) {
+    const properties = tool.definition.parameters?.properties || {};
+    const required = tool.definition.parameters?.required || [];
+    const args = Object.entries(properties)
+      .map(([key, schema]) => `${key}${required.includes(key) ? '' : '?'}: ${schema.type || 'any'}`)
+      .join(', ');
+
+    prompt += `\n<${tool.definition.name}>{${args}}</${tool.definition.name}> - ${tool.definition.description}`;
+  }
+
+  return prompt;
+}
+
+/**
+ * Parse the body of a custom tool XML tag into arguments
+ * Accepts a JSON object, child tags (<arg>value</arg>), or plain text when the tool
+ * has a single required parameter
+ * @param {string} body - Text between the opening and closing tag
+ * @param {Object} parameters - JSON schema of the tool's parameters
+ * @returns {Object} - Arguments
+ */
+export function parseCustomToolBody(body, parameters = {}) {
+  const text = body.trim();
+  const properties = parameters.properties || {};
+
+  if (!text) {
+    return {};
+  }
+
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // Fall through to the other formats
+    }
+  }
+
+  const args = {};
+  const childPattern = /<([A-Za-z_][\w-]*)>([\s\S]*?)<\/\1>/g;
+  let match;
+  while ((match = childPattern.exec(text)) !== null) {
+    const key = match[1];
+    const value = match[2].trim();
+    const type = properties[key]?.type;
+
+    if (type === 'integer' || type === 'number') {
+      args[key] = Number(value);
+    } else if (type === 'boolean') {
+      args[key] = value === 'true';
+    } else if (type === 'array') {
+      args[key] = value.split(',').map(item => item.trim()).filter(Boolean);
+    } else {
+      args[key] = value;
+    }
+  }
+
+  if (Object.keys(args).length > 0) {
+    return args;
+  }
+
+  const required = parameters.required || Object.keys(properties);
+  if (required.length === 1) {
+    return { [required[0]]: text };
+  }
+
+  return { input: text };
+}
+
+/**
+ * Read one JSON object or array starting at (or after whitespace from) a position
+ * @param {string} text - Text containing JSON
+ * @param {number} start - Position to start reading from
+ * @returns {Object|null} - { value, end } or null if no valid JSON value starts there
+ */
+function readJsonValue(text, start = 0) {
+  let i = start;
+  while (i < text.length && /\s/.test(text[i])) i++;
+
+  if (text[i] !== '{' && text[i] !== '[') {
+    return null;
+  }
+
+  let depth = 0;
+  let inString = false;
+
+  for (let j = i; j < text.length; j++) {
+    const char = text[j];
+
+    if (inString) {
+      if (char === '\\') j++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') depth++;
+    else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) {
+        try {
+          return { value: JSON.parse(text.slice(i, j + 1)), end: j + 1 };
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Turn a decoded JSON value into a list of { name, arguments } calls
+ * Accepts {name, arguments}, {name, parameters}, OpenAI-style {function: {...}},
+ * {tool_calls: [...]} and arrays of any of these
+ * @param {*} value - Decoded JSON value
+ * @returns {Array<Object>} - Calls found in the value
+ */
+function toCallList(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(toCallList);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+
+  if (typeof value.name === 'string') {
+    return [{ name: value.name, arguments: value.arguments ?? value.parameters ?? {} }];
+  }
+
+  if (typeof value.function?.name === 'string') {
+    return [{ name: value.function.name, arguments: value.function.arguments ?? {} }];
+  }
+
+  if (Array.isArray(value.tool_calls)) {
+    return toCallList(value.tool_calls);
+  }
+
+  return [];
+}
+
+/**
+ * Read consecutive JSON values (optionally separated by ";" or ",") from a position
+ * @param {string} text - Text to read from
+ * @param {number} start - Position to start reading from
+ * @returns {Object} - { calls, end } with every call found and where reading stopped
+ */
+function readCallSequence(text, start) {
+  const calls = [];
+  let end = start;
+
+  let json = readJsonValue(text, end);
+  while (json) {
+    calls.push(...toCallList(json.value));
+    end = json.end;
+
+    const separator = /^\s*[;,]/.exec(text.slice(end));
+    if (separator) {
+      end += separator[0].length;
+    }
+    json = readJsonValue(text, end);
+  }
+
+  return { calls, end };
+}
+
+/**
+ * Detect tool calls written into plain response content
+ * Many GGUF models served by LM Studio emit calls as text instead of filling
+ * message.tool_calls. Supported dialects:
+ * - Hermes/Qwen: <tool_call>{"name": ..., "arguments": {...}}</tool_call>
+ * - Mistral: [TOOL_CALLS][{...}, ...] and [TOOL_CALLS]name[ARGS]{...}
+ * - Llama 3.x: <|python_tag|>{"name": ..., "parameters": {...}}
+ * - A bare JSON object or array (optionally in a ```json fence) as the whole response
+ * @param {string} content - Response content
+ * @param {Array<string>} toolNames - Names of the tools offered to the model (calls to others are ignored)
+ * @returns {Object} - { toolCalls, text } with standard tool calls and the content left after removing them
+ */
+export function parseTextualToolCalls(content, toolNames = null) {
+  if (!content) {
+    return { toolCalls: [], text: content || '' };
+  }
+
+  const isKnown = (call) => !toolNames || toolNames.includes(call.name);
+  const found = [];
+  let text = content;
+
+  // Hermes / Qwen (closing tag is optional - the model may stop right after the JSON)
+  text = text.replace(/<tool_call>([\s\S]*?)(?:<\/tool_call>|$)/g, (match, body) => {
+    const calls = readCallSequence(body, 0).calls.filter(isKnown);
+    if (calls.length === 0) return match;
+    found.push(...calls);
+    return '';
+  });
+
+  // Mistral
+  let marker = text.indexOf('[TOOL_CALLS]');
+  while (marker !== -1) {
+    let position = marker + '[TOOL_CALLS]'.length;
+    let calls = [];
+
+    const named = /^\s*([\w.-]+)\s*\[ARGS\]/.exec(text.slice(position));
+    if (named) {
+      const json = readJsonValue(text, position + named[0].length);
+      if (json) {
+        calls = [{ name: named[1], arguments: json.value }];
+        position = json.end;
+      }
+    } else {
+      const sequence = readCallSequence(text, position);
+      calls = sequence.calls;
+      position = sequence.end;
+    }
+
+    calls = calls.filter(isKnown);
+    if (calls.length === 0) {
+      marker = text.indexOf('[TOOL_CALLS]', marker + 1);
+      continue;
+    }
+
+    found.push(...calls);
+    const rest = text.slice(position).replace(/^\s*\[\/TOOL_CALLS\]/, '');
+    text = text.slice(0, marker) + rest;
+    marker = text.indexOf('[TOOL_CALLS]', marker);
+  }
+
+  // Llama 3.x
+  marker = text.indexOf('<|python_tag|>');
+  if (marker !== -1) {
+    const sequence = readCallSequence(text, marker + '<|python_tag|>'.length);
+    const calls = sequence.calls.filter(isKnown);
+    if (calls.length > 0) {
+      found.push(...calls);
+      text = text.slice(0, marker) + text.slice(sequence.end);
+    }
+  }
+  text = text.replace(/<\|(?:eom_id|eot_id)\|>/g, '');
+
+  // Bare JSON - only when the whole response is the call, to avoid picking up JSON examples
+  if (found.length === 0) {
+    const bare = text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+    const sequence = readCallSequence(bare, 0);
+    if (sequence.calls.length > 0 && bare.slice(sequence.end).trim() === '' && sequence.calls.every(isKnown)) {
+      found.push(...sequence.calls);
+      text = '';
+    }
+  }
+
+  const toolCalls = found.map(call => ({
+    id: createToolCallId('call_text'),
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {})
+    }
+  }));
+
+  return { toolCalls, text: text.trim() };
+}
+
+/**
+ * Normalise a content response that contains textual tool calls into the standard
+ * { type: 'tool_calls' } shape returned for native tool calls
+ * @param {Object} response - Structured response from LMStudioClient
+ * @param {Array} toolDefinitions - Tools offered to the model
+ * @returns {Object} - The converted response, or the original one if no calls were found
+ */
+export function normalizeTextualToolCalls(response, toolDefinitions = getToolDefinitions()) {
+  if (!response || response.type !== 'content') {
+    return response;
+  }
+
+  const toolNames = toolDefinitions.map(tool => tool.function.name);
+  const { toolCalls, text } = parseTextualToolCalls(response.content, toolNames);
+
+  if (toolCalls.length === 0) {
+    return response;
+  }
+
+  return {
+    type: 'tool_calls',
+    tool_calls: toolCalls,
+    message: { role: 'assistant', content: text || null, tool_calls: toolCalls }
+  };
+}
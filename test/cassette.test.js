@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import Cassette from '../src/cassette.js';
+import MockServer from '../src/mockServer.js';
+import LMStudioClient from '../src/lmstudioClient.js';
+
+const OVERFLOW = "This model's maximum context length is 4096 tokens. However, your messages resulted in 5000 tokens.";
+
+async function streamRequest(client) {
+  try {
+    await client.complete([{ role: 'user', content: 'hi' }], { onProgress: () => {}, retries: 1 });
+  } catch (error) {
+    return error;
+  }
+  assert.fail('request should have failed');
+}
+
+test('records the body of a streamed error response and replays it', async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'lmcode-cassette-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'overflow.jsonl');
+
+  const server = new MockServer({ responses: [{ status: 400, error: OVERFLOW }] });
+  const { port } = await server.listen(0);
+  t.after(() => server.close());
+
+  const recording = new LMStudioClient({ baseURL: `http://127.0.0.1:${port}/v1`, model: 'mock-model' });
+  recording.contextWindow = 8192;
+  recording.setCassette(new Cassette(filePath, 'record'));
+  const recorded = await streamRequest(recording);
+  assert.equal(recorded.name, 'ContextOverflowError');
+
+  const [entry] = (await readFile(filePath, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(entry.status, 400);
+  assert.equal(entry.response.error.message, OVERFLOW);
+
+  const replaying = new LMStudioClient({ baseURL: 'http://127.0.0.1:9/v1', model: 'mock-model' });
+  replaying.contextWindow = 8192;
+  replaying.setCassette(new Cassette(filePath, 'replay'));
+  const replayed = await streamRequest(replaying);
+  assert.equal(replayed.name, 'ContextOverflowError');
+  assert.deepEqual(replayed.contextOverflow, { promptTokens: 5000, contextLength: 4096 });
+});
@@ -0,0 +1,258 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm, utimes, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import CodebaseIndexer from '../src/codebaseIndexer.js';
+import FileOperations from '../src/fileOperations.js';
+
+/**
+ * Create a project in a temporary directory and an indexer for it
+ * @param {Object} t - Test context (removes the project and silences index progress)
+ * @param {Object} files - Relative path -> content
+ * @returns {Promise<Object>} - { root, indexer, parsed } (parsed lists the relative paths parseFile was called for)
+ */
+async function createProject(t, files) {
+  const root = await mkdtemp(path.join(tmpdir(), 'lmcode-index-'));
+  t.after(() => rm(root, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  for (const [file, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(root, file)), { recursive: true });
+    await writeFile(path.join(root, file), content);
+  }
+
+  const indexer = new CodebaseIndexer(root, {}, new FileOperations(root));
+  const parsed = [];
+  const parseFile = indexer.parseFile.bind(indexer);
+  indexer.parseFile = (filePath) => {
+    parsed.push(path.relative(root, filePath).split(path.sep).join('/'));
+    return parseFile(filePath);
+  };
+  return { root, indexer, parsed };
+}
+
+/**
+ * Symbols of a file as "kind name startLine-endLine (parent)" strings
+ * @param {CodebaseIndexer} indexer - Built index
+ * @param {string} file - Relative path
+ * @returns {Array<string>}
+ */
+function symbolRanges(indexer, file) {
+  return indexer.getFileInfo(file).symbols
+    .map(symbol => `${symbol.kind} ${symbol.name} ${symbol.startLine}-${symbol.endLine}${symbol.parent ? ` (${symbol.parent})` : ''}`);
+}
+
+test('rebuilding only parses new and changed files', async (t) => {
+  const { root, indexer, parsed } = await createProject(t, {
+    'a.js': 'export const a = 1;\n',
+    'b.js': 'export const b = 2;\n',
+  });
+
+  assert.deepEqual(await indexer.buildIndex(), { total: 2, parsed: 2, unchanged: 0, removed: 0 });
+  parsed.length = 0;
+
+  // Unchanged size and mtime
+  assert.deepEqual(await indexer.buildIndex(), { total: 2, parsed: 0, unchanged: 2, removed: 0 });
+
+  // Touched with the same content: the hash matches and the new mtime is kept
+  const later = new Date(Date.now() + 60000);
+  await utimes(path.join(root, 'a.js'), later, later);
+  assert.deepEqual(await indexer.buildIndex(), { total: 2, parsed: 0, unchanged: 2, removed: 0 });
+  assert.equal(indexer.getFileInfo('a.js').mtimeMs, (await stat(path.join(root, 'a.js'))).mtimeMs);
+
+  // Same size, different content
+  await writeFile(path.join(root, 'b.js'), 'export const c = 3;\n');
+  await utimes(path.join(root, 'b.js'), later, later);
+  assert.deepEqual(await indexer.buildIndex(), { total: 2, parsed: 1, unchanged: 1, removed: 0 });
+  assert.deepEqual(parsed, ['b.js']);
+  assert.equal(indexer.getFileInfo('b.js').references.c.length, 1);
+
+  // --full parses everything again
+  assert.equal((await indexer.buildIndex(null, { full: true })).parsed, 2);
+});
+
+test('an index written by another version is parsed again', async (t) => {
+  const { indexer } = await createProject(t, { 'a.js': 'export const a = 1;\n' });
+  await indexer.buildIndex();
+
+  indexer.index.version = 1;
+  assert.equal((await indexer.buildIndex()).parsed, 1);
+  assert.equal((await indexer.buildIndex()).parsed, 0);
+});
+
+test('deleted and newly ignored files leave the index', async (t) => {
+  const { root, indexer } = await createProject(t, {
+    'src/keep.js': 'export const keep = 1;\n',
+    'src/gone.js': 'export const gone = 1;\n',
+    'build/out.js': 'export const out = 1;\n',
+  });
+  await indexer.buildIndex();
+
+  await rm(path.join(root, 'src/gone.js'));
+  await writeFile(path.join(root, '.lmcodeignore'), 'build/\n');
+  const stats = await indexer.buildIndex();
+  assert.equal(stats.removed, 2);
+  assert.deepEqual(indexer.index.files.map(file => file.relativePath.split(path.sep).join('/')).sort(), ['.lmcodeignore', 'src/keep.js']);
+});
+
+test('updateIndex reports unchanged, updated, removed and ignored files', async (t) => {
+  const { root, indexer, parsed } = await createProject(t, { 'a.js': 'export const a = 1;\n' });
+  await indexer.buildIndex();
+  parsed.length = 0;
+
+  assert.equal(await indexer.updateIndex('a.js'), 'unchanged');
+  assert.deepEqual(parsed, []);
+
+  await writeFile(path.join(root, 'a.js'), 'export function a() {\n  return 1;\n}\n');
+  assert.equal(await indexer.updateIndex('a.js'), 'updated');
+  assert.deepEqual(indexer.getFileInfo('a.js').functions, ['a']);
+  assert.equal(indexer.index.files.length, 1);
+
+  await rm(path.join(root, 'a.js'));
+  assert.equal(await indexer.updateIndex('a.js'), 'removed');
+  assert.equal(await indexer.updateIndex('a.js'), 'ignored');
+  assert.equal(await indexer.updateIndex('../outside.js'), 'ignored');
+});
+
+test('JavaScript symbols span their whole declaration', async (t) => {
+  const { indexer } = await createProject(t, {
+    'shapes.js': [
+      '// Area of a circle',
+      'export function area(r) {',
+      '  return Math.PI * r * r;',
+      '}',
+      '',
+      'export class Shape {',
+      '  static create(kind) {',
+      '    return new Shape(kind);',
+      '  }',
+      '',
+      '  describe = () => {',
+      '    return this.kind;',
+      '  };',
+      '}',
+      '',
+      'const double = (x) =>',
+      '  x * 2;',
+      '',
+    ].join('\n'),
+  });
+  await indexer.buildIndex();
+
+  assert.deepEqual(symbolRanges(indexer, 'shapes.js'), [
+    'function area 2-4',
+    'class Shape 6-14',
+    'method create 7-9 (Shape)',
+    'method describe 11-13 (Shape)',
+    'function double 16-17',
+  ]);
+  const [area, , create] = indexer.getFileInfo('shapes.js').symbols;
+  assert.equal(area.doc, 'Area of a circle');
+  assert.equal(create.signature, 'static create(kind)');
+});
+
+test('Python symbols end where the indentation returns', async (t) => {
+  const { indexer } = await createProject(t, {
+    'shop.py': [
+      'class Cart:',
+      '    """A shopping cart."""',
+      '',
+      '    @property',
+      '    def total(self):',
+      '        return sum(self.items)',
+      '',
+      '    def add(self,',
+      '            item):',
+      '        self.items.append(item)',
+      '',
+      '        # trailing comment',
+      'def checkout(cart):',
+      '    return cart.total',
+      '',
+    ].join('\n'),
+  });
+  await indexer.buildIndex();
+
+  assert.deepEqual(symbolRanges(indexer, 'shop.py'), [
+    'class Cart 1-10',
+    'method total 4-6 (Cart)',
+    'method add 8-10 (Cart)',
+    'function checkout 13-14',
+  ]);
+  const [cart, , add] = indexer.getFileInfo('shop.py').symbols;
+  assert.equal(cart.doc, 'A shopping cart.');
+  assert.equal(add.signature, 'add(self, item)');
+});
+
+test('brace-delimited files get symbols from the generic parser', async (t) => {
+  const { indexer } = await createProject(t, {
+    'service.ts': [
+      'import { Client } from "./client";',
+      '',
+      '// Talks to the API',
+      'export class Service {',
+      '  private client: Client;',
+      '',
+      '  async fetch(id: string): Promise<string> {',
+      '    if (id) {',
+      '      return "{";',
+      '    }',
+      '    return this.client.get(id);',
+      '  }',
+      '}',
+      '',
+      'export const make = (client: Client) => new Service(client);',
+      '',
+    ].join('\n'),
+  });
+  await indexer.buildIndex();
+
+  assert.deepEqual(symbolRanges(indexer, 'service.ts'), [
+    'class Service 4-13',
+    'method fetch 7-12 (Service)',
+    'function make 15-15',
+  ]);
+  assert.equal(indexer.getFileInfo('service.ts').symbols[0].doc, 'Talks to the API');
+  assert.deepEqual(indexer.getFileInfo('service.ts').imports, ['./client']);
+});
+
+test('resolves relative, package and Python imports to project files', async (t) => {
+  const { indexer } = await createProject(t, {
+    'package.json': JSON.stringify({ name: 'app' }),
+    'packages/utils/package.json': JSON.stringify({ name: '@app/utils', exports: { '.': { import: './src/main.js' } } }),
+    'packages/utils/src/main.js': 'export const util = 1;\n',
+    'packages/utils/src/extra.js': 'export const extra = 1;\n',
+    'src/index.js': [
+      "import { helper } from './lib';",
+      "import { util } from '@app/utils';",
+      "import { extra } from '@app/utils/src/extra.js';",
+      "import { typed } from './typed.js';",
+      "import chalk from 'chalk';",
+      "import { missing } from './missing.js';",
+      '',
+    ].join('\n'),
+    'src/lib/index.js': 'export const helper = 1;\n',
+    'src/typed.ts': 'export const typed: number = 1;\n',
+    'py/app/__init__.py': '',
+    'py/app/main.py': 'from . import models\nfrom .util import slugify\nimport os\n',
+    'py/app/models.py': 'class User:\n    pass\n',
+    'py/app/util.py': 'def slugify(text):\n    return text\n',
+  });
+  await indexer.buildIndex();
+
+  assert.deepEqual(indexer.getDependencies('src/index.js'), {
+    relativePath: 'src/index.js',
+    imports: ['packages/utils/src/extra.js', 'packages/utils/src/main.js', 'src/lib/index.js', 'src/typed.ts'],
+    importers: [],
+    external: ['chalk'],
+    unresolved: ['./missing.js'],
+  });
+  assert.deepEqual(indexer.getDependencies('src/lib/index.js').importers, ['src/index.js']);
+
+  const python = indexer.getDependencies('py/app/main.py');
+  // "from . import models" imports the package itself as well as the module
+  assert.deepEqual(python.imports, ['py/app/__init__.py', 'py/app/models.py', 'py/app/util.py']);
+  assert.deepEqual(python.external, ['os']);
+  assert.deepEqual(python.unresolved, []);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CommandRunner from '../src/commandRunner.js';
+
+const runner = new CommandRunner(process.cwd(), {
+  allowlist: ['npm test', 'git status', 'git diff', 'git log', 'ls'],
+  denylist: ['sudo', 'rm -rf /'],
+});
+
+test('allows allowlisted commands and their arguments', () => {
+  assert.equal(runner.checkCommand('npm test').allowlisted, true);
+  assert.equal(runner.checkCommand('npm test -- --watch=false').allowlisted, true);
+  assert.equal(runner.checkCommand('npm testing').allowlisted, false);
+});
+
+test('never auto-allows chained or redirected commands', () => {
+  for (const command of ['npm test; echo x', 'npm test && echo x', 'npm test | tee out', 'npm test > out', 'npm test `id`', 'npm test $(id)']) {
+    assert.equal(runner.checkCommand(command).allowlisted, false, command);
+  }
+});
+
+test('never auto-allows options that write files', () => {
+  for (const command of ['git diff --output=src/index.js', 'git log --output=README.md', 'git diff --out=a.js', 'git log --output README.md', 'git diff -o a.js', "git diff --out''put=a.js", 'git diff "--output=a.js"']) {
+    assert.equal(runner.checkCommand(command).allowlisted, false, command);
+  }
+  assert.equal(runner.checkCommand('git log --oneline -n 5').allowlisted, true);
+  assert.equal(runner.checkCommand('git diff --stat HEAD~1').allowlisted, true);
+});
+
+test('never auto-allows variable expansion', () => {
+  for (const command of ['ls $HOME', 'ls ${HOME}', 'git diff $(cat x)', 'ls "$PWD/.."']) {
+    assert.equal(runner.checkCommand(command).allowlisted, false, command);
+  }
+});
+
+test('treats line breaks as command separators', () => {
+  assert.equal(runner.checkCommand('npm test\necho PWNED').allowlisted, false);
+  assert.equal(runner.checkCommand('npm test\r\necho PWNED').allowlisted, false);
+  assert.equal(runner.checkCommand('git status\recho PWNED').allowlisted, false);
+});
+
+test('checks the allowlist against the string that is run', () => {
+  assert.equal(runner.checkCommand('npm\ttest').allowlisted, false);
+  assert.equal(runner.checkCommand('npm  test').allowlisted, false);
+});
+
+test('denies denylisted commands anywhere in a chain', () => {
+  assert.equal(runner.checkCommand('sudo make install').denied, true);
+  assert.equal(runner.checkCommand('make &&\nsudo make install').denied, true);
+  assert.equal(runner.checkCommand('pseudo make').denied, false);
+  assert.equal(runner.checkCommand('   ').denied, true);
+});
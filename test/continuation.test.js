@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MockServer from '../src/mockServer.js';
+import LMStudioClient from '../src/lmstudioClient.js';
+import ResponseParser from '../src/responseParser.js';
+import { registerCustomTool } from '../src/tools.js';
+
+const EDIT_START = 'Updating the greeting.\n<file_edit>\n<path>src/hello.js</path>\n<operation>replace</operation>\n<old>return 1;</old>\n<new>ret';
+
+/**
+ * Start a mock server with a scenario and point a client at it
+ * @param {Object} t - Test context (stops the server afterwards)
+ * @param {Array<Object>} responses - Scripted responses
+ * @param {Object} config - Extra client config
+ * @returns {Promise<Object>} - { client, requests }
+ */
+async function startSession(t, responses, config = {}) {
+  const server = new MockServer({ models: [{ id: 'mock-coder', contextLength: 16384 }], responses }, { log: () => {} });
+  const requests = [];
+  const chatCompletion = server._chatCompletion.bind(server);
+  server._chatCompletion = (request, res) => {
+    requests.push(request);
+    return chatCompletion(request, res);
+  };
+  const { port } = await server.listen(0);
+  t.after(() => server.close());
+
+  const client = new LMStudioClient({ baseURL: `http://127.0.0.1:${port}/v1`, model: 'mock-coder', ...config });
+  client.contextWindow = 16384;
+  client.sleep = async () => {};
+  return { client, requests };
+}
+
+test('continues a cut-off file edit and drops the repeated overlap', async (t) => {
+  const { client, requests } = await startSession(t, [
+    { content: EDIT_START, finish_reason: 'length' },
+    { content: '<operation>replace</operation>\n<old>return 1;</old>\n<new>return 2;</new>\n</file_edit>' },
+  ]);
+
+  const response = await client.complete([{ role: 'user', content: 'Make hello return 2' }]);
+  assert.equal(response.continuations, 1);
+  assert.equal(response.truncated, false);
+  assert.equal(response.content.match(/<operation>/g).length, 1);
+
+  const parsed = new ResponseParser().parseResponse(response.content);
+  assert.equal(parsed.fileEdits.length, 1);
+  assert.equal(parsed.fileEdits[0].newText, 'return 2;');
+
+  // The partial answer goes back as the assistant turn, without tools
+  const followUp = requests[1];
+  assert.equal(followUp.messages.at(-2).content, EDIT_START);
+  assert.equal(followUp.tools, undefined);
+});
+
+test('marks the answer truncated when it is still cut off after maxContinuations', async (t) => {
+  const { client, requests } = await startSession(t, [
+    { content: EDIT_START, finish_reason: 'length' },
+    { content: 'urn 2;</new>\nand more text that runs out as well', finish_reason: 'length' },
+    { content: 'never requested' },
+  ], { maxContinuations: 1 });
+
+  const response = await client.complete([{ role: 'user', content: 'Make hello return 2' }]);
+  assert.equal(requests.length, 2);
+  assert.equal(response.continuations, 1);
+  assert.equal(response.truncated, true);
+  assert.deepEqual(new ResponseParser().findUnclosedBlocks(response.content), ['file_edit']);
+});
+
+test('stitching only drops overlaps long enough to be a repeat', () => {
+  const client = new LMStudioClient({ model: 'mock-coder' });
+  assert.equal(client.stitchContinuation('const value = compute(', 'value = compute(a, b);'), 'const value = compute(a, b);');
+  assert.equal(client.stitchContinuation('return a', 'a + b;'), 'return aa + b;');
+});
+
+test('finds unclosed blocks of every built-in and custom tool', () => {
+  registerCustomTool({ definition: { name: 'deploy_preview' }, handler: async () => 'ok' }, 'deploy.js');
+  const parser = new ResponseParser();
+
+  assert.deepEqual(parser.findUnclosedBlocks('<find_references>load'), ['find_references']);
+  assert.deepEqual(parser.findUnclosedBlocks('<run_command>npm test</run_command>\n<deploy_preview>\n<branch>main'), ['deploy_preview']);
+  assert.deepEqual(parser.findUnclosedBlocks('<search>auth</search>'), []);
+});
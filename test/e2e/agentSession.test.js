@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import inquirer from 'inquirer';
+import MockServer from '../../src/mockServer.js';
+import LMStudioContextManager from '../../src/index.js';
+
+const scenario = fileURLToPath(new URL('../fixtures/agent-session.yaml', import.meta.url));
+
+let server;
+let root;
+let app;
+const requests = [];
+const output = [];
+const { log } = console;
+const { prompt } = inquirer;
+
+before(async () => {
+  server = new MockServer(await MockServer.loadScenario(scenario), { log: () => {} });
+  const chatCompletion = server._chatCompletion.bind(server);
+  server._chatCompletion = (request, res) => {
+    requests.push(request);
+    return chatCompletion(request, res);
+  };
+  const { port } = await server.listen(0);
+
+  root = await mkdtemp(path.join(tmpdir(), 'lmcode-session-'));
+  await mkdir(path.join(root, 'src'));
+  await writeFile(path.join(root, 'src/hello.js'), 'export function hello() {\n  return 1;\n}\n');
+
+  // The session prints progress and asks before edits: keep the output and confirm everything
+  console.log = (...args) => output.push(args.join(' '));
+  inquirer.prompt = async (questions) => Object.fromEntries([questions].flat().map(question => [question.name, true]));
+
+  app = new LMStudioContextManager(root);
+  await app.autoInitProject();
+  const configPath = path.join(root, '.lmcode', 'config.json');
+  const config = JSON.parse(await readFile(configPath, 'utf-8'));
+  config.lmstudio = { ...config.lmstudio, baseURL: `http://127.0.0.1:${port}/v1`, model: 'mock-coder' };
+  await writeFile(configPath, JSON.stringify(config, null, 2));
+
+  await app.initialize();
+  assert.equal(await app.testConnection(), true);
+  await app.rebuildIndex();
+});
+
+after(async () => {
+  console.log = log;
+  inquirer.prompt = prompt;
+  app?.components.codebaseIndexer?.stopWatching();
+  await server?.close();
+  await rm(root, { recursive: true, force: true });
+});
+
+test('tool mode: searches, applies the edit and answers', async () => {
+  app.components.lmstudioClient.supportsTools = true;
+  await app.processQuery('Make hello return 2');
+
+  assert.equal(await readFile(path.join(root, 'src/hello.js'), 'utf-8'), 'export function hello() {\n  return 2;\n}\n');
+  assert.equal(requests.length, 3);
+  assert.ok(requests.every(request => request.tools?.length > 0));
+
+  // Each tool result goes back to the model under the id of its call
+  const [, afterSearch, afterEdit] = requests;
+  const searchResult = afterSearch.messages.find(message => message.role === 'tool');
+  assert.equal(searchResult.tool_call_id, 'call_mock_0');
+  assert.match(searchResult.content, /src\/hello\.js/);
+  assert.equal(afterEdit.messages.filter(message => message.role === 'tool').length, 2);
+
+  assert.ok(output.some(line => line.includes('hello() now returns 2.')), output.join('\n'));
+});
+
+test('XML mode: runs the action pipeline on a file edit in the answer', async () => {
+  app.components.lmstudioClient.supportsTools = false;
+  requests.length = 0;
+  await app.processQuery('Make hello return 3');
+
+  assert.equal(await readFile(path.join(root, 'src/hello.js'), 'utf-8'), 'export function hello() {\n  return 3;\n}\n');
+  assert.equal(requests.length, 1); // an edit needs no follow-up request
+  assert.equal(requests[0].tools, undefined);
+
+  // Both exchanges are kept in the conversation history
+  const history = app.components.contextManager.getRecentMessages(4);
+  assert.deepEqual(history.map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+  assert.equal(history[2].content, 'Make hello return 3');
+});
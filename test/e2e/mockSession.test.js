@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import LMStudioClient from '../../src/lmstudioClient.js';
+import ResponseParser from '../../src/responseParser.js';
+import TokenCounter from '../../src/tokenCounter.js';
+
+const root = fileURLToPath(new URL('../..', import.meta.url));
+const scenario = fileURLToPath(new URL('../fixtures/mock-session.yaml', import.meta.url));
+
+let server;
+let client;
+const log = [];
+
+/**
+ * Start `lmcode mock-server` on a free port and wait for its address
+ * @returns {Promise<string>} - Base URL (.../v1)
+ */
+function startMockServer() {
+  server = spawn(process.execPath, ['src/index.js', 'mock-server', scenario, '--port', '0'], {
+    cwd: root,
+    env: { ...process.env, FORCE_COLOR: '0' },
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', (chunk) => {
+      output += chunk;
+      log.push(...String(chunk).trim().split('\n'));
+      const match = output.match(/listening on (http:\/\/\S+\/v1)/);
+      if (match) resolve(match[1]);
+    });
+    server.stderr.on('data', (chunk) => { output += chunk; });
+    server.once('exit', (code) => reject(new Error(`mock server exited (${code}):\n${output}`)));
+  });
+}
+
+before(async () => {
+  const baseURL = await startMockServer();
+  client = new LMStudioClient({ baseURL, model: 'mock-coder', temperature: 0.2 }, null, { compress: 'mock-small' });
+  client.sleep = async () => {}; // no retry backoff in tests
+});
+
+after(() => {
+  server?.kill();
+});
+
+test('detects the model, its context window and the unloaded compress model', async () => {
+  await client.fetchModelCapabilities();
+  assert.equal(client.model, 'mock-coder');
+  assert.equal(client.getContextWindow(), 16384);
+  assert.equal(client.getModelRoutes().find(route => route.role === 'compress').pendingLoad, true);
+});
+
+test('assembles a streamed tool call', async () => {
+  client.supportsTools = true;
+  let progress = 0;
+  const response = await client.complete([{ role: 'user', content: 'Where is hello defined?' }], {
+    onProgress: () => { progress++; },
+  });
+
+  assert.equal(response.type, 'tool_calls');
+  assert.equal(response.tool_calls[0].function.name, 'search_code');
+  assert.deepEqual(JSON.parse(response.tool_calls[0].function.arguments), { keywords: ['hello'] });
+  assert.ok(progress > 0);
+});
+
+test('parses an XML edit from a plain answer', async () => {
+  client.supportsTools = false;
+  const response = await client.complete([{ role: 'user', content: 'Make hello return 2' }]);
+  const parsed = new ResponseParser().parseResponse(response.content);
+
+  assert.equal(parsed.fileEdits.length, 1);
+  assert.equal(parsed.fileEdits[0].path, 'src/hello.js');
+  assert.equal(parsed.fileEdits[0].newText, 'return 2;');
+});
+
+test('retries after a server error', async () => {
+  const response = await client.complete([{ role: 'user', content: 'Try again' }]);
+  assert.equal(response.content, 'Recovered after a retry.');
+});
+
+test('loads the compress model on first use', async () => {
+  const summary = await client.compress('USER: make hello return 2', 'Summarize');
+  assert.equal(summary, '- Changed hello() to return 2');
+  assert.ok(log.some(line => /models\/load mock-small/.test(line)), log.join('\n'));
+  assert.equal(client.getContextWindow('compress'), 4096);
+});
+
+test('a streamed answer reports usage that calibrates the token ratio', async () => {
+  const response = await client.complete([{ role: 'user', content: 'Count my tokens' }], { onProgress: () => {} });
+  assert.equal(response.content, 'Counted.');
+
+  const usage = client.getLastUsage();
+  assert.equal(usage?.promptTokens, 1200);
+
+  const counter = new TokenCounter({ backend: 'calibrated' });
+  await counter.recordUsage('mock-coder', 1000, usage.promptTokens);
+  assert.equal(counter.getModelRatio('mock-coder'), 1.2);
+});
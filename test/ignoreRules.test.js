@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import IgnoreRules from '../src/ignoreRules.js';
+
+async function createProject(t, files) {
+  const root = await mkdtemp(path.join(tmpdir(), 'lmcode-ignore-'));
+  t.after(() => rm(root, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    await mkdir(path.dirname(path.join(root, name)), { recursive: true });
+    await writeFile(path.join(root, name), content);
+  }
+  return root;
+}
+
+test('follows gitignore patterns, negation and anchoring', async (t) => {
+  const root = await createProject(t, {
+    '.gitignore': '*.log\n!keep.log\n/build\ndocs/**/*.tmp\ncache/\n',
+  });
+  const rules = new IgnoreRules(root);
+
+  assert.equal(rules.isIgnored('error.log'), true);
+  assert.equal(rules.isIgnored('logs/keep.log'), false);
+  assert.equal(rules.isIgnored('build', true), true);
+  assert.equal(rules.isIgnored('src/build', true), false);
+  assert.equal(rules.isIgnored('docs/a/b/c.tmp'), true);
+  assert.equal(rules.isIgnored('cache', true), true);
+  assert.equal(rules.isIgnored('cache', false), false);
+});
+
+test('nested ignore files and .lmcodeignore override earlier rules', async (t) => {
+  const root = await createProject(t, {
+    '.gitignore': 'generated/\n',
+    '.lmcodeignore': '*.snap\n',
+    'packages/api/.gitignore': '!*.snap\nfixtures/\n',
+  });
+  const rules = new IgnoreRules(root, ['vendor/']);
+
+  assert.equal(rules.isIgnored('vendor', true), true);
+  assert.equal(rules.isIgnored('src/a.snap'), true);
+  assert.equal(rules.isIgnored('packages/api/a.snap'), false);
+  assert.equal(rules.isIgnored('packages/api/fixtures/data.json'), true);
+  assert.equal(rules.isIgnored('packages/web/fixtures/data.json'), false);
+});
+
+test('a path inside an ignored directory stays ignored and explain names the rule', async (t) => {
+  const root = await createProject(t, { '.gitignore': 'dist/\n!dist/keep.js\n' });
+  const rules = new IgnoreRules(root);
+
+  const decision = rules.explain('dist/keep.js');
+  assert.equal(decision.ignored, true);
+  assert.equal(decision.matchedPath, 'dist');
+  assert.deepEqual({ pattern: decision.rule.pattern, source: decision.rule.source, line: decision.rule.line }, { pattern: 'dist/', source: '.gitignore', line: 1 });
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MCPClient from '../src/mcpClient.js';
+
+// Stub MCP server: two pages of tools, an echo tool, a tool that kills the server
+// mid-call and one that stops reading its input while the process keeps running
+const STUB_SERVER = `
+import readline from 'readline';
+import { closeSync } from 'fs';
+const send = (message) => process.stdout.write(JSON.stringify(message) + '\\n');
+const result = (id, value) => send({ jsonrpc: '2.0', id, result: value });
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const { id, method, params } = JSON.parse(line);
+  if (method === 'initialize') {
+    result(id, { protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { name: 'stub', version: '1.0' } });
+  } else if (method === 'tools/list') {
+    result(id, params.cursor
+      ? { tools: [{ name: 'crash' }, { name: 'close_input' }] }
+      : { tools: [{ name: 'echo', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } }], nextCursor: 'page2' });
+  } else if (method === 'tools/call' && params.name === 'echo') {
+    result(id, { content: [{ type: 'text', text: 'echo: ' + params.arguments.text }] });
+  } else if (method === 'tools/call' && params.name === 'crash') {
+    console.error('stub crashed');
+    process.exit(3);
+  } else if (method === 'tools/call' && params.name === 'close_input') {
+    process.stdin.destroy();
+    closeSync(0);
+    result(id, { content: [{ type: 'text', text: 'closing' }] });
+    setInterval(() => {}, 1000);
+  } else if (id !== undefined) {
+    send({ jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } });
+  }
+});
+`;
+
+function createClient(t) {
+  const client = new MCPClient('stub', {
+    command: process.execPath,
+    args: ['--input-type=module', '-e', STUB_SERVER],
+    timeoutMs: 5000,
+  }, process.cwd());
+  t.after(() => client.close());
+  return client;
+}
+
+test('initializes, lists tools across pages and calls a tool', async (t) => {
+  const client = createClient(t);
+  assert.deepEqual(await client.connect(), { name: 'stub', version: '1.0' });
+
+  const tools = await client.listTools();
+  assert.deepEqual(tools.map(tool => tool.name), ['echo', 'crash', 'close_input']);
+  assert.equal(await client.callTool('echo', { text: 'hi' }), 'echo: hi');
+});
+
+test('rejects a call when the server dies in the middle of it', async (t) => {
+  const client = createClient(t);
+  await client.connect();
+
+  await assert.rejects(client.callTool('crash', {}), /MCP server stub exited \(code 3\): stub crashed/);
+  await assert.rejects(client.callTool('echo', { text: 'hi' }), /not running/);
+});
+
+test('rejects requests instead of crashing when the server stops reading', async (t) => {
+  const client = createClient(t);
+  await client.connect();
+  assert.equal(await client.callTool('close_input', {}), 'closing');
+
+  await assert.rejects(client.callTool('echo', { text: 'hi' }), /stopped reading requests \(EPIPE\)/);
+});
@@ -0,0 +1,179 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { PassThrough } from 'node:stream';
+import path from 'node:path';
+import CodebaseIndexer from '../src/codebaseIndexer.js';
+import FileOperations from '../src/fileOperations.js';
+import MCPServer from '../src/mcpServer.js';
+
+const FILES = {
+  'src/math.js': [
+    "import { round } from './util.js';",
+    '',
+    '/**',
+    ' * Add two numbers',
+    ' */',
+    'export function add(a, b) {',
+    '  return round(a + b);',
+    '}',
+    '',
+    'export class Calculator {',
+    '  total(values) {',
+    '    return values.reduce(add, 0);',
+    '  }',
+    '}',
+    '',
+  ].join('\n'),
+  'src/util.js': 'export function round(value) {\n  return Math.round(value);\n}\n',
+};
+
+let root;
+let input;
+let pending;
+let nextId = 1;
+
+/**
+ * Send a JSON-RPC request to the server and wait for its answer
+ * @param {string} method - Method name
+ * @param {Object} params - Parameters
+ * @returns {Promise<Object>} - The response message
+ */
+function request(method, params = {}) {
+  const id = nextId++;
+  return new Promise((resolve) => {
+    pending.set(id, resolve);
+    input.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+  });
+}
+
+/**
+ * Call a tool and return the text of its result
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - { text, isError }
+ */
+async function callTool(name, args) {
+  const response = await request('tools/call', { name, arguments: args });
+  assert.equal(response.error, undefined, JSON.stringify(response.error));
+  return { text: response.result.content[0].text, isError: !!response.result.isError };
+}
+
+before(async () => {
+  root = await mkdtemp(path.join(tmpdir(), 'lmcode-mcp-'));
+  await mkdir(path.join(root, 'src'));
+  for (const [file, content] of Object.entries(FILES)) {
+    await writeFile(path.join(root, file), content);
+  }
+  await writeFile(path.join(tmpdir(), 'lmcode-mcp-outside.js'), 'export const secret = 1;\n');
+
+  const fileOps = new FileOperations(root);
+  const indexer = new CodebaseIndexer(root, {}, fileOps);
+  const log = console.log;
+  console.log = () => {}; // buildIndex reports progress
+  try {
+    await indexer.buildIndex();
+  } finally {
+    console.log = log;
+  }
+
+  input = new PassThrough();
+  const output = new PassThrough();
+  pending = new Map();
+  let buffer = '';
+  output.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const message = JSON.parse(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      pending.get(message.id)?.(message);
+      pending.delete(message.id);
+    }
+  });
+
+  new MCPServer(indexer, fileOps, { search: { snippetContextLines: 1 } }).start(input, output);
+});
+
+after(async () => {
+  input.end();
+  await rm(root, { recursive: true, force: true });
+  await rm(path.join(tmpdir(), 'lmcode-mcp-outside.js'), { force: true });
+});
+
+test('initializes and lists its tools', async () => {
+  const init = await request('initialize', { protocolVersion: '2024-11-05' });
+  assert.equal(init.result.serverInfo.name, 'lmcode');
+
+  const list = await request('tools/list');
+  assert.deepEqual(list.result.tools.map(tool => tool.name),
+    ['search_code', 'read_lines', 'find_definition', 'find_references', 'list_symbols', 'project_overview']);
+});
+
+test('search_code returns numbered snippets', async () => {
+  const { text } = await callTool('search_code', { keywords: ['Math.round'] });
+  assert.match(text, /## src\/util\.js \(1 match\(es\)\)/);
+  assert.match(text, /\s+2: {3}return Math\.round\(value\);/);
+
+  assert.match((await callTool('search_code', { keywords: ['nowhere_to_be_found'] })).text, /^No matches/);
+});
+
+test('read_lines returns the requested range', async () => {
+  const { text } = await callTool('read_lines', { path: 'src/math.js', start_line: 6, end_line: 8 });
+  assert.equal(text.split('\n')[0], 'src/math.js lines 6-8 of 15:');
+  assert.match(text, /\s+6: export function add\(a, b\) \{\n\s+7: {3}return round\(a \+ b\);\n\s+8: \}/);
+});
+
+test('find_definition returns the line range and doc comment', async () => {
+  const { text } = await callTool('find_definition', { name: 'add' });
+  assert.match(text, /^src\/math\.js lines 6-8: .*add/);
+  assert.match(text, /Add two numbers/);
+
+  assert.match((await callTool('find_definition', { name: 'subtract' })).text, /is not defined in any indexed file/);
+});
+
+test('find_references lists each use with its enclosing function', async () => {
+  const { text } = await callTool('find_references', { name: 'round' });
+  assert.match(text, /^4 references in 2 files:/); // the import, the call, the definition and Math.round
+  assert.match(text, /src\/math\.js:1 \(top level\): import \{ round \}/);
+  assert.match(text, /src\/math\.js:7 \(in function add\): return round\(a \+ b\);/);
+  assert.match(text, /src\/util\.js:1 \(definition\)/);
+});
+
+test('list_symbols and project_overview describe the index', async () => {
+  const { text } = await callTool('list_symbols', { path: 'src/math.js' });
+  assert.match(text, /Functions: .*add/);
+  assert.match(text, /Classes: Calculator/);
+  assert.match(text, /Imports: \.\/util\.js/);
+  assert.match(text, / {2}10-14 .*Calculator/);
+
+  const overview = await callTool('project_overview', {});
+  assert.match(overview.text, /^Files: 2 \(\.js: 2\)/);
+  assert.match(overview.text, /Classes: 1/);
+});
+
+test('refuses paths outside the project root', async () => {
+  const outside = path.join('..', 'lmcode-mcp-outside.js');
+  for (const name of ['read_lines', 'list_symbols']) {
+    const result = await callTool(name, { path: outside, start_line: 1, end_line: 1 });
+    assert.equal(result.isError, true, name);
+    assert.doesNotMatch(result.text, /secret/, name);
+  }
+});
+
+test('answers JSON-RPC errors for unknown methods, unknown tools and bad arguments', async () => {
+  assert.equal((await request('resources/list')).error.code, -32601);
+
+  const unknownTool = await request('tools/call', { name: 'delete_everything', arguments: {} });
+  assert.equal(unknownTool.error.code, -32602);
+  assert.match(unknownTool.error.message, /Unknown tool: delete_everything/);
+
+  const missing = await request('tools/call', { name: 'read_lines', arguments: { path: 'src/math.js' } });
+  assert.equal(missing.error.code, -32602);
+  assert.match(missing.error.message, /start_line: Required argument is missing/);
+
+  const wrongType = await request('tools/call', { name: 'search_code', arguments: { keywords: ['add'], mode: 'everything' } });
+  assert.equal(wrongType.error.code, -32602);
+  assert.match(wrongType.error.message, /mode: Must be one of/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, appendFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import MetricsLog from '../src/metricsLog.js';
+import LMStudioClient from '../src/lmstudioClient.js';
+
+test('percentiles use the nearest rank and skip missing values', () => {
+  const values = Array.from({ length: 100 }, (_, i) => 100 - i);
+  assert.deepEqual(MetricsLog.percentiles(values), { p50: 50, p90: 90, p99: 99 });
+  assert.deepEqual(MetricsLog.percentiles([30, null, 10, undefined, NaN, 20]), { p50: 20, p90: 30, p99: 30 });
+  assert.deepEqual(MetricsLog.percentiles([7]), { p50: 7, p90: 7, p99: 7 });
+  assert.equal(MetricsLog.percentiles([null, undefined]), null);
+});
+
+test('summarize groups calls by model and role and leaves failures out of the timings', () => {
+  const summary = MetricsLog.summarize([
+    { model: 'coder', role: 'chat', ttftMs: 100, tokensPerSecond: 40, promptMs: 90, totalMs: 1000, retries: 0 },
+    { model: 'coder', role: 'chat', ttftMs: 300, tokensPerSecond: 20, promptMs: 250, totalMs: 3000, retries: 1, estimated: true },
+    { model: 'coder', role: 'chat', ttftMs: 9000, totalMs: 9000, retries: 2, error: 'timeout' },
+    { model: 'coder', role: 'edit', ttftMs: null, tokensPerSecond: null, promptMs: null, totalMs: 500, retries: 0 },
+    { model: 'small', role: 'compress', ttftMs: 50, tokensPerSecond: 80, promptMs: 40, totalMs: 400, retries: 0 },
+  ]);
+
+  assert.deepEqual(summary.map(group => `${group.model}/${group.role}`), ['coder/chat', 'coder/edit', 'small/compress']);
+
+  const [chat, edit] = summary;
+  assert.equal(chat.calls, 3);
+  assert.equal(chat.errors, 1);
+  assert.equal(chat.retries, 3);
+  assert.equal(chat.estimated, 1);
+  assert.deepEqual(chat.ttftMs, { p50: 100, p90: 300, p99: 300 });
+  assert.deepEqual(chat.tokensPerSecond, { p50: 20, p90: 40, p99: 40 });
+
+  // Non-streamed calls have no TTFT
+  assert.equal(edit.ttftMs, null);
+  assert.equal(edit.tokensPerSecond, null);
+  assert.deepEqual(edit.totalMs, { p50: 500, p90: 500, p99: 500 });
+});
+
+test('load skips lines that are not valid JSON and keeps the newest', async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'lmcode-metrics-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  const log = new MetricsLog(path.join(dir, '.lmcode', 'metrics.jsonl'));
+  assert.deepEqual(log.load(), []);
+  log.record({ model: 'coder', totalMs: 1 });
+  await appendFile(log.filePath, '{"model": "cod\n');
+  log.record({ model: 'coder', totalMs: 2 });
+
+  assert.deepEqual(log.load().map(entry => entry.totalMs), [1, 2]);
+  assert.deepEqual(log.load(1).map(entry => entry.totalMs), [2]);
+});
+
+test('speeds counted from stream deltas are marked as estimates', () => {
+  const client = new LMStudioClient({ model: 'coder' });
+  const timing = (extra) => ({ start: 0, attemptStart: 0, firstToken: 1000, end: 3000, retries: 0, usage: null, serverTimings: null, streamedTokens: 100, ...extra });
+  const record = (extra) => {
+    client.recordMetrics({ model: 'coder', stream: true }, {}, timing(extra), { finishReason: 'stop' });
+    return client.getLastMetrics();
+  };
+
+  const counted = record({});
+  assert.equal(counted.estimated, true);
+  assert.equal(counted.tokensPerSecond, 50);
+
+  const reported = record({ usage: { prompt_tokens: 10, completion_tokens: 60 } });
+  assert.equal(reported.estimated, false);
+  assert.equal(reported.tokensPerSecond, 30);
+
+  assert.equal(record({ serverTimings: { predicted_per_second: 42 } }).estimated, false);
+});
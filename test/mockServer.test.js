@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MockServer from '../src/mockServer.js';
+
+test('answers 500 when a handler throws', async (t) => {
+  const lines = [];
+  const server = new MockServer({ responses: [{ content: 'hi' }] }, { log: line => lines.push(line) });
+  server._chatCompletion = async () => {
+    throw new Error('scenario bug');
+  };
+  const { port } = await server.listen(0);
+  t.after(() => server.close());
+
+  const response = await fetch(`http://127.0.0.1:${port}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: 'mock-model', messages: [] }),
+  });
+  assert.equal(response.status, 500);
+  assert.match((await response.json()).error.message, /scenario bug/);
+  assert.ok(lines.some(line => /failed: scenario bug/.test(line)));
+});
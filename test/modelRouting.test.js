@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LMStudioClient from '../src/lmstudioClient.js';
+
+function createClient(models) {
+  const client = new LMStudioClient({ model: 'coder' }, null, { edit: 'big-coder', compress: 'small' });
+  client.contextWindow = 32768;
+  client.listModels = async () => models;
+  client.loaded = [];
+  client.loadModel = async (modelId) => {
+    client.loaded.push(modelId);
+    return { id: modelId, loaded: true, contextLength: 8192 };
+  };
+  return client;
+}
+
+test('routed models are only queried at startup and loaded on first use', async () => {
+  const client = createClient([
+    { id: 'coder', loaded: true, contextLength: 32768 },
+    { id: 'big-coder', loaded: false, contextLength: null },
+    { id: 'small', loaded: true, contextLength: 4096 },
+  ]);
+
+  await client.fetchRouteCapabilities();
+  assert.deepEqual(client.loaded, []);
+  assert.equal(client.getContextWindow('compress'), 4096);
+  assert.equal(client.getModelRoutes().find(route => route.role === 'edit').pendingLoad, true);
+
+  await client.prepareRole('edit');
+  await client.prepareRole('edit');
+  assert.deepEqual(client.loaded, ['big-coder']);
+  assert.equal(client.getContextWindow('edit'), 8192);
+});
+
+test('an unknown route context is reported instead of silently using the chat window', async (t) => {
+  const client = createClient([
+    { id: 'coder', loaded: true, contextLength: 32768 },
+    { id: 'big-coder', loaded: true, contextLength: null },
+    { id: 'small', loaded: true, contextLength: 4096 },
+  ]);
+  client.provider = { ...client.provider, contextEndpoint: null };
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  await client.fetchRouteCapabilities();
+  assert.equal(client.getModelRoutes().find(route => route.role === 'edit').contextWindow, null);
+  assert.equal(client.getContextWindow('edit'), 32768);
+  client.getContextWindow('edit');
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /big-coder is unknown.*models\.edit\.contextLength/);
+});
+
+test('routes for unknown roles are reported and ignored', (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+
+  const client = new LMStudioClient({ model: 'coder' }, null, { edit: 'big-coder', sumarize: 'small', summarize: null });
+  assert.deepEqual(client.getModelRoutes().map(route => route.role), ['chat', 'edit', 'compress']);
+  assert.equal(client.getModelForRole('compress'), 'coder');
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /unknown role "sumarize"/);
+});
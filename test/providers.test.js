@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LMStudioClient from '../src/lmstudioClient.js';
+import { parseContextResponse, fetchContextLength, resolveProvider, parseContextOverflow, parseModelList, requestModelLoad, OLLAMA_DEFAULT_CONTEXT } from '../src/providers.js';
+
+test('Ollama num_ctx is the context the model runs with', () => {
+  const data = { parameters: 'stop "<|im_end|>"\nnum_ctx 16384', model_info: { 'qwen2.context_length': 32768 } };
+  assert.equal(parseContextResponse(data), 16384);
+});
+
+test('without num_ctx Ollama falls back to its default context, not the trained length', () => {
+  assert.equal(parseContextResponse({ model_info: { 'llama.context_length': 131072 } }), OLLAMA_DEFAULT_CONTEXT);
+  assert.equal(parseContextResponse({ model_info: { 'tiny.context_length': 1024 } }), 1024);
+  assert.equal(parseContextResponse({ model_info: {} }), OLLAMA_DEFAULT_CONTEXT);
+});
+
+test('a profile contextLength wins over discovery', async () => {
+  const provider = resolveProvider({ providers: { box: { type: 'ollama', contextLength: 8192 } } }, 'box');
+  const http = { post: () => assert.fail('should not query the server') };
+  assert.equal(await fetchContextLength(http, provider, 'llama3'), 8192);
+});
+
+test('recognises context overflow errors and their numbers', () => {
+  assert.deepEqual(
+    parseContextOverflow(400, { error: { message: "This model's maximum context length is 8192 tokens. However, your messages resulted in 9500 tokens." } }),
+    { promptTokens: 9500, contextLength: 8192 }
+  );
+  assert.deepEqual(
+    parseContextOverflow(400, { error: { code: 400, type: 'exceed_context_size_error', message: 'the request exceeds the available context size', n_prompt_tokens: 5000, n_ctx: 4096 } }),
+    { promptTokens: 5000, contextLength: 4096 }
+  );
+  assert.deepEqual(
+    parseContextOverflow(400, { error: 'Trying to keep the first 6000 tokens when context the overflows. However, the model is loaded with context length of only 4096 tokens' }),
+    { promptTokens: 6000, contextLength: 4096 }
+  );
+  assert.deepEqual(parseContextOverflow(400, { error: 'prompt is too long' }), { promptTokens: null, contextLength: null });
+});
+
+test('ignores other errors', () => {
+  assert.equal(parseContextOverflow(200, { error: 'maximum context length' }), null);
+  assert.equal(parseContextOverflow(500, { error: { message: 'Model crashed' } }), null);
+  assert.equal(parseContextOverflow(400, null), null);
+});
+
+test('parses the LM Studio v1 model list', () => {
+  const models = parseModelList({
+    models: [
+      {
+        type: 'llm',
+        key: 'qwen/qwen3-coder-30b',
+        max_context_length: 262144,
+        quantization: { name: 'Q4_K_M', bits_per_weight: 4 },
+        loaded_instances: [{ id: 'qwen/qwen3-coder-30b', config: { context_length: 32768 } }],
+      },
+      { type: 'llm', key: 'google/gemma-3-4b', max_context_length: 131072, loaded_instances: [] },
+      { type: 'embedding', key: 'nomic-embed-text', loaded_instances: [] },
+    ],
+  });
+
+  assert.deepEqual(models, [
+    { id: 'qwen/qwen3-coder-30b', state: 'loaded', loaded: true, contextLength: 32768, maxContextLength: 262144, quantization: 'Q4_K_M' },
+    { id: 'google/gemma-3-4b', state: 'not-loaded', loaded: false, contextLength: null, maxContextLength: 131072, quantization: null },
+  ]);
+});
+
+test('still parses Ollama and OpenAI-style model lists', () => {
+  assert.equal(parseModelList({ models: [{ name: 'llama3:8b', details: { quantization_level: 'Q4_0' } }] })[0].id, 'llama3:8b');
+  assert.equal(parseModelList({ data: [{ id: 'gpt-4o' }] })[0].id, 'gpt-4o');
+});
+
+test('LM Studio lists and loads models through the same API version', async () => {
+  const provider = resolveProvider({}, 'lmstudio');
+  assert.match(provider.modelsEndpoint, /^\/api\/v1\//);
+  assert.match(provider.loadEndpoint, /^\/api\/v1\//);
+
+  const posts = [];
+  await requestModelLoad({ post: async (url, body) => posts.push({ url, body }) }, provider, 'google/gemma-3-4b');
+  assert.deepEqual(posts, [{ url: 'http://localhost:1234/api/v1/models/load', body: { model: 'google/gemma-3-4b' } }]);
+});
+
+test('LM Studio falls back to /api/v0/models when the v1 API is missing', async () => {
+  const client = new LMStudioClient({ model: 'coder' });
+  const requested = [];
+  client.client.get = async url => {
+    requested.push(url);
+    if (url.includes('/api/v1/')) {
+      throw new Error('Request failed with status code 404');
+    }
+    return { data: { data: [{ id: 'qwen/qwen3-coder-30b', state: 'loaded', loaded_context_length: 32768, max_context_length: 262144 }] } };
+  };
+
+  const models = await client.listModels();
+  assert.deepEqual(requested, ['http://localhost:1234/api/v1/models', 'http://localhost:1234/api/v0/models']);
+  assert.equal(models[0].contextLength, 32768);
+});
+
+test('a profile with its own models endpoint has no legacy fallback', () => {
+  assert.equal(resolveProvider({ providers: { lmstudio: { modelsEndpoint: '/custom/models' } } }, 'lmstudio').legacyModelsEndpoint, null);
+  assert.equal(resolveProvider({}, 'ollama').legacyModelsEndpoint, null);
+});
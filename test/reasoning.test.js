@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitReasoning, isReasoningModel } from '../src/reasoning.js';
+
+test('splits a leading <think> block from the answer', () => {
+  assert.deepEqual(splitReasoning('<think>plan</think>\nAnswer'), { reasoning: 'plan', content: 'Answer' });
+});
+
+test('leaves other tags and <think> blocks inside the answer alone', () => {
+  const config = '<config>\n <reasoning>strict</reasoning>\n</config>';
+  assert.deepEqual(splitReasoning(config), { reasoning: '', content: config });
+
+  const file = 'Here is the file:\n<file_create><content>a <think>x</think> b</content></file_create>';
+  assert.equal(splitReasoning(file).content, file);
+});
+
+test('only reasoning models split at a </think> opened by the chat template', () => {
+  const text = 'plan</think>Answer';
+  assert.equal(splitReasoning(text).content, text);
+  assert.deepEqual(splitReasoning(text, { reasoningModel: true }), { reasoning: 'plan', content: 'Answer' });
+  assert.equal(splitReasoning('a <think>b</think> c</think>', { reasoningModel: true }).content, 'a <think>b</think> c</think>');
+});
+
+test('an unclosed <think> block is reasoning only when the output was cut off', () => {
+  assert.deepEqual(splitReasoning('<think>still going', { truncated: true }), { reasoning: 'still going', content: '' });
+  assert.equal(splitReasoning('<think>not closed').content, '<think>not closed');
+});
+
+test('recognises reasoning model families', () => {
+  assert.equal(isReasoningModel('deepseek-r1-distill-qwen-7b'), true);
+  assert.equal(isReasoningModel('qwen/qwen3-8b'), true);
+  assert.equal(isReasoningModel('llama-3.1-8b-instruct'), false);
+  assert.equal(isReasoningModel(null), false);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import TokenCounter from '../src/tokenCounter.js';
+
+test('overflows without a server count raise the margin in bounded steps', async () => {
+  const counter = new TokenCounter({ backend: 'tiktoken' });
+  for (let i = 0; i < 20; i++) {
+    await counter.recordOverflow('qwen', 1000, { promptTokens: null, contextLength: null });
+  }
+  assert.equal(counter.getCalibration('qwen').overshootRatio, 1.5);
+  assert.equal(counter.getCalibration('qwen').overflows, 20);
+});
+
+test('accepted prompts decay the overflow margin back to 1', async () => {
+  const counter = new TokenCounter({ backend: 'calibrated' });
+  await counter.recordUsage('qwen', 1000, 1200);
+  await counter.recordOverflow('qwen', 1000, { promptTokens: 1800, contextLength: 1500 });
+  assert.equal(counter.getCalibration('qwen').overshootRatio, 1.5);
+
+  await counter.recordUsage('qwen', 1000, 1200);
+  assert.equal(counter.getCalibration('qwen').overshootRatio, 1.25);
+  for (let i = 0; i < 5; i++) {
+    await counter.recordUsage('qwen', 1000, 1200);
+  }
+  assert.equal(counter.getCalibration('qwen').overshootRatio, 1);
+  assert.equal(counter.getModelRatio('qwen'), 1.2);
+});
+
+test('the margin also decays for models measured with the server tokenizer', async () => {
+  const counter = new TokenCounter({ backend: 'server' });
+  await counter.calibrateWithTokenizer('llama', async () => 400);
+  const tokenRatio = counter.getCalibration('llama').tokenRatio;
+  await counter.recordOverflow('llama', 1000, { promptTokens: null, contextLength: null });
+
+  await counter.recordUsage('llama', 1000, 5000);
+  assert.equal(counter.getCalibration('llama').tokenRatio, tokenRatio);
+  assert.equal(counter.getCalibration('llama').overshootRatio, 1.05);
+});
+
+test('overflow calibration is saved and loaded by the token counter', async (t) => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'lmcode-calibration-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'token_calibration.json');
+
+  // Written before token ratios existed: only the overflow margin
+  await writeFile(filePath, JSON.stringify({ models: { qwen: { overshootRatio: 1.3, overflows: 2 } } }));
+  const counter = new TokenCounter({ backend: 'calibrated' });
+  await counter.loadCalibration(filePath);
+  assert.equal(counter.getModelRatio('qwen'), 1.3);
+
+  await counter.recordOverflow('qwen', 1000, { promptTokens: 1500, contextLength: 1400 });
+  const saved = JSON.parse(await readFile(filePath, 'utf-8'));
+  assert.equal(saved.models.qwen.overshootRatio, 1.5);
+  assert.equal(saved.models.qwen.overflows, 3);
+  assert.equal(saved.models.qwen.lastOverflow.contextLength, 1400);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerCustomTool, getCustomTool, parseTextualToolCalls, validateToolArguments, createToolCallId } from '../src/tools.js';
+
+const handler = async () => 'ok';
+
+test('custom tools cannot take built-in tool names or XML tags', () => {
+  for (const name of ['read_file_lines', 'search', 'read_lines', 'file_edit', 'task_update', 'run_command', 'web_fetch', 'question']) {
+    assert.throws(() => registerCustomTool({ definition: { name }, handler }), /conflicts with a built-in tool/, name);
+    assert.equal(getCustomTool(name), null);
+  }
+});
+
+test('registers a custom tool once', () => {
+  registerCustomTool({ definition: { name: 'deploy_preview' }, handler }, 'deploy.js');
+  assert.equal(getCustomTool('deploy_preview').source, 'deploy.js');
+  assert.throws(() => registerCustomTool({ definition: { name: 'deploy_preview' }, handler }), /already registered by deploy.js/);
+});
+
+test('parses tool calls written into the answer text', () => {
+  const names = ['search_code', 'read_file_lines'];
+
+  const hermes = parseTextualToolCalls('Looking.\n<tool_call>{"name": "search_code", "arguments": {"keywords": ["auth"]}}</tool_call>', names);
+  assert.equal(hermes.text, 'Looking.');
+  assert.equal(hermes.toolCalls[0].function.name, 'search_code');
+  assert.deepEqual(JSON.parse(hermes.toolCalls[0].function.arguments), { keywords: ['auth'] });
+
+  const mistral = parseTextualToolCalls('[TOOL_CALLS]read_file_lines[ARGS]{"path": "a.js", "start_line": 1, "end_line": 5}', names);
+  assert.equal(mistral.toolCalls[0].function.name, 'read_file_lines');
+
+  const llama = parseTextualToolCalls('<|python_tag|>{"name": "search_code", "parameters": {"keywords": ["x"]}}<|eom_id|>', names);
+  assert.equal(llama.toolCalls.length, 1);
+  assert.equal(llama.text, '');
+});
+
+test('leaves JSON examples and unknown tools in the text', () => {
+  const example = 'Send this body:\n{"name": "search_code", "arguments": {}}';
+  assert.deepEqual(parseTextualToolCalls(example, ['search_code']), { toolCalls: [], text: example });
+
+  const unknown = '<tool_call>{"name": "rm_rf", "arguments": {}}</tool_call>';
+  assert.equal(parseTextualToolCalls(unknown, ['search_code']).toolCalls.length, 0);
+});
+
+test('validates and coerces tool arguments against the schema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      start_line: { type: 'integer' },
+      mode: { type: 'string', enum: ['replace', 'insert'] },
+      keywords: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['path'],
+  };
+
+  const valid = validateToolArguments({ path: 'a.js', start_line: '12', mode: 'replace', keywords: ['x'] }, schema);
+  assert.equal(valid.valid, true);
+  assert.equal(valid.arguments.start_line, 12);
+
+  const invalid = validateToolArguments({ start_line: 'ten', mode: 'append' }, schema);
+  assert.equal(invalid.valid, false);
+  assert.deepEqual(invalid.errors.map(error => error.argument).sort(), ['mode', 'path', 'start_line']);
+
+  assert.equal(validateToolArguments('a.js', schema).valid, false);
+});
+
+test('textual tool calls get ids that stay unique across responses', () => {
+  const text = '<tool_call>{"name": "search_code", "arguments": {"keywords": ["a"]}}</tool_call>\n' +
+    '<tool_call>{"name": "search_code", "arguments": {"keywords": ["b"]}}</tool_call>';
+  const ids = [
+    ...parseTextualToolCalls(text, ['search_code']).toolCalls,
+    ...parseTextualToolCalls(text, ['search_code']).toolCalls,
+  ].map(call => call.id);
+
+  assert.equal(new Set(ids).size, 4);
+  assert.match(ids[0], /^call_text_[0-9a-f]{12}$/);
+  assert.match(createToolCallId(), /^call_[0-9a-f]{12}$/);
+});